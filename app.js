@@ -1,14 +1,50 @@
 import express from "express";
-import multer from "multer";
-import dotenv from "dotenv";
+import session from "express-session";
 import path from "path";
-import fs from "fs";
+import crypto from "crypto";
 import submissionRoutes from "./routes/submissionRoutes.js";
-
-dotenv.config();
+import jobRoutes from "./routes/jobRoutes.js";
+import batchRoutes from "./routes/batchRoutes.js";
+import apiRoutes from "./routes/apiRoutes.js";
+import apiKeyRoutes from "./routes/apiKeyRoutes.js";
+import authRoutes from "./routes/authRoutes.js";
+import erasureRoutes from "./routes/erasureRoutes.js";
+import retentionRoutes from "./routes/retentionRoutes.js";
+import metricsRoutes from "./routes/metricsRoutes.js";
+import swapCacheRoutes from "./routes/swapCacheRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
+import emailRoutes from "./routes/emailRoutes.js";
+import emailOptOutRoutes from "./routes/emailOptOutRoutes.js";
+import mediaRoutes from "./routes/mediaRoutes.js";
+import swapWorker from "./workers/swapWorker.js";
+import retentionScheduler from "./workers/retentionScheduler.js";
+import webhookDispatcher from "./workers/webhookDispatcher.js";
+import emailDispatcher from "./workers/emailDispatcher.js";
+import submissionModel from "./models/submissionModel.js";
+import apiKeyModel from "./models/apiKeyModel.js";
+import swapMetricModel from "./models/swapMetricModel.js";
+import batchModel from "./models/batchModel.js";
+import swapCacheModel from "./models/swapCacheModel.js";
+import webhookModel from "./models/webhookModel.js";
+import webhookDeliveryModel from "./models/webhookDeliveryModel.js";
+import emailLogModel from "./models/emailLogModel.js";
+import adminUserModel from "./models/adminUserModel.js";
+import MongoSessionStore from "./config/sessionStore.js";
+import { loadCurrentUser } from "./utils/auth.js";
+import renderFormError from "./utils/renderFormError.js";
+import config from "./config/index.js";
+import { MAX_UPLOAD_MB } from "./config/upload.js";
+import { ACCEPTED_FORMATS_LABEL, IMAGE_ACCEPT } from "./utils/imageFormats.js";
+import { isEmailConfigured } from "./utils/mailer.js";
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
+// Used by the upload forms
+app.locals.maxUploadMb = MAX_UPLOAD_MB;
+app.locals.imageAccept = IMAGE_ACCEPT;
+app.locals.acceptedFormats = ACCEPTED_FORMATS_LABEL;
+// The upload form only offers the email opt-out when results are emailed
+app.locals.emailEnabled = isEmailConfigured();
 
 app.set("view engine", "ejs");
 app.set("views", path.join(process.cwd(), "views"));
@@ -22,6 +58,29 @@ app.use(
 );
 app.use(express.json());
 
+if (!config.auth.sessionSecret) {
+  console.warn(
+    "⚠️ SESSION_SECRET is not set; using a random secret. Logins will not survive restarts."
+  );
+}
+
+app.use(
+  session({
+    name: "faceswap.sid",
+    secret: config.auth.sessionSecret || crypto.randomBytes(32).toString("hex"),
+    store: new MongoSessionStore(),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: config.isProduction,
+      maxAge: config.auth.sessionMaxAgeHours * 60 * 60 * 1000,
+    },
+  })
+);
+app.use(loadCurrentUser);
+
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
   const method = req.method;
@@ -32,89 +91,105 @@ app.use((req, res, next) => {
   next();
 });
 
-const uploadDir = path.join(process.cwd(), "uploads");
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, {
-    recursive: true,
-  });
-}
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, "uploads/"),
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    cb(null, file.fieldname + "-" + uniqueSuffix + ext);
-  },
-});
-
-const fileFilter = (req, file, cb) => {
-  const allowedMimes = ["image/jpeg", "image/png", "image/jpg"];
-  if (allowedMimes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error("Only JPEG, PNG, and JPG files are allowed"), false);
-  }
-};
-
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: 2 * 1024 * 1024,
-  },
-});
-
-app.use((req, res, next) => {
-  req.upload = upload;
-  next();
-});
-
+app.use("/media", mediaRoutes);
+app.use("/api/v1", apiRoutes);
+app.use("/admin/api-keys", apiKeyRoutes);
+app.use("/admin/erasure", erasureRoutes);
+app.use("/admin/retention", retentionRoutes);
+app.use("/admin/metrics", metricsRoutes);
+app.use("/admin/cache", swapCacheRoutes);
+app.use("/admin/webhooks", webhookRoutes);
+app.use("/admin/emails", emailRoutes);
+app.use("/email-opt-out", emailOptOutRoutes);
+app.use("/", authRoutes);
 app.use("/", submissionRoutes);
+app.use("/jobs", jobRoutes);
+app.use("/batches", batchRoutes);
 
 app.use((req, res, next) => {
   next();
 });
 
+// Upload and validation errors are handled by each router; anything
+// reaching this point is unexpected
 app.use((error, req, res, next) => {
-  const errorContext = {
-    method: req.method,
-    url: req.originalUrl,
-    timestamp: new Date().toISOString(),
-    userAgent: req.get("User-Agent"),
-  };
-  if (error instanceof multer.MulterError) {
-    if (error.code === "LIMIT_FILE_SIZE") {
-      return res.status(400).render("index", {
-        error: "File size too large. Maximum allowed size is 2MB.",
-        swappedImage: null,
-        oldInput: req.body || {},
-        submissionId: null,
-        apiStatus: false,
-        currentPage: "home",
-      });
-    }
-  }
-  if (error.message.includes("Only JPEG, PNG, and JPG files are allowed")) {
-    return res.status(400).render("index", {
-      error: "Invalid file format. Only JPEG, PNG, and JPG files are allowed.",
-      swappedImage: null,
-      oldInput: req.body || {},
-      submissionId: null,
-      apiStatus: false,
-      currentPage: "home",
+  console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, error);
+  renderFormError(
+    req,
+    res,
+    500,
+    "An unexpected error occurred. Please try again."
+  );
+});
+
+// How long to wait before retrying a startup step that failed
+const STARTUP_RETRY_MS = 30 * 1000;
+
+// Without the bootstrap admin nobody can log in on a fresh install, so this
+// is retried until it works
+function setUpAdminUsers() {
+  adminUserModel
+    .ensureIndexes()
+    .then(() => adminUserModel.ensureBootstrapAdmin())
+    .catch((error) => {
+      console.error(
+        `❌ Failed to set up admin users, retrying in ${STARTUP_RETRY_MS / 1000}s:`,
+        error.message
+      );
+      setTimeout(setUpAdminUsers, STARTUP_RETRY_MS);
     });
-  }
-  res.status(500).render("index", {
-    error: "An unexpected error occurred. Please try again.",
-    swappedImage: null,
-    oldInput: req.body || {},
-    submissionId: null,
-    apiStatus: false,
-    currentPage: "home",
+}
+
+function startInlineWorker() {
+  swapWorker.start().catch((error) => {
+    console.error(
+      `❌ Swap worker failed to start, retrying in ${STARTUP_RETRY_MS / 1000}s:`,
+      error
+    );
+    setTimeout(startInlineWorker, STARTUP_RETRY_MS);
   });
-});
+}
 
-app.listen(PORT, () => {});
+app.listen(PORT, () => {
+  submissionModel.ensureIndexes().catch((error) => {
+    console.error("❌ Failed to create submission indexes:", error.message);
+  });
+  swapMetricModel.ensureIndexes().catch((error) => {
+    console.error("❌ Failed to create swap metric indexes:", error.message);
+  });
+  batchModel.ensureIndexes().catch((error) => {
+    console.error("❌ Failed to create batch indexes:", error.message);
+  });
+  swapCacheModel.ensureIndexes().catch((error) => {
+    console.error("❌ Failed to create swap cache indexes:", error.message);
+  });
+  webhookModel.ensureIndexes().catch((error) => {
+    console.error("❌ Failed to create webhook indexes:", error.message);
+  });
+  webhookDeliveryModel.ensureIndexes().catch((error) => {
+    console.error(
+      "❌ Failed to create webhook delivery indexes:",
+      error.message
+    );
+  });
+  emailLogModel.ensureIndexes().catch((error) => {
+    console.error("❌ Failed to create email log indexes:", error.message);
+  });
+  apiKeyModel.ensureIndexes().catch((error) => {
+    console.error("❌ Failed to create API key indexes:", error.message);
+  });
+  setUpAdminUsers();
+  // Run the swap worker inside the web process unless jobs are handled by a
+  // separate `npm run worker` process.
+  if (config.worker.runInline) {
+    startInlineWorker();
+  }
+  // Does nothing unless RETENTION_IMAGE_DAYS or RETENTION_PII_DAYS is set
+  retentionScheduler.start();
+  // Deliveries queued by a separate worker process are sent from here too
+  webhookDispatcher.start();
+  // Does nothing unless SMTP_HOST is set
+  emailDispatcher.start();
+});
 
 export default app;
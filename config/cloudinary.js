@@ -1,13 +1,11 @@
 import { v2 as cloudinary } from "cloudinary";
-import dotenv from "dotenv";
-
-dotenv.config();
+import config from "./index.js";
 
 // Configure Cloudinary
 cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
+  cloud_name: config.storage.cloudinary.cloudName,
+  api_key: config.storage.cloudinary.apiKey,
+  api_secret: config.storage.cloudinary.apiSecret,
 });
 
 /**
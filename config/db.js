@@ -1,31 +1,37 @@
 import { MongoClient } from "mongodb";
-import dotenv from "dotenv";
-
-dotenv.config();
+import config from "./index.js";
 
 class Database {
   constructor() {
     this.client = null;
     this.db = null;
+    this.connecting = null;
   }
 
+  // Callers that arrive while the first connection is being made share it
   async connect() {
-    try {
-      if (this.client) {
-        return this.db;
-      }
+    if (!this.connecting) {
+      this.connecting = this._connect();
+    }
+    return this.connecting;
+  }
 
-      this.client = new MongoClient(process.env.MONGODB_CONNECTION_STRING, {
+  async _connect() {
+    try {
+      this.client = new MongoClient(config.database.uri, {
         useUnifiedTopology: true,
       });
 
       await this.client.connect();
-      this.db = this.client.db(process.env.DB_NAME || "faceswap_app");
+      this.db = this.client.db(config.database.name);
 
       console.log("✅ Connected to MongoDB Atlas successfully");
       return this.db;
     } catch (error) {
       console.error("❌ MongoDB connection error:", error);
+      // Let the next caller try again
+      this.client = null;
+      this.connecting = null;
       throw error;
     }
   }
@@ -42,6 +48,7 @@ class Database {
       await this.client.close();
       this.client = null;
       this.db = null;
+      this.connecting = null;
       console.log("📡 MongoDB connection closed");
     }
   }
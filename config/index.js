@@ -0,0 +1,621 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Every setting the app reads from the environment. Leaves name their
+ * variable (env), a type and a default; `required` settings have no
+ * default, `secret` ones are never echoed in error messages and `aliases`
+ * are older variable names that are still read.
+ */
+const SCHEMA = {
+  server: {
+    port: { env: "PORT", type: "integer", min: 1, max: 65535, default: 3000 },
+    nodeEnv: { env: "NODE_ENV", type: "string", default: "development" },
+    // Absolute base URL for links to locally served images, if the app is
+    // behind a proxy or on another host
+    publicBaseUrl: { env: "PUBLIC_BASE_URL", type: "url", default: "" },
+  },
+  database: {
+    uri: {
+      env: "MONGODB_URI",
+      aliases: ["MONGODB_CONNECTION_STRING"],
+      type: "string",
+      required: true,
+      secret: true,
+      description: "the MongoDB connection string",
+    },
+    name: { env: "DB_NAME", type: "string", default: "faceswap_app" },
+  },
+  storage: {
+    backend: {
+      env: "STORAGE_BACKEND",
+      type: "enum",
+      values: ["cloudinary", "local", "s3"],
+      default: "cloudinary",
+    },
+    signingSecret: {
+      env: "STORAGE_SIGNING_SECRET",
+      type: "string",
+      secret: true,
+      minLength: 16,
+      default: "",
+    },
+    localDir: { env: "LOCAL_STORAGE_DIR", type: "string", default: "storage" },
+    cloudinary: {
+      cloudName: { env: "CLOUDINARY_CLOUD_NAME", type: "string", default: "" },
+      apiKey: { env: "CLOUDINARY_API_KEY", type: "string", default: "" },
+      apiSecret: {
+        env: "CLOUDINARY_API_SECRET",
+        type: "string",
+        secret: true,
+        default: "",
+      },
+    },
+    s3: {
+      bucket: { env: "S3_BUCKET", type: "string", default: "" },
+      region: { env: "S3_REGION", type: "string", default: "us-east-1" },
+      endpoint: { env: "S3_ENDPOINT", type: "url", default: "" },
+      accessKeyId: { env: "S3_ACCESS_KEY_ID", type: "string", default: "" },
+      secretAccessKey: {
+        env: "S3_SECRET_ACCESS_KEY",
+        type: "string",
+        secret: true,
+        default: "",
+      },
+      // Unset means path-style only when S3_ENDPOINT is set
+      forcePathStyle: {
+        env: "S3_FORCE_PATH_STYLE",
+        type: "boolean",
+        default: null,
+      },
+      publicUrl: { env: "S3_PUBLIC_URL", type: "url", default: "" },
+    },
+  },
+  providers: {
+    chain: { env: "FACE_SWAP_PROVIDERS", type: "list", default: ["lightx"] },
+    lightx: {
+      apiKey: {
+        env: "LIGHTX_API_KEY",
+        type: "string",
+        secret: true,
+        default: "",
+      },
+      baseUrl: {
+        env: "LIGHTX_BASE_URL",
+        type: "url",
+        default: "https://api.lightxeditor.com/external/api",
+      },
+      maxRetries: {
+        env: "LIGHTX_MAX_RETRIES",
+        type: "integer",
+        min: 1,
+        max: 50,
+        default: 5,
+      },
+      pollIntervalMs: {
+        env: "LIGHTX_POLL_INTERVAL_MS",
+        type: "integer",
+        min: 100,
+        default: 3000,
+      },
+      timeoutMs: {
+        env: "LIGHTX_TIMEOUT_MS",
+        type: "integer",
+        min: 1000,
+        default: 30000,
+      },
+    },
+    // Stop calling a provider after this many credit, auth, rate-limit or
+    // server errors in a row, and probe it again after the cooldown
+    breakerThreshold: {
+      env: "PROVIDER_BREAKER_THRESHOLD",
+      type: "integer",
+      min: 1,
+      default: 3,
+    },
+    breakerCooldownMs: {
+      env: "PROVIDER_BREAKER_COOLDOWN_MS",
+      type: "integer",
+      min: 1000,
+      default: 5 * 60 * 1000,
+    },
+    // Provider calls allowed per UTC day, over all providers; unset means
+    // no limit
+    dailyBudget: {
+      env: "PROVIDER_DAILY_BUDGET",
+      type: "integer",
+      min: 1,
+      default: null,
+    },
+  },
+  worker: {
+    runInline: { env: "RUN_WORKER_INLINE", type: "boolean", default: true },
+    concurrency: {
+      env: "SWAP_WORKER_CONCURRENCY",
+      type: "integer",
+      min: 1,
+      max: 32,
+      default: 2,
+    },
+    pollIntervalMs: {
+      env: "JOB_POLL_INTERVAL",
+      type: "integer",
+      min: 100,
+      default: 2000,
+    },
+    staleJobMs: {
+      env: "JOB_STALE_MS",
+      type: "integer",
+      min: 1000,
+      default: 10 * 60 * 1000,
+    },
+    maxAttempts: {
+      env: "JOB_MAX_ATTEMPTS",
+      type: "integer",
+      min: 1,
+      max: 10,
+      default: 2,
+    },
+    eventsIntervalMs: {
+      env: "JOB_EVENTS_INTERVAL",
+      type: "integer",
+      min: 100,
+      default: 1000,
+    },
+  },
+  uploads: {
+    maxMb: {
+      env: "UPLOAD_MAX_MB",
+      type: "integer",
+      min: 1,
+      max: 100,
+      default: 10,
+    },
+    maxMegapixels: {
+      env: "UPLOAD_MAX_MEGAPIXELS",
+      type: "number",
+      min: 1,
+      max: 500,
+      default: 50,
+    },
+    maxSide: {
+      env: "UPLOAD_MAX_SIDE",
+      type: "integer",
+      min: 256,
+      max: 65535,
+      default: 16384,
+    },
+    minSide: {
+      env: "UPLOAD_MIN_SIDE",
+      type: "integer",
+      min: 1,
+      default: 64,
+    },
+    batchMaxTargets: {
+      env: "BATCH_MAX_TARGETS",
+      type: "integer",
+      min: 1,
+      max: 500,
+      default: 20,
+    },
+  },
+  images: {
+    maxDimension: {
+      env: "IMAGE_MAX_DIMENSION",
+      type: "integer",
+      min: 256,
+      max: 16384,
+      default: 2048,
+    },
+    format: {
+      env: "IMAGE_OUTPUT_FORMAT",
+      type: "enum",
+      values: ["jpeg", "png"],
+      default: "jpeg",
+    },
+    quality: {
+      env: "IMAGE_QUALITY",
+      type: "integer",
+      min: 1,
+      max: 100,
+      default: 85,
+    },
+  },
+  auth: {
+    sessionSecret: {
+      env: "SESSION_SECRET",
+      type: "string",
+      secret: true,
+      minLength: 16,
+      default: "",
+    },
+    sessionMaxAgeHours: {
+      env: "SESSION_MAX_AGE_HOURS",
+      type: "number",
+      min: 0.25,
+      max: 24 * 30,
+      default: 8,
+    },
+    adminUsername: { env: "ADMIN_USERNAME", type: "string", default: "" },
+    adminPassword: {
+      env: "ADMIN_PASSWORD",
+      type: "string",
+      secret: true,
+      default: "",
+    },
+    adminApiToken: {
+      env: "ADMIN_API_TOKEN",
+      type: "string",
+      secret: true,
+      minLength: 16,
+      default: "",
+    },
+  },
+  // Per-IP limits on the web routes, per RATE_LIMIT_WINDOW_MS. Counters
+  // are kept in MongoDB so all instances share them, or in memory.
+  rateLimits: {
+    store: {
+      env: "RATE_LIMIT_STORE",
+      type: "enum",
+      values: ["mongo", "memory"],
+      default: "mongo",
+    },
+    windowMs: {
+      env: "RATE_LIMIT_WINDOW_MS",
+      type: "integer",
+      min: 1000,
+      default: 15 * 60 * 1000,
+    },
+    submit: { env: "SUBMIT_RATE_LIMIT", type: "integer", min: 1, default: 5 },
+    // Submissions per email address and per phone number, whatever the IP
+    submitPerIdentity: {
+      env: "SUBMIT_IDENTITY_RATE_LIMIT",
+      type: "integer",
+      min: 1,
+      default: 20,
+    },
+    identityWindowMs: {
+      env: "SUBMIT_IDENTITY_WINDOW_MS",
+      type: "integer",
+      min: 1000,
+      default: 24 * 60 * 60 * 1000,
+    },
+    login: { env: "LOGIN_RATE_LIMIT", type: "integer", min: 1, default: 10 },
+    download: {
+      env: "DOWNLOAD_RATE_LIMIT",
+      type: "integer",
+      min: 1,
+      default: 20,
+    },
+  },
+  // Defaults for new API keys
+  apiKeys: {
+    dailyQuota: {
+      env: "API_KEY_DAILY_QUOTA",
+      type: "integer",
+      min: 0,
+      default: 100,
+    },
+    monthlyQuota: {
+      env: "API_KEY_MONTHLY_QUOTA",
+      type: "integer",
+      min: 0,
+      default: 2000,
+    },
+    rateLimit: {
+      env: "API_KEY_RATE_LIMIT",
+      type: "integer",
+      min: 1,
+      default: 30,
+    },
+    rateWindowMs: {
+      env: "API_KEY_RATE_WINDOW_MS",
+      type: "integer",
+      min: 1000,
+      default: 15 * 60 * 1000,
+    },
+  },
+  retention: {
+    // Unset or 0 keeps data forever
+    imageDays: {
+      env: "RETENTION_IMAGE_DAYS",
+      type: "integer",
+      min: 0,
+      default: null,
+    },
+    piiDays: {
+      env: "RETENTION_PII_DAYS",
+      type: "integer",
+      min: 0,
+      default: null,
+    },
+    intervalMs: {
+      env: "RETENTION_INTERVAL_MS",
+      type: "integer",
+      min: 60 * 1000,
+      default: 6 * 60 * 60 * 1000,
+    },
+    batchSize: {
+      env: "RETENTION_BATCH_SIZE",
+      type: "integer",
+      min: 1,
+      max: 10000,
+      default: 100,
+    },
+    dryRun: { env: "RETENTION_DRY_RUN", type: "boolean", default: false },
+  },
+
+  // Completed swaps reused for identical source and target images. Admins
+  // can switch the cache off at runtime; this is the initial state.
+  swapCache: {
+    enabled: { env: "SWAP_CACHE_ENABLED", type: "boolean", default: true },
+    ttlHours: {
+      env: "SWAP_CACHE_TTL_HOURS",
+      type: "integer",
+      min: 1,
+      default: 7 * 24,
+    },
+    // Also match re-encoded or resized copies of the same images
+    perceptual: {
+      env: "SWAP_CACHE_PERCEPTUAL",
+      type: "boolean",
+      default: true,
+    },
+  },
+
+  // Outgoing submission events; endpoints are registered by admins
+  webhooks: {
+    maxAttempts: {
+      env: "WEBHOOK_MAX_ATTEMPTS",
+      type: "integer",
+      min: 1,
+      max: 20,
+      default: 8,
+    },
+    // Delay before the first retry; it doubles with every further attempt
+    retryBaseMs: {
+      env: "WEBHOOK_RETRY_BASE_MS",
+      type: "integer",
+      min: 1000,
+      default: 30 * 1000,
+    },
+    retryMaxMs: {
+      env: "WEBHOOK_RETRY_MAX_MS",
+      type: "integer",
+      min: 1000,
+      default: 6 * 60 * 60 * 1000,
+    },
+    timeoutMs: {
+      env: "WEBHOOK_TIMEOUT_MS",
+      type: "integer",
+      min: 1000,
+      max: 60 * 1000,
+      default: 10 * 1000,
+    },
+    pollIntervalMs: {
+      env: "WEBHOOK_POLL_INTERVAL_MS",
+      type: "integer",
+      min: 500,
+      default: 5 * 1000,
+    },
+    // Delivery log entries are removed after this many days
+    logDays: {
+      env: "WEBHOOK_LOG_DAYS",
+      type: "integer",
+      min: 1,
+      default: 30,
+    },
+  },
+
+  // Result emails to submitters; nothing is sent while SMTP_HOST is unset
+  email: {
+    smtpHost: { env: "SMTP_HOST", type: "string", default: "" },
+    smtpPort: {
+      env: "SMTP_PORT",
+      type: "integer",
+      min: 1,
+      max: 65535,
+      default: 587,
+    },
+    // true for implicit TLS (usually port 465); otherwise STARTTLS is used
+    // when the server offers it
+    smtpSecure: { env: "SMTP_SECURE", type: "boolean", default: false },
+    smtpUser: { env: "SMTP_USER", type: "string", default: "" },
+    smtpPassword: {
+      env: "SMTP_PASSWORD",
+      type: "string",
+      secret: true,
+      default: "",
+    },
+    from: {
+      env: "EMAIL_FROM",
+      type: "string",
+      default: "Face Swap Pro <no-reply@localhost>",
+    },
+    maxAttempts: {
+      env: "EMAIL_MAX_ATTEMPTS",
+      type: "integer",
+      min: 1,
+      max: 20,
+      default: 5,
+    },
+    retryBaseMs: {
+      env: "EMAIL_RETRY_BASE_MS",
+      type: "integer",
+      min: 1000,
+      default: 60 * 1000,
+    },
+    pollIntervalMs: {
+      env: "EMAIL_POLL_INTERVAL_MS",
+      type: "integer",
+      min: 500,
+      default: 5 * 1000,
+    },
+    // Send log entries are removed after this many days
+    logDays: {
+      env: "EMAIL_LOG_DAYS",
+      type: "integer",
+      min: 1,
+      default: 30,
+    },
+  },
+};
+
+// Parsers by type; they throw a message that follows the variable name
+const PARSERS = {
+  string: (value, rule) => {
+    if (rule.minLength && value.length < rule.minLength) {
+      throw new Error(`must be at least ${rule.minLength} characters long`);
+    }
+    return value;
+  },
+  integer: (value, rule) => {
+    if (!/^-?\d+$/.test(value)) {
+      throw new Error("must be a whole number");
+    }
+    return checkRange(parseInt(value, 10), rule);
+  },
+  number: (value, rule) => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new Error("must be a number");
+    }
+    return checkRange(number, rule);
+  },
+  boolean: (value) => {
+    if (/^(true|1|yes)$/i.test(value)) {
+      return true;
+    }
+    if (/^(false|0|no)$/i.test(value)) {
+      return false;
+    }
+    throw new Error("must be true or false");
+  },
+  enum: (value, rule) => {
+    const option = value.toLowerCase();
+    if (!rule.values.includes(option)) {
+      throw new Error(`must be one of: ${rule.values.join(", ")}`);
+    }
+    return option;
+  },
+  list: (value) =>
+    value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean),
+  url: (value) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new Error("must be an absolute URL");
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw new Error("must be an http or https URL");
+    }
+    return value.replace(/\/$/, "");
+  },
+};
+
+function checkRange(number, rule) {
+  if (rule.min !== undefined && number < rule.min) {
+    throw new Error(`must be at least ${rule.min}`);
+  }
+  if (rule.max !== undefined && number > rule.max) {
+    throw new Error(`must be at most ${rule.max}`);
+  }
+  return number;
+}
+
+// Settings that depend on each other; each returns an error or null
+const RULES = [
+  ({ storage }) =>
+    storage.backend === "cloudinary" &&
+    !(
+      storage.cloudinary.cloudName &&
+      storage.cloudinary.apiKey &&
+      storage.cloudinary.apiSecret
+    )
+      ? "STORAGE_BACKEND is cloudinary, so CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET are required"
+      : null,
+  ({ storage }) =>
+    storage.backend === "s3" &&
+    !(storage.s3.bucket && storage.s3.accessKeyId && storage.s3.secretAccessKey)
+      ? "STORAGE_BACKEND is s3, so S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required"
+      : null,
+  ({ storage, auth }) =>
+    storage.backend === "local" &&
+    !(storage.signingSecret || auth.sessionSecret)
+      ? "STORAGE_BACKEND is local, so STORAGE_SIGNING_SECRET or SESSION_SECRET is required to sign image URLs"
+      : null,
+  ({ auth }) =>
+    Boolean(auth.adminUsername) !== Boolean(auth.adminPassword)
+      ? "ADMIN_USERNAME and ADMIN_PASSWORD must be set together"
+      : null,
+  ({ uploads }) =>
+    uploads.minSide > uploads.maxSide
+      ? "UPLOAD_MIN_SIDE must not be larger than UPLOAD_MAX_SIDE"
+      : null,
+  ({ providers }) =>
+    providers.chain.length === 0
+      ? "FACE_SWAP_PROVIDERS must name at least one provider"
+      : null,
+];
+
+function loadSection(schema, env, errors) {
+  const section = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    if (!rule.env) {
+      section[key] = loadSection(rule, env, errors);
+      continue;
+    }
+    const name = [rule.env, ...(rule.aliases || [])].find(
+      (variable) => env[variable] !== undefined && env[variable].trim() !== ""
+    );
+    if (!name) {
+      if (rule.required) {
+        errors.push(`${rule.env} is required (${rule.description})`);
+      }
+      section[key] = rule.default ?? null;
+      continue;
+    }
+    const value = env[name].trim();
+    try {
+      section[key] = PARSERS[rule.type](value, rule);
+    } catch (error) {
+      errors.push(
+        `${name} ${error.message}${rule.secret ? "" : ` (got "${value}")`}`
+      );
+      section[key] = rule.default ?? null;
+    }
+  }
+  return section;
+}
+
+/**
+ * Read and validate the settings
+ * @param {Object} env - Environment variables, normally process.env
+ * @returns {Object} { config, errors } where errors lists every problem
+ */
+export function loadConfig(env) {
+  const errors = [];
+  const config = loadSection(SCHEMA, env, errors);
+  if (errors.length === 0) {
+    errors.push(...RULES.map((rule) => rule(config)).filter(Boolean));
+  }
+  config.isProduction = config.server.nodeEnv === "production";
+  return { config, errors };
+}
+
+const { config, errors } = loadConfig(process.env);
+
+// Fail at startup rather than on the first request that needs a setting
+if (errors.length > 0) {
+  console.error("❌ Invalid configuration:");
+  errors.forEach((error) => console.error(`   - ${error}`));
+  console.error("💡 Check your .env file; see README.md for every setting.");
+  process.exit(1);
+}
+
+export default Object.freeze(config);
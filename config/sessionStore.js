@@ -0,0 +1,86 @@
+import session from "express-session";
+import database from "./db.js";
+
+/**
+ * express-session store backed by the "sessions" collection, so logins
+ * survive restarts and are shared between app instances. Expired sessions
+ * are removed by a TTL index on expiresAt.
+ */
+class MongoSessionStore extends session.Store {
+  constructor(options = {}) {
+    super();
+    this.collectionName = options.collectionName || "sessions";
+    this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+    this.indexesReady = null;
+  }
+
+  async _getCollection() {
+    const collection = await database.getCollection(this.collectionName);
+    if (!this.indexesReady) {
+      this.indexesReady = collection
+        .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+        .catch((error) => {
+          // Try again on the next call instead of failing every one
+          this.indexesReady = null;
+          throw error;
+        });
+    }
+    await this.indexesReady;
+    return collection;
+  }
+
+  _expiresAt(sess) {
+    if (sess && sess.cookie && sess.cookie.expires) {
+      return new Date(sess.cookie.expires);
+    }
+    return new Date(Date.now() + this.ttlMs);
+  }
+
+  get(sid, callback) {
+    this._getCollection()
+      .then((collection) =>
+        collection.findOne({ _id: sid, expiresAt: { $gt: new Date() } })
+      )
+      .then((doc) => callback(null, doc ? JSON.parse(doc.session) : null))
+      .catch((error) => callback(error));
+  }
+
+  set(sid, sess, callback) {
+    this._getCollection()
+      .then((collection) =>
+        collection.updateOne(
+          { _id: sid },
+          {
+            $set: {
+              session: JSON.stringify(sess),
+              expiresAt: this._expiresAt(sess),
+            },
+          },
+          { upsert: true }
+        )
+      )
+      .then(() => callback && callback(null))
+      .catch((error) => callback && callback(error));
+  }
+
+  touch(sid, sess, callback) {
+    this._getCollection()
+      .then((collection) =>
+        collection.updateOne(
+          { _id: sid },
+          { $set: { expiresAt: this._expiresAt(sess) } }
+        )
+      )
+      .then(() => callback && callback(null))
+      .catch((error) => callback && callback(error));
+  }
+
+  destroy(sid, callback) {
+    this._getCollection()
+      .then((collection) => collection.deleteOne({ _id: sid }))
+      .then(() => callback && callback(null))
+      .catch((error) => callback && callback(error));
+  }
+}
+
+export default MongoSessionStore;
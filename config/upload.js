@@ -0,0 +1,94 @@
+import multer from "multer";
+import path from "path";
+import fs from "fs";
+import config from "./index.js";
+import {
+  isAcceptedImage,
+  ACCEPTED_FORMATS_LABEL,
+} from "../utils/imageFormats.js";
+
+// Largest image accepted. Images are normalised before they are stored or
+// swapped, so this can be well above what the providers accept.
+export const MAX_UPLOAD_MB = config.uploads.maxMb;
+export const MAX_UPLOAD_BYTES = MAX_UPLOAD_MB * 1024 * 1024;
+
+// Limits on the decoded image, checked from its header before anything is
+// decoded. A small file can declare an enormous image (decompression bomb).
+export const MAX_IMAGE_PIXELS = config.uploads.maxMegapixels * 1e6;
+export const MAX_IMAGE_SIDE = config.uploads.maxSide;
+export const MIN_IMAGE_SIDE = config.uploads.minSide;
+
+const uploadDir = path.join(process.cwd(), "uploads");
+if (!fs.existsSync(uploadDir)) {
+  fs.mkdirSync(uploadDir, { recursive: true });
+}
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, "uploads/"),
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    const ext = path.extname(file.originalname);
+    const baseName = file.fieldname;
+    cb(null, `${baseName}-${uniqueSuffix}${ext}`);
+  },
+});
+
+const fileFilter = (req, file, cb) => {
+  if (isAcceptedImage(file.mimetype, file.originalname)) {
+    cb(null, true);
+  } else {
+    cb(
+      new Error(
+        `Invalid file type. Only ${ACCEPTED_FORMATS_LABEL} images are allowed. Received: ${file.mimetype}`
+      ),
+      false
+    );
+  }
+};
+
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: 2,
+    fields: 10,
+  },
+});
+
+export default upload;
+
+// Batch mode: one source and up to BATCH_MAX_TARGETS targets, or a ZIP of
+// targets. Image sizes are checked per file after upload, since the ZIP
+// needs a higher limit.
+export const BATCH_MAX_TARGETS = config.uploads.batchMaxTargets;
+// The ZIP limit, unless single images may be larger
+export const BATCH_MAX_ZIP_MB = Math.max(25, MAX_UPLOAD_MB);
+
+const zipMimes = [
+  "application/zip",
+  "application/x-zip-compressed",
+  "application/octet-stream",
+];
+
+const batchFileFilter = (req, file, cb) => {
+  if (file.fieldname !== "targetsZip") {
+    return fileFilter(req, file, cb);
+  }
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (ext === ".zip" && zipMimes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error("Invalid file type. Targets can only be uploaded as a ZIP"));
+  }
+};
+
+export const batchUpload = multer({
+  storage,
+  fileFilter: batchFileFilter,
+  limits: {
+    fileSize: BATCH_MAX_ZIP_MB * 1024 * 1024,
+    files: BATCH_MAX_TARGETS + 2,
+    fields: 10,
+  },
+});
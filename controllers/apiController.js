@@ -0,0 +1,320 @@
+import submissionModel from "../models/submissionModel.js";
+import jobModel from "../models/jobModel.js";
+import faceSwapAPI, { unavailableMessage } from "../utils/faceSwapApi.js";
+import sendApiError from "../utils/apiError.js";
+import openApiSpec from "../utils/openapiSpec.js";
+import fs from "fs";
+import { ObjectId } from "mongodb";
+
+const IMAGE_TYPES = ["source", "target", "swapped"];
+
+class ApiController {
+  async createSubmission(req, res) {
+    const tempFiles = Object.values(req.files || {})
+      .flat()
+      .map((file) => file.path);
+    // The client is gone and its reserved swap was already given back
+    if (!req.swapQuota.claim()) {
+      apiController.cleanupTempFiles(tempFiles);
+      return;
+    }
+    let queued = false;
+    try {
+      // Form posts send the checkbox as "on"; API clients may send a boolean
+      const body = { ...req.body };
+      if (body.terms === true || body.terms === "true") {
+        body.terms = "on";
+      }
+      const inputValidation = submissionModel.validateAndSanitizeInput(body);
+      const fileValidation = submissionModel.validateFiles(req.files);
+      const regionValidation = submissionModel.validateRegions(body);
+      const errors = [
+        ...inputValidation.errors,
+        ...(fileValidation.errors || []),
+        ...regionValidation.errors,
+      ];
+      if (errors.length > 0) {
+        apiController.cleanupTempFiles(tempFiles);
+        return sendApiError(
+          res,
+          400,
+          "validation_failed",
+          "The submission is invalid.",
+          errors
+        );
+      }
+
+      if (!faceSwapAPI.isConfigured()) {
+        apiController.cleanupTempFiles(tempFiles);
+        return sendApiError(
+          res,
+          503,
+          "service_unavailable",
+          "Face swap service is not properly configured."
+        );
+      }
+
+      const availability = await faceSwapAPI.getAvailability();
+      if (!availability.available) {
+        apiController.cleanupTempFiles(tempFiles);
+        res.set("Retry-After", String(availability.retryAfterSeconds));
+        return sendApiError(
+          res,
+          503,
+          "provider_unavailable",
+          unavailableMessage(
+            availability.reason,
+            availability.retryAfterSeconds
+          )
+        );
+      }
+
+      const job = await jobModel.createJob(
+        inputValidation.sanitized,
+        req.files,
+        {
+          apiKeyId: req.apiKey._id.toString(),
+          regions: regionValidation.regions,
+        }
+      );
+      queued = true;
+      const jobResource = apiController.toJobResource(job);
+      res.status(202).location(jobResource.links.self).json(jobResource);
+    } catch (error) {
+      console.error("API submission failed:", error);
+      apiController.cleanupTempFiles(tempFiles);
+      sendApiError(
+        res,
+        500,
+        "internal_error",
+        "Unable to queue the submission. Please try again later."
+      );
+    } finally {
+      if (!queued) {
+        req.swapQuota.release();
+      }
+    }
+  }
+
+  async listSubmissions(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const skip = (page - 1) * limit;
+
+      // API clients only see the submissions made with their own key
+      const filter = { apiKeyId: req.apiKey._id.toString() };
+      const [submissions, total] = await Promise.all([
+        submissionModel.getAllSubmissions(limit, skip, filter),
+        submissionModel.countSubmissions(filter),
+      ]);
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        data: submissions.map((submission) =>
+          apiController.toSubmissionResource(submission)
+        ),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("API error listing submissions:", error);
+      sendApiError(
+        res,
+        500,
+        "internal_error",
+        "Unable to load submissions. Please try again later."
+      );
+    }
+  }
+
+  async getSubmission(req, res) {
+    try {
+      const submission = await apiController.findSubmission(req, res);
+      if (submission) {
+        res.json(apiController.toSubmissionResource(submission));
+      }
+    } catch (error) {
+      apiController.handleLookupError(res, error);
+    }
+  }
+
+  async deleteSubmission(req, res) {
+    try {
+      const submission = await apiController.findSubmission(req, res);
+      if (submission) {
+        await submissionModel.deleteSubmission(submission._id.toString());
+        res.status(204).end();
+      }
+    } catch (error) {
+      if (error.message.includes("not found")) {
+        return apiController.handleLookupError(res, error);
+      }
+      if (error.message.includes("still being processed")) {
+        return sendApiError(
+          res,
+          409,
+          "submission_processing",
+          "The submission is still being processed. Delete it once its job has finished."
+        );
+      }
+      console.error("API error deleting submission:", error);
+      sendApiError(
+        res,
+        500,
+        "delete_failed",
+        "Unable to delete the submission. Please try again."
+      );
+    }
+  }
+
+  async getSubmissionImages(req, res) {
+    try {
+      const submission = await apiController.findSubmission(req, res);
+      if (submission) {
+        res.json(apiController.toSubmissionResource(submission).images);
+      }
+    } catch (error) {
+      apiController.handleLookupError(res, error);
+    }
+  }
+
+  async getJob(req, res) {
+    try {
+      const { id } = req.params;
+      if (!ObjectId.isValid(id)) {
+        return sendApiError(res, 400, "invalid_id", "Invalid job ID format.");
+      }
+      const job = await jobModel.getJobById(id);
+      if (job.apiKeyId !== req.apiKey._id.toString()) {
+        return sendApiError(res, 404, "not_found", "Job not found.");
+      }
+      res.json(apiController.toJobResource(job));
+    } catch (error) {
+      if (error.message.includes("not found")) {
+        return sendApiError(res, 404, "not_found", "Job not found.");
+      }
+      console.error("API error fetching job:", error);
+      sendApiError(res, 500, "internal_error", "Unable to load job.");
+    }
+  }
+
+  getOpenApiSpec(req, res) {
+    res.json(openApiSpec);
+  }
+
+  // Returns the caller's submission, or sends a 400 and returns null for a
+  // bad ID. Submissions made with another key are reported as not found.
+  async findSubmission(req, res) {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      sendApiError(res, 400, "invalid_id", "Invalid submission ID format.");
+      return null;
+    }
+    const submission = await submissionModel.getSubmissionById(id);
+    if (submission.apiKeyId !== req.apiKey._id.toString()) {
+      throw new Error("Submission not found");
+    }
+    return submission;
+  }
+
+  handleLookupError(res, error) {
+    if (error.message.includes("not found")) {
+      return sendApiError(res, 404, "not_found", "Submission not found.");
+    }
+    console.error("API error fetching submission:", error);
+    sendApiError(
+      res,
+      500,
+      "internal_error",
+      "Unable to load submission. Please try again later."
+    );
+  }
+
+  toImageResource(image) {
+    if (!image || !image.url) {
+      return null;
+    }
+    return {
+      url: image.url,
+      width: image.width || null,
+      height: image.height || null,
+      format: image.format || null,
+      bytes: image.bytes || null,
+      originalFormat: image.originalFormat || null,
+    };
+  }
+
+  toSubmissionResource(submission) {
+    const id = submission._id.toString();
+    const images = {};
+    IMAGE_TYPES.forEach((type) => {
+      images[type] = apiController.toImageResource(submission[`${type}Image`]);
+    });
+    return {
+      id,
+      name: submission.name,
+      email: submission.email,
+      phone: submission.phone,
+      provider: submission.provider || null,
+      status: submission.status || "completed",
+      failure: submission.failure
+        ? { stage: submission.failure.stage, reason: submission.failure.reason }
+        : null,
+      regions: submission.regions || null,
+      images,
+      createdAt: submission.createdAt,
+      updatedAt: submission.updatedAt,
+      links: {
+        self: `/api/v1/submissions/${id}`,
+        images: `/api/v1/submissions/${id}/images`,
+        html: `/submissions/${id}`,
+      },
+    };
+  }
+
+  toJobResource(job) {
+    const id = job._id.toString();
+    const links = {
+      self: `/api/v1/jobs/${id}`,
+      events: `/jobs/${id}/events`,
+    };
+    if (job.submissionId) {
+      links.submission = `/api/v1/submissions/${job.submissionId}`;
+    }
+    return {
+      id,
+      status: job.status,
+      submissionId: job.submissionId,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      links,
+    };
+  }
+
+  cleanupTempFiles(filePaths) {
+    filePaths.forEach((filePath) => {
+      try {
+        if (typeof filePath === "string" && fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      } catch (error) {
+        console.warn(
+          `Failed to clean up temp file ${filePath}:`,
+          error.message
+        );
+      }
+    });
+  }
+}
+
+const apiController = new ApiController();
+export default apiController;
@@ -0,0 +1,105 @@
+import apiKeyModel from "../models/apiKeyModel.js";
+import submissionModel from "../models/submissionModel.js";
+import sendApiError from "../utils/apiError.js";
+import sanitizeHtml from "sanitize-html";
+import { ObjectId } from "mongodb";
+
+class ApiKeyController {
+  async listApiKeys(req, res) {
+    try {
+      const keys = await apiKeyModel.listKeys();
+      const data = await Promise.all(
+        keys.map(async (record) => ({
+          ...apiKeyModel.toPublicKey(record),
+          usage: await apiKeyController.getKeyUsage(record),
+        }))
+      );
+      res.json({ data });
+    } catch (error) {
+      console.error("Error listing API keys:", error);
+      sendApiError(res, 500, "internal_error", "Unable to list API keys.");
+    }
+  }
+
+  async createApiKey(req, res) {
+    try {
+      const name = sanitizeHtml(String(req.body.name || "").trim(), {
+        allowedTags: [],
+        allowedAttributes: {},
+      });
+      if (name.length < 3 || name.length > 60) {
+        return sendApiError(
+          res,
+          400,
+          "validation_failed",
+          "Key name must be between 3 and 60 characters."
+        );
+      }
+
+      const { key, record } = await apiKeyModel.createKey({
+        name,
+        dailyQuota: req.body.dailyQuota,
+        monthlyQuota: req.body.monthlyQuota,
+        rateLimitMax: req.body.rateLimitMax,
+        rateLimitWindowMs: req.body.rateLimitWindowMs,
+      });
+      res.status(201).json({
+        ...apiKeyModel.toPublicKey(record),
+        key,
+        warning: "Store this key now. It cannot be shown again.",
+      });
+    } catch (error) {
+      console.error("Error creating API key:", error);
+      sendApiError(res, 500, "internal_error", "Unable to create API key.");
+    }
+  }
+
+  async revokeApiKey(req, res) {
+    try {
+      const { id } = req.params;
+      if (!ObjectId.isValid(id)) {
+        return sendApiError(res, 400, "invalid_id", "Invalid API key ID.");
+      }
+      await apiKeyModel.revokeKey(id);
+      res.json({ id, revoked: true });
+    } catch (error) {
+      if (error.message.includes("not found")) {
+        return sendApiError(res, 404, "not_found", error.message);
+      }
+      console.error("Error revoking API key:", error);
+      sendApiError(res, 500, "internal_error", "Unable to revoke API key.");
+    }
+  }
+
+  async getApiKeyUsage(req, res) {
+    try {
+      const { id } = req.params;
+      if (!ObjectId.isValid(id)) {
+        return sendApiError(res, 400, "invalid_id", "Invalid API key ID.");
+      }
+      const record = await apiKeyModel.getKeyById(id);
+      res.json({
+        ...apiKeyModel.toPublicKey(record),
+        usage: await apiKeyController.getKeyUsage(record),
+      });
+    } catch (error) {
+      if (error.message.includes("not found")) {
+        return sendApiError(res, 404, "not_found", "API key not found.");
+      }
+      console.error("Error fetching API key usage:", error);
+      sendApiError(res, 500, "internal_error", "Unable to load usage.");
+    }
+  }
+
+  // Swaps requested against the quota, plus submissions actually completed
+  async getKeyUsage(record) {
+    const [usage, completedSubmissions] = await Promise.all([
+      apiKeyModel.getUsage(record),
+      submissionModel.countSubmissions({ apiKeyId: record._id.toString() }),
+    ]);
+    return { ...usage, completedSubmissions };
+  }
+}
+
+const apiKeyController = new ApiKeyController();
+export default apiKeyController;
@@ -0,0 +1,146 @@
+import adminUserModel, { ROLES } from "../models/adminUserModel.js";
+import { ObjectId } from "mongodb";
+
+// Only allow redirects back to paths on this site
+const safeNextUrl = (next) =>
+  typeof next === "string" && next.startsWith("/") && !next.startsWith("//")
+    ? next
+    : "/submissions";
+
+class AuthController {
+  renderLogin(req, res) {
+    if (req.user) {
+      return res.redirect(safeNextUrl(req.query.next));
+    }
+    res.render("login", {
+      error: null,
+      next: safeNextUrl(req.query.next),
+      username: "",
+    });
+  }
+
+  async login(req, res) {
+    const { username, password, next } = req.body;
+    try {
+      const user = await adminUserModel.authenticate(username, password);
+      if (!user) {
+        return res.status(401).render("login", {
+          error: "Invalid username or password.",
+          next: safeNextUrl(next),
+          username: typeof username === "string" ? username : "",
+        });
+      }
+
+      // New session ID on login to prevent session fixation
+      req.session.regenerate((error) => {
+        if (error) {
+          console.error("Error regenerating session:", error);
+          return res.status(500).render("login", {
+            error: "Unable to log in. Please try again.",
+            next: safeNextUrl(next),
+            username: "",
+          });
+        }
+        req.session.userId = user._id.toString();
+        req.session.save(() => res.redirect(safeNextUrl(next)));
+      });
+    } catch (error) {
+      console.error("Login failed:", error);
+      res.status(500).render("login", {
+        error: "Unable to log in. Please try again later.",
+        next: safeNextUrl(next),
+        username: "",
+      });
+    }
+  }
+
+  logout(req, res) {
+    req.session.destroy((error) => {
+      if (error) {
+        console.error("Error destroying session:", error);
+      }
+      res.clearCookie("faceswap.sid");
+      res.redirect("/");
+    });
+  }
+
+  async listUsers(req, res) {
+    try {
+      const users = await adminUserModel.listUsers();
+      res.render("adminUsers", {
+        users,
+        roles: ROLES,
+        error: req.query.error || null,
+        success: req.query.success || null,
+      });
+    } catch (error) {
+      console.error("Error listing admin users:", error);
+      res.status(500).render("adminUsers", {
+        users: [],
+        roles: ROLES,
+        error: "Unable to load users. Please try again later.",
+        success: null,
+      });
+    }
+  }
+
+  async createUser(req, res) {
+    const username = String(req.body.username || "").trim();
+    const { password, role } = req.body;
+    try {
+      const validation = adminUserModel.validateUserInput({
+        username,
+        password,
+        role,
+      });
+      if (!validation.isValid) {
+        return res.redirect(
+          `/admin/users?error=${encodeURIComponent(
+            validation.errors.join(", ")
+          )}`
+        );
+      }
+      await adminUserModel.createUser({ username, password, role });
+      res.redirect(
+        `/admin/users?success=${encodeURIComponent(`Created ${username}`)}`
+      );
+    } catch (error) {
+      console.error("Error creating admin user:", error);
+      const message = error.message.includes("already exists")
+        ? error.message
+        : "Unable to create user.";
+      res.redirect(`/admin/users?error=${encodeURIComponent(message)}`);
+    }
+  }
+
+  async updateUserRole(req, res) {
+    const { id } = req.params;
+    const { role } = req.body;
+    try {
+      if (!ObjectId.isValid(id) || !ROLES.includes(role)) {
+        return res.redirect(
+          `/admin/users?error=${encodeURIComponent("Invalid user or role")}`
+        );
+      }
+      if (id === req.user.id && role !== "admin") {
+        return res.redirect(
+          `/admin/users?error=${encodeURIComponent(
+            "You cannot remove your own admin role"
+          )}`
+        );
+      }
+      await adminUserModel.updateRole(id, role);
+      res.redirect(
+        `/admin/users?success=${encodeURIComponent("Role updated")}`
+      );
+    } catch (error) {
+      console.error("Error updating user role:", error);
+      res.redirect(
+        `/admin/users?error=${encodeURIComponent("Unable to update role")}`
+      );
+    }
+  }
+}
+
+const authController = new AuthController();
+export default authController;
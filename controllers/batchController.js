@@ -0,0 +1,367 @@
+import batchModel from "../models/batchModel.js";
+import jobModel from "../models/jobModel.js";
+import submissionModel from "../models/submissionModel.js";
+import faceSwapAPI from "../utils/faceSwapApi.js";
+import renderUnavailable from "../utils/renderUnavailable.js";
+import {
+  BATCH_MAX_TARGETS,
+  BATCH_MAX_ZIP_MB,
+  MAX_UPLOAD_BYTES,
+  MAX_UPLOAD_MB,
+} from "../config/upload.js";
+import { extractImagesFromZip, createZip } from "../utils/zipImages.js";
+import {
+  isAcceptedImage,
+  ACCEPTED_FORMATS_LABEL,
+  FORMAT_MIME_TYPES,
+} from "../utils/imageFormats.js";
+import { inspectImage } from "../utils/imageValidation.js";
+import { getStorageForImage } from "../utils/storage/index.js";
+import submissionController from "./submissionController.js";
+import path from "path";
+import fs from "fs";
+import { ObjectId } from "mongodb";
+
+// Item statuses that will not change any more
+const FINISHED_STATUSES = ["completed", "failed", "deleted"];
+
+class BatchController {
+  async renderForm(req, res) {
+    res.render("batchForm", {
+      error: null,
+      oldInput: null,
+      batches: await batchController.recentBatches(),
+      maxTargets: BATCH_MAX_TARGETS,
+      maxZipMb: BATCH_MAX_ZIP_MB,
+      apiStatus: faceSwapAPI.isConfigured(),
+      currentPage: "batches",
+    });
+  }
+
+  // The form page still renders if the batch list can't be loaded
+  async recentBatches() {
+    try {
+      return await batchModel.listBatches();
+    } catch (error) {
+      console.error("Error loading batches:", error);
+      return [];
+    }
+  }
+
+  async renderFormError(req, res, statusCode, message) {
+    if (req.accepts(["html", "json"]) === "json") {
+      return res.status(statusCode).json({ error: message });
+    }
+    res.status(statusCode).render("batchForm", {
+      error: message,
+      oldInput: req.body || {},
+      batches: await batchController.recentBatches(),
+      maxTargets: BATCH_MAX_TARGETS,
+      maxZipMb: BATCH_MAX_ZIP_MB,
+      apiStatus: faceSwapAPI.isConfigured(),
+      currentPage: "batches",
+    });
+  }
+
+  // Check one uploaded or extracted image; returns an error message or null
+  checkImage(file, label) {
+    if (file.size > MAX_UPLOAD_BYTES) {
+      return `${label} must be less than ${MAX_UPLOAD_MB}MB`;
+    }
+    if (!isAcceptedImage(file.mimetype, file.originalname)) {
+      return `${label} must be ${ACCEPTED_FORMATS_LABEL} format`;
+    }
+    return null;
+  }
+
+  async createBatch(req, res) {
+    const source = req.files?.source?.[0];
+    const zip = req.files?.targetsZip?.[0];
+    const targets = [...(req.files?.targets || [])];
+    // Every local file the request owns; queued jobs take over theirs
+    let tempFiles = Object.values(req.files || {})
+      .flat()
+      .map((file) => file.path);
+    const fail = (statusCode, message) => {
+      submissionController.cleanupTempFiles(tempFiles);
+      return batchController.renderFormError(req, res, statusCode, message);
+    };
+
+    try {
+      if (req.uploadError) {
+        return fail(400, req.uploadError);
+      }
+      const inputValidation = submissionModel.validateAndSanitizeInput(
+        req.body
+      );
+      if (!inputValidation.isValid) {
+        return fail(400, inputValidation.errors.join(", "));
+      }
+      if (!source) {
+        return fail(400, "Source image is required.");
+      }
+
+      if (zip) {
+        let extracted;
+        try {
+          extracted = extractImagesFromZip(zip.path, {
+            maxFiles: BATCH_MAX_TARGETS - targets.length,
+            maxBytes: MAX_UPLOAD_BYTES,
+          });
+        } catch (error) {
+          return fail(400, error.message);
+        }
+        targets.push(...extracted);
+        tempFiles.push(...extracted.map((file) => file.path));
+        // Uploaded images were inspected by the route; these weren't
+        const zipErrors = [];
+        for (const file of extracted) {
+          try {
+            const { format } = await inspectImage(file.path, file.originalname);
+            file.mimetype = FORMAT_MIME_TYPES[format];
+          } catch (error) {
+            zipErrors.push(`Target ${file.originalname} ${error.message}`);
+          }
+        }
+        if (zipErrors.length > 0) {
+          return fail(400, zipErrors.join(", "));
+        }
+      }
+      if (targets.length === 0) {
+        return fail(
+          400,
+          "At least one target image is required. Upload images or a ZIP of images."
+        );
+      }
+      if (targets.length > BATCH_MAX_TARGETS) {
+        return fail(
+          400,
+          `A batch can have at most ${BATCH_MAX_TARGETS} target images.`
+        );
+      }
+      const errors = [
+        batchController.checkImage(source, "Source image"),
+        ...targets.map((file) =>
+          batchController.checkImage(file, `Target ${file.originalname}`)
+        ),
+      ].filter(Boolean);
+      if (errors.length > 0) {
+        return fail(400, errors.join(", "));
+      }
+      if (!faceSwapAPI.isConfigured()) {
+        return fail(
+          503,
+          "Face swap service is not properly configured. Please contact support."
+        );
+      }
+      const availability = await faceSwapAPI.getAvailability();
+      if (!availability.available) {
+        submissionController.cleanupTempFiles(tempFiles);
+        return renderUnavailable(req, res, availability);
+      }
+
+      // Each job owns and removes its own files, so every job gets a copy
+      // of the source image
+      const batchId = new ObjectId();
+      const items = [];
+      for (const target of targets) {
+        const sourceCopy = path.resolve(
+          "uploads",
+          `source-${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(source.path)}`
+        );
+        fs.copyFileSync(source.path, sourceCopy);
+        tempFiles.push(sourceCopy);
+        const job = await jobModel.createJob(
+          inputValidation.sanitized,
+          {
+            source: [{ ...source, path: sourceCopy }],
+            target: [target],
+          },
+          { batchId: batchId.toString() }
+        );
+        items.push({
+          jobId: job._id.toString(),
+          targetName: target.originalname,
+        });
+      }
+      await batchModel.createBatch({
+        _id: batchId,
+        requestedBy: req.user.username,
+        items,
+      });
+      // The queued jobs own the copies and targets now
+      submissionController.cleanupTempFiles(
+        [source.path, zip?.path].filter(Boolean)
+      );
+      tempFiles = [];
+      console.log(
+        `📦 Batch ${batchId} queued by ${req.user.username} with ${items.length} targets`
+      );
+
+      if (req.accepts(["html", "json"]) === "json") {
+        return res.status(202).json({
+          batchId: batchId.toString(),
+          batchUrl: `/batches/${batchId}`,
+          jobIds: items.map((item) => item.jobId),
+        });
+      }
+      res.redirect(303, `/batches/${batchId}`);
+    } catch (error) {
+      // Jobs queued before the failure still run and appear on the
+      // submissions list; they just don't belong to a batch page
+      console.error("Batch creation failed:", error);
+      fail(500, "Unable to queue the batch. Please try again.");
+    }
+  }
+
+  /**
+   * Load a batch with the current status of each item
+   * @param {string} id - Batch ID
+   * @returns {Promise<Object>} { batch, items, summary, status, finished }
+   */
+  async loadBatch(id) {
+    const batch = await batchModel.getBatchById(id);
+    const jobs = await jobModel.getJobsByBatchId(id);
+    const jobsById = new Map(jobs.map((job) => [job._id.toString(), job]));
+    const items = batch.items.map((item, index) => {
+      const job = jobsById.get(item.jobId);
+      return {
+        index: index + 1,
+        targetName: item.targetName,
+        jobId: item.jobId,
+        // Jobs removed by an erasure request no longer exist
+        status: job ? job.status : "deleted",
+        submissionId: job?.submissionId || null,
+        error: job?.error || null,
+      };
+    });
+    const summary = { total: items.length };
+    for (const status of [
+      "queued",
+      "processing",
+      "completed",
+      "failed",
+      "deleted",
+    ]) {
+      summary[status] = items.filter((item) => item.status === status).length;
+    }
+    const finished = items.every((item) =>
+      FINISHED_STATUSES.includes(item.status)
+    );
+    let status = "processing";
+    if (finished) {
+      if (summary.completed === summary.total) {
+        status = "completed";
+      } else {
+        status = summary.completed > 0 ? "partial" : "failed";
+      }
+    }
+    return { batch, items, summary, status, finished };
+  }
+
+  async getBatch(req, res) {
+    const wantsJson = req.accepts(["html", "json"]) === "json";
+    const renderError = (statusCode, message) =>
+      wantsJson
+        ? res.status(statusCode).json({ error: message })
+        : res.status(statusCode).render("batch", {
+            batch: null,
+            error: message,
+            currentPage: "batches",
+          });
+
+    try {
+      const { id } = req.params;
+      if (!id || !ObjectId.isValid(id)) {
+        return renderError(400, "Invalid batch ID format.");
+      }
+      const result = await batchController.loadBatch(id);
+      if (wantsJson) {
+        return res.json({
+          id,
+          status: result.status,
+          createdAt: result.batch.createdAt,
+          requestedBy: result.batch.requestedBy,
+          summary: result.summary,
+          items: result.items,
+          downloadUrl:
+            result.summary.completed > 0 ? `/batches/${id}/download` : null,
+        });
+      }
+      res.render("batch", {
+        batch: { id, ...result },
+        error: null,
+        currentPage: "batches",
+      });
+    } catch (error) {
+      console.error("Error fetching batch:", error);
+      if (error.message.includes("not found")) {
+        return renderError(404, "Batch not found.");
+      }
+      renderError(500, "Unable to load the batch. Please try again later.");
+    }
+  }
+
+  // Download every completed result as one ZIP, in upload order
+  async downloadResults(req, res) {
+    try {
+      const { id } = req.params;
+      if (!id || !ObjectId.isValid(id)) {
+        return res.status(400).json({ error: "Invalid batch ID format" });
+      }
+      const { items } = await batchController.loadBatch(id);
+      const files = [];
+      for (const item of items.filter(
+        (entry) => entry.status === "completed" && entry.submissionId
+      )) {
+        let submission;
+        try {
+          submission = await submissionModel.getSubmissionById(
+            item.submissionId
+          );
+        } catch (error) {
+          // Deleted since the job finished
+          continue;
+        }
+        const image = submission.swappedImage;
+        if (!image?.publicId) {
+          continue;
+        }
+        const { stream } = await getStorageForImage(image).createReadStream(
+          image.publicId
+        );
+        const baseName = path
+          .parse(item.targetName)
+          .name.replace(/[^a-zA-Z0-9_-]/g, "_")
+          .slice(0, 60);
+        files.push({
+          name: `${String(item.index).padStart(3, "0")}_${baseName}.${image.format || "jpg"}`,
+          data: Buffer.concat(await stream.toArray()),
+        });
+      }
+      if (files.length === 0) {
+        return res
+          .status(404)
+          .json({ error: "This batch has no results to download yet" });
+      }
+
+      res.set({
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename="batch_${id}.zip"`,
+      });
+      res.send(createZip(files));
+    } catch (error) {
+      console.error("Error downloading batch results:", error);
+      if (error.message.includes("not found")) {
+        res.status(404).json({ error: "Batch not found" });
+      } else {
+        res
+          .status(500)
+          .json({ error: "Download failed. Please try again later." });
+      }
+    }
+  }
+}
+
+const batchController = new BatchController();
+export default batchController;
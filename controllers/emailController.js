@@ -0,0 +1,134 @@
+import emailLogModel, { EMAIL_STATUSES } from "../models/emailLogModel.js";
+import submissionModel from "../models/submissionModel.js";
+import { isEmailConfigured, verifyOptOutToken } from "../utils/mailer.js";
+import config from "../config/index.js";
+
+// Entries shown on the send log
+const LOG_LIMIT = 100;
+
+class EmailController {
+  getSettings() {
+    return {
+      configured: isEmailConfigured(),
+      smtpHost: config.email.smtpHost || null,
+      smtpPort: config.email.smtpPort,
+      from: config.email.from,
+      maxAttempts: config.email.maxAttempts,
+      logDays: config.email.logDays,
+    };
+  }
+
+  // GET /admin/emails?status=
+  async renderEmailLog(req, res) {
+    const status = EMAIL_STATUSES.includes(req.query.status)
+      ? req.query.status
+      : "";
+    const wantsJson = req.accepts(["html", "json"]) === "json";
+    try {
+      const [entries, counts] = await Promise.all([
+        emailLogModel.listRecent({ status, limit: LOG_LIMIT }),
+        emailLogModel.countByStatus(),
+      ]);
+      if (wantsJson) {
+        return res.json({
+          settings: emailController.getSettings(),
+          counts,
+          data: entries.map(({ lockedUntil, expiresAt, ...entry }) => ({
+            ...entry,
+            id: entry._id.toString(),
+          })),
+        });
+      }
+      res.render("emailLog", {
+        settings: emailController.getSettings(),
+        counts,
+        entries,
+        statuses: EMAIL_STATUSES,
+        status,
+        error: null,
+      });
+    } catch (error) {
+      console.error("Error loading the email log:", error);
+      if (wantsJson) {
+        return res.status(500).json({ error: "Unable to load the email log." });
+      }
+      res.status(500).render("emailLog", {
+        settings: emailController.getSettings(),
+        counts: {},
+        entries: [],
+        statuses: EMAIL_STATUSES,
+        status,
+        error: "Unable to load the email log. Please try again later.",
+      });
+    }
+  }
+
+  // The token comes in the link's query string; the confirmation form and
+  // one-click unsubscribe post back to the same URL
+  renderOptOutPage(req, res, status, { state, message }) {
+    res.status(status).render("emailOptOut", {
+      state,
+      message,
+      actionUrl: req.originalUrl,
+      currentPage: "home",
+    });
+  }
+
+  // GET /email-opt-out/:submissionId?token=
+  // Only asks for confirmation, so link scanners in mail clients don't opt
+  // people out by opening the link
+  async renderOptOut(req, res) {
+    const { submissionId } = req.params;
+    if (!verifyOptOutToken(submissionId, req.query.token)) {
+      return emailController.renderOptOutPage(req, res, 403, {
+        state: "invalid",
+        message: "This opt-out link is not valid.",
+      });
+    }
+    emailController.renderOptOutPage(req, res, 200, {
+      state: "confirm",
+      message: null,
+    });
+  }
+
+  // POST /email-opt-out/:submissionId?token=
+  async optOut(req, res) {
+    const { submissionId } = req.params;
+    const wantsJson = req.accepts(["html", "json"]) === "json";
+    if (!verifyOptOutToken(submissionId, req.query.token || req.body?.token)) {
+      if (wantsJson) {
+        return res.status(403).json({ error: "Invalid opt-out link" });
+      }
+      return emailController.renderOptOutPage(req, res, 403, {
+        state: "invalid",
+        message: "This opt-out link is not valid.",
+      });
+    }
+    try {
+      await submissionModel.setEmailOptOut(submissionId);
+      console.log(`📧 Submitter of ${submissionId} opted out of emails`);
+    } catch (error) {
+      // A valid link to a deleted submission: nothing is left to email about
+      if (!error.message.includes("not found")) {
+        console.error("Error opting out of emails:", error);
+        if (wantsJson) {
+          return res.status(500).json({ error: "Unable to opt out." });
+        }
+        return emailController.renderOptOutPage(req, res, 500, {
+          state: "confirm",
+          message: "Unable to opt out. Please try again later.",
+        });
+      }
+    }
+    if (wantsJson) {
+      return res.json({ optedOut: true });
+    }
+    emailController.renderOptOutPage(req, res, 200, {
+      state: "done",
+      message: "You won't get any more emails about this face swap.",
+    });
+  }
+}
+
+const emailController = new EmailController();
+export default emailController;
@@ -0,0 +1,79 @@
+import erasureRequestModel from "../models/erasureRequestModel.js";
+import validator from "validator";
+import { ObjectId } from "mongodb";
+
+class ErasureController {
+  async renderErasurePage(req, res) {
+    try {
+      const requests = await erasureRequestModel.listRequests();
+      res.render("erasure", { requests, record: null, error: null });
+    } catch (error) {
+      console.error("Error listing erasure requests:", error);
+      res.status(500).render("erasure", {
+        requests: [],
+        record: null,
+        error: "Unable to load erasure requests. Please try again later.",
+      });
+    }
+  }
+
+  async createErasureRequest(req, res) {
+    const email = erasureRequestModel.normalizeEmail(req.body.email);
+    if (!validator.isEmail(email)) {
+      const requests = await erasureRequestModel.listRequests().catch(() => []);
+      return res.status(400).render("erasure", {
+        requests,
+        record: null,
+        error: "Please provide a valid email address.",
+      });
+    }
+
+    try {
+      const record = await erasureRequestModel.processErasure(
+        email,
+        req.user.username
+      );
+      res.redirect(303, `/admin/erasure/${record._id}`);
+    } catch (error) {
+      console.error("Erasure request failed:", error);
+      res.status(500).render("erasure", {
+        requests: [],
+        record: null,
+        error: "The erasure request failed. Please try again.",
+      });
+    }
+  }
+
+  // Confirmation record; JSON clients get the raw record for their files
+  async getErasureRequest(req, res) {
+    try {
+      const { id } = req.params;
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).render("erasure", {
+          requests: [],
+          record: null,
+          error: "Invalid erasure request ID.",
+        });
+      }
+      const record = await erasureRequestModel.getRequestById(id);
+      if (req.accepts(["html", "json"]) === "json") {
+        return res.json(record);
+      }
+      const requests = await erasureRequestModel.listRequests();
+      res.render("erasure", { requests, record, error: null });
+    } catch (error) {
+      console.error("Error fetching erasure request:", error);
+      const notFound = error.message.includes("not found");
+      res.status(notFound ? 404 : 500).render("erasure", {
+        requests: [],
+        record: null,
+        error: notFound
+          ? "Erasure request not found."
+          : "Unable to load the erasure request.",
+      });
+    }
+  }
+}
+
+const erasureController = new ErasureController();
+export default erasureController;
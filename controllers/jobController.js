@@ -0,0 +1,188 @@
+import jobModel from "../models/jobModel.js";
+import submissionModel from "../models/submissionModel.js";
+import { getStorageForImage } from "../utils/storage/index.js";
+import { ObjectId } from "mongodb";
+import config from "../config/index.js";
+
+class JobController {
+  constructor() {
+    this.streamInterval = config.worker.eventsIntervalMs;
+  }
+
+  async renderJob(req, res) {
+    try {
+      const { id } = req.params;
+      if (!id || !ObjectId.isValid(id)) {
+        return res.status(400).render("job", {
+          job: null,
+          error: "Invalid job ID format.",
+          currentPage: "job",
+        });
+      }
+
+      const job = await jobModel.getJobById(id);
+      res.render("job", {
+        job: jobController.toPublicJob(job),
+        error: null,
+        currentPage: "job",
+      });
+    } catch (error) {
+      console.error("Error fetching job:", error);
+      const notFound = error.message.includes("not found");
+      res.status(notFound ? 404 : 500).render("job", {
+        job: null,
+        error: notFound
+          ? "Job not found."
+          : "Unable to load job status. Please try again later.",
+        currentPage: "job",
+      });
+    }
+  }
+
+  async getJobStatus(req, res) {
+    try {
+      const { id } = req.params;
+      if (!id || !ObjectId.isValid(id)) {
+        return res.status(400).json({ error: "Invalid job ID format" });
+      }
+      const job = await jobModel.getJobById(id);
+      res.json(jobController.toPublicJob(job));
+    } catch (error) {
+      console.error("Error fetching job status:", error);
+      if (error.message.includes("not found")) {
+        res.status(404).json({ error: "Job not found" });
+      } else {
+        res.status(500).json({ error: "Unable to load job status" });
+      }
+    }
+  }
+
+  async streamJobEvents(req, res) {
+    const { id } = req.params;
+    if (!id || !ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid job ID format" });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    // Resume after the last event the browser saw when it reconnects
+    let nextEvent = parseInt(req.get("Last-Event-ID"), 10) + 1 || 0;
+    let closed = false;
+    let pollTimer = null;
+
+    const close = () => {
+      closed = true;
+      clearTimeout(pollTimer);
+      clearInterval(heartbeat);
+    };
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+    req.on("close", close);
+
+    const sendUpdates = async () => {
+      try {
+        const job = await jobModel.getJobById(id);
+        const events = job.events || [];
+        for (; nextEvent < events.length; nextEvent++) {
+          res.write(
+            `id: ${nextEvent}\nevent: progress\ndata: ${JSON.stringify(
+              events[nextEvent]
+            )}\n\n`
+          );
+        }
+        if (job.status === "completed" || job.status === "failed") {
+          res.write(
+            `event: done\ndata: ${JSON.stringify(
+              jobController.toPublicJob(job)
+            )}\n\n`
+          );
+          close();
+          return res.end();
+        }
+      } catch (error) {
+        console.error("Error streaming job events:", error);
+        const message = error.message.includes("not found")
+          ? "Job not found"
+          : "Unable to load job progress";
+        res.write(
+          `event: stream-error\ndata: ${JSON.stringify({ error: message })}\n\n`
+        );
+        close();
+        return res.end();
+      }
+      if (!closed) {
+        pollTimer = setTimeout(sendUpdates, jobController.streamInterval);
+      }
+    };
+
+    sendUpdates();
+  }
+
+  // The job page is public, so whoever queued the swap can download the
+  // result without an account. Submission images stay behind staff login.
+  async downloadResult(req, res) {
+    try {
+      const { id } = req.params;
+      if (!id || !ObjectId.isValid(id)) {
+        return res.status(400).json({ error: "Invalid job ID format" });
+      }
+      const job = await jobModel.getJobById(id);
+      if (job.status !== "completed" || !job.resultUrl) {
+        return res.status(404).json({ error: "Result not available" });
+      }
+
+      const { swappedImage } = await submissionModel.getSubmissionById(
+        job.submissionId
+      );
+      if (!swappedImage || !swappedImage.publicId) {
+        return res.status(404).json({ error: "Result not available" });
+      }
+      const fileName = `swapped_${id}.${swappedImage.format || "jpg"}`;
+      const downloadUrl = await getStorageForImage(swappedImage).getSignedUrl(
+        swappedImage.publicId,
+        { download: true, fileName }
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${fileName}"`
+      );
+      res.redirect(downloadUrl);
+    } catch (error) {
+      console.error("Error downloading job result:", error);
+      if (error.message.includes("Submission not found")) {
+        res.status(404).json({ error: "Result not available" });
+      } else if (error.message.includes("not found")) {
+        res.status(404).json({ error: "Job not found" });
+      } else {
+        res
+          .status(500)
+          .json({ error: "Download failed. Please try again later." });
+      }
+    }
+  }
+
+  // Only expose what the job page needs; the input holds contact details
+  // and the files hold server paths.
+  toPublicJob(job) {
+    return {
+      id: job._id.toString(),
+      status: job.status,
+      submissionId: job.submissionId,
+      resultUrl: job.resultUrl || null,
+      cached: Boolean(job.cached),
+      error: job.error,
+      events: job.events || [],
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+}
+
+const jobController = new JobController();
+export default jobController;
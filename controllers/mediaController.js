@@ -0,0 +1,66 @@
+import { getStorage } from "../utils/storage/index.js";
+
+// Backends whose images are served through this app; Cloudinary serves its own
+const SERVED_BACKENDS = ["local", "s3"];
+
+/**
+ * Serves images of the local and S3 backends. Like Cloudinary URLs, image
+ * URLs are public on purpose: anyone holding one can load the image, which
+ * is what lets result pages, emails, webhooks and API responses link to
+ * them. Keys include the submission ID and upload time, so they can't be
+ * listed. A signature is only needed for downloads; when one is given, it
+ * must be valid.
+ */
+class MediaController {
+  async serveMedia(req, res) {
+    const { backend } = req.params;
+    const key = [].concat(req.params.key).join("/");
+    if (!SERVED_BACKENDS.includes(backend)) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+
+    try {
+      const storage = getStorage(backend);
+      const signed = Boolean(req.query.signature);
+      if (signed && !storage.verifySignedUrl(key, req.query)) {
+        return res.status(403).json({ error: "Link expired or invalid" });
+      }
+
+      const { stream, contentType, size } = await storage.createReadStream(key);
+      res.setHeader("Content-Type", contentType);
+      if (size) {
+        res.setHeader("Content-Length", size);
+      }
+      res.setHeader("X-Content-Type-Options", "nosniff");
+      if (signed && req.query.download === "1") {
+        const fileName = String(
+          req.query.filename || key.split("/").pop()
+        ).replace(/[^\w.-]/g, "_");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="${fileName}"`
+        );
+        res.setHeader("Cache-Control", "private, no-store");
+      } else {
+        res.setHeader("Cache-Control", "public, max-age=86400");
+      }
+      stream.on("error", (error) => {
+        console.error(`Error streaming ${backend} image ${key}:`, error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      if (error.message.includes("not found")) {
+        return res.status(404).json({ error: "Image not found" });
+      }
+      if (error.message.includes("Invalid storage key")) {
+        return res.status(400).json({ error: "Invalid image path" });
+      }
+      console.error("Error serving media:", error);
+      res.status(500).json({ error: "Unable to load image" });
+    }
+  }
+}
+
+const mediaController = new MediaController();
+export default mediaController;
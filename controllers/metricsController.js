@@ -0,0 +1,64 @@
+import swapMetricModel from "../models/swapMetricModel.js";
+import faceSwapAPI from "../utils/faceSwapApi.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANGES = [7, 30, 90];
+const UNITS = ["day", "week"];
+
+class MetricsController {
+  // GET /admin/metrics?days=30&unit=day
+  async renderDashboard(req, res) {
+    const days = RANGES.includes(parseInt(req.query.days))
+      ? parseInt(req.query.days)
+      : 30;
+    const unit = UNITS.includes(req.query.unit) ? req.query.unit : "day";
+    // Whole UTC days, so the first bar of the series is not a partial day
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const since = new Date(today.getTime() - (days - 1) * DAY_MS);
+
+    try {
+      const [summary, series, failures, providers, percentiles] =
+        await Promise.all([
+          swapMetricModel.getSummary(since),
+          swapMetricModel.getTimeSeries(since, unit),
+          swapMetricModel.getFailureReasons(since),
+          swapMetricModel.getProviderBreakdown(since),
+          swapMetricModel.getDurationPercentiles(since),
+        ]);
+      const metrics = {
+        range: { days, unit, since },
+        summary,
+        percentiles,
+        series,
+        failures,
+        providers,
+        // In-memory counters of this process, reset on restart
+        sinceRestart: faceSwapAPI.getStats(),
+      };
+      if (req.accepts(["html", "json"]) === "json") {
+        return res.json(metrics);
+      }
+      res.render("metrics", {
+        metrics,
+        ranges: RANGES,
+        units: UNITS,
+        error: null,
+      });
+    } catch (error) {
+      console.error("Error loading swap metrics:", error);
+      if (req.accepts(["html", "json"]) === "json") {
+        return res.status(500).json({ error: "Unable to load swap metrics" });
+      }
+      res.status(500).render("metrics", {
+        metrics: null,
+        ranges: RANGES,
+        units: UNITS,
+        error: "Unable to load swap metrics. Please try again later.",
+      });
+    }
+  }
+}
+
+const metricsController = new MetricsController();
+export default metricsController;
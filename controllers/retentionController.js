@@ -0,0 +1,96 @@
+import retentionScheduler from "../workers/retentionScheduler.js";
+import retentionRunModel from "../models/retentionRunModel.js";
+import { ObjectId } from "mongodb";
+
+class RetentionController {
+  async renderRetentionPage(req, res) {
+    try {
+      const runs = await retentionRunModel.listRuns();
+      res.render("retention", {
+        policy: retentionScheduler.getPolicy(),
+        runs,
+        run: null,
+        error: null,
+      });
+    } catch (error) {
+      console.error("Error listing retention runs:", error);
+      res.status(500).render("retention", {
+        policy: retentionScheduler.getPolicy(),
+        runs: [],
+        run: null,
+        error: "Unable to load retention runs. Please try again later.",
+      });
+    }
+  }
+
+  async getRun(req, res) {
+    try {
+      const { id } = req.params;
+      if (!ObjectId.isValid(id)) {
+        throw new Error("Retention run not found");
+      }
+      const [run, runs] = await Promise.all([
+        retentionRunModel.getRunById(id),
+        retentionRunModel.listRuns(),
+      ]);
+      if (req.accepts(["html", "json"]) === "json") {
+        return res.json(run);
+      }
+      res.render("retention", {
+        policy: retentionScheduler.getPolicy(),
+        runs,
+        run,
+        error: null,
+      });
+    } catch (error) {
+      console.error("Error fetching retention run:", error);
+      const notFound = error.message.includes("not found");
+      res.status(notFound ? 404 : 500).render("retention", {
+        policy: retentionScheduler.getPolicy(),
+        runs: [],
+        run: null,
+        error: notFound
+          ? "Retention run not found."
+          : "Unable to load the retention run.",
+      });
+    }
+  }
+
+  // POST /admin/retention/preview and /admin/retention/run
+  runNow(dryRun) {
+    return async (req, res) => {
+      if (!retentionScheduler.isEnabled()) {
+        return res.status(400).render("retention", {
+          policy: retentionScheduler.getPolicy(),
+          runs: await retentionRunModel.listRuns().catch(() => []),
+          run: null,
+          error:
+            "No retention policy is configured. Set RETENTION_IMAGE_DAYS and/or RETENTION_PII_DAYS.",
+        });
+      }
+      try {
+        const run = await retentionScheduler.runOnce({
+          dryRun,
+          trigger: "manual",
+          triggeredBy: req.user.username,
+        });
+        res.redirect(303, `/admin/retention/${run._id}`);
+      } catch (error) {
+        console.error("Manual retention run failed:", error);
+        res
+          .status(error.message.includes("in progress") ? 409 : 500)
+          .render("retention", {
+            policy: retentionScheduler.getPolicy(),
+            runs: [],
+            run: null,
+            error: error.message.includes("in progress")
+              ? "A retention run is already in progress. Try again shortly."
+              : "The retention run failed. Please try again.",
+          });
+      }
+    };
+  }
+}
+
+const retentionController = new RetentionController();
+export default retentionController;
@@ -1,8 +1,30 @@
-import submissionModel from "../models/submissionModel.js";
+import submissionModel, {
+  SUBMISSION_SORTS,
+  SUBMISSION_STATUS_FILTERS,
+} from "../models/submissionModel.js";
+import jobModel from "../models/jobModel.js";
+import swapCacheModel from "../models/swapCacheModel.js";
 import faceSwapAPI from "../utils/faceSwapApi.js";
+import renderFormError from "../utils/renderFormError.js";
+import renderUnavailable from "../utils/renderUnavailable.js";
+import { maskSubmission } from "../utils/pii.js";
+import { getStorage, getStorageForImage } from "../utils/storage/index.js";
+import { hashImagePair } from "../utils/imageHashes.js";
+import { normalizeImage } from "../utils/imageNormalizer.js";
+import {
+  EXPORT_FIELDS,
+  EXPORT_FORMATS,
+  selectFields,
+  formatRow,
+  csvHeader,
+} from "../utils/submissionExport.js";
 import path from "path";
 import fs from "fs";
 import { ObjectId } from "mongodb";
+import config from "../config/index.js";
+
+const PAGE_SIZES = [10, 20, 50, 100];
+const DEFAULT_PAGE_SIZE = 20;
 
 class SubmissionController {
   async renderForm(req, res) {
@@ -39,26 +61,34 @@ class SubmissionController {
         req.body
       );
       if (!inputValidation.isValid) {
-        return res.status(400).render("index", {
-          error: inputValidation.errors.join(", "),
-          swappedImage: null,
-          oldInput: req.body,
-          submissionId: null,
-          apiStatus: faceSwapAPI.isConfigured(),
-          currentPage: "home",
-        });
+        return renderFormError(
+          req,
+          res,
+          400,
+          inputValidation.errors.join(", "),
+          faceSwapAPI.isConfigured()
+        );
       }
 
       const fileValidation = submissionModel.validateFiles(req.files);
       if (!fileValidation.isValid) {
-        return res.status(400).render("index", {
-          error: fileValidation.errors.join(", "),
-          swappedImage: null,
-          oldInput: req.body,
-          submissionId: null,
-          apiStatus: faceSwapAPI.isConfigured(),
-          currentPage: "home",
-        });
+        return renderFormError(
+          req,
+          res,
+          400,
+          fileValidation.errors.join(", "),
+          faceSwapAPI.isConfigured()
+        );
+      }
+      const regionValidation = submissionModel.validateRegions(req.body);
+      if (!regionValidation.isValid) {
+        return renderFormError(
+          req,
+          res,
+          400,
+          regionValidation.errors.join(", "),
+          faceSwapAPI.isConfigured()
+        );
       }
 
       tempFiles = [req.files.source[0].path, req.files.target[0].path];
@@ -68,116 +98,364 @@ class SubmissionController {
         );
       }
 
-      const submissionId = `sub_${Date.now()}_${Math.random()
-        .toString(36)
-        .substr(2, 9)}`;
-      const imageUploads = await submissionModel.uploadImages(
-        req.files,
-        submissionId
-      );
-      const swappedImageUrl = await faceSwapAPI.performFaceSwap(
-        imageUploads.source.url,
-        imageUploads.target.url,
-        true,
-        true
-      );
-      const swappedImageUpload = await submissionModel.uploadSwappedImage(
-        swappedImageUrl,
-        submissionId
-      );
-      const submission = await submissionModel.createSubmission(
-        inputValidation.sanitized,
-        imageUploads,
-        swappedImageUpload
-      );
-
-      if (tempFiles && tempFiles.length > 0) {
-        tempFiles.forEach((filePath) => {
-          try {
-            if (fs.existsSync(filePath)) {
-              fs.unlinkSync(filePath);
-            }
-          } catch (cleanupError) {
-            console.warn(
-              `Failed to clean up temp file ${filePath}:`,
-              cleanupError.message
-            );
-          }
+      const hashes = await submissionController.hashUploads(req.files);
+      const cachedJob = hashes
+        ? await submissionController.serveFromCache(
+            inputValidation.sanitized,
+            req.files,
+            hashes,
+            regionValidation.regions
+          )
+        : null;
+      if (cachedJob) {
+        // The uploads were stored with the new submission
+        submissionController.cleanupTempFiles(tempFiles);
+      } else {
+        // Don't queue a swap no provider can take; cached results above
+        // are still served
+        const availability = await faceSwapAPI.getAvailability();
+        if (!availability.available) {
+          submissionController.cleanupTempFiles(tempFiles);
+          return renderUnavailable(req, res, availability);
+        }
+      }
+      const job =
+        cachedJob ||
+        (await jobModel.createJob(inputValidation.sanitized, req.files, {
+          regions: regionValidation.regions,
+          hashes,
+        }));
+      const jobId = job._id.toString();
+      if (req.accepts(["html", "json"]) === "json") {
+        return res.status(202).json({
+          jobId: jobId,
+          jobUrl: `/jobs/${jobId}`,
+          eventsUrl: `/jobs/${jobId}/events`,
         });
       }
-
-      res.render("index", {
-        error: null,
-        swappedImage: swappedImageUpload.url,
-        oldInput: null,
-        submissionId: submission._id.toString(),
-        apiStatus: true,
-        currentPage: "home",
-      });
+      res.redirect(303, `/jobs/${jobId}`);
     } catch (error) {
       console.error("Submission process failed:", error);
-      this.cleanupTempFiles(tempFiles);
+      submissionController.cleanupTempFiles(tempFiles);
       let userErrorMessage = "An unexpected error occurred during processing.";
 
       if (error.message.includes("Face swap")) {
-        userErrorMessage =
-          "Face swap processing failed. Please try with different images.";
-      } else if (error.message.includes("upload")) {
-        userErrorMessage =
-          "Image upload failed. Please check your images and try again.";
-      } else if (error.message.includes("validation")) {
         userErrorMessage = error.message;
       } else if (error.message.includes("database")) {
         userErrorMessage = "Database error. Please try again later.";
       }
 
-      res.status(500).render("index", {
-        error: userErrorMessage,
-        swappedImage: null,
-        oldInput: req.body,
-        submissionId: null,
-        apiStatus: faceSwapAPI.isConfigured(),
-        currentPage: "home",
+      renderFormError(
+        req,
+        res,
+        500,
+        userErrorMessage,
+        faceSwapAPI.isConfigured()
+      );
+    }
+  }
+
+  // Hashes of the uploads for the result cache; a failure only means the
+  // request can't be matched, so the swap goes ahead
+  async hashUploads(files) {
+    try {
+      return await hashImagePair({
+        source: files.source[0],
+        target: files.target[0],
       });
+    } catch (error) {
+      console.warn("⚠️ Could not hash uploads:", error.message);
+      return null;
     }
   }
 
-  async listSubmissions(req, res) {
+  /**
+   * Answer a submission from the result cache: store the uploads and a
+   * copy of the cached result as a new, completed submission. Returns null
+   * when the cache is off or has no match, or when anything fails, in which
+   * case the swap is queued as usual.
+   * @returns {Promise<Object|null>} The completed job
+   */
+  async serveFromCache(userData, files, hashes, regions) {
+    let entry = null;
+    let submissionId = null;
+    const localFiles = [];
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = 20;
-      const skip = (page - 1) * limit;
+      if (!(await swapCacheModel.isEnabled())) {
+        return null;
+      }
+      entry = await swapCacheModel.findEntry(hashes, regions);
+      if (!entry) {
+        return null;
+      }
+      const resultPath = await submissionModel.fetchImageToFile(
+        entry.swappedImage,
+        "cached"
+      );
+      localFiles.push(resultPath);
+
+      const jobId = new ObjectId();
+      const submission = await submissionModel.createSubmission(userData, {
+        jobId: jobId.toString(),
+        regions,
+        hashes,
+        cachedFrom: entry.submissionId,
+      });
+      submissionId = submission._id.toString();
+      // Stored like the worker stores them: normalised, without metadata
+      const inputs = {};
+      for (const type of ["source", "target"]) {
+        const normalized = await normalizeImage(files[type][0].path);
+        localFiles.push(normalized.path);
+        inputs[type] = [
+          { path: normalized.path, originalFormat: normalized.original.format },
+        ];
+      }
+      await submissionModel.startSwap(
+        submissionId,
+        await submissionModel.uploadImages(inputs, submissionId)
+      );
+      const swappedUpload = await submissionModel.uploadSwappedImage(
+        resultPath,
+        submissionId
+      );
+      await submissionModel.completeSubmission(
+        submissionId,
+        swappedUpload,
+        entry.provider
+      );
+      await swapCacheModel.recordHit(entry._id);
+      console.log(
+        `♻️ Submission ${submissionId} reused the result of ${entry.submissionId} (${entry.match} match)`
+      );
+      return await jobModel.createCachedJob(
+        jobId,
+        userData,
+        submissionId,
+        swappedUpload.url,
+        { regions }
+      );
+    } catch (error) {
+      console.warn("⚠️ Cached result could not be used:", error.message);
+      if (entry && error.message.includes("not found")) {
+        // The cached result is gone from storage
+        await swapCacheModel.removeEntry(entry._id).catch(() => {});
+      }
+      if (submissionId) {
+        await submissionModel.deleteSubmission(submissionId).catch((err) => {
+          console.error(`Failed to remove submission ${submissionId}:`, err);
+        });
+      }
+      return null;
+    } finally {
+      submissionController.cleanupTempFiles(localFiles);
+    }
+  }
 
-      const submissions = await submissionModel.getAllSubmissions(limit, skip);
+  // Read the list filters from the query string, dropping anything invalid
+  parseListQuery(query, canSearch) {
+    const parseDay = (value) =>
+      /^\d{4}-\d{2}-\d{2}$/.test(value || "") &&
+      !isNaN(new Date(value).getTime())
+        ? value
+        : "";
+    const limit = parseInt(query.limit);
+    return {
+      // Searching by contact details would let viewers probe for PII
+      q: canSearch
+        ? String(query.q || "")
+            .trim()
+            .slice(0, 100)
+        : "",
+      from: parseDay(query.from),
+      to: parseDay(query.to),
+      status: SUBMISSION_STATUS_FILTERS.includes(query.status)
+        ? query.status
+        : "",
+      sort: SUBMISSION_SORTS[query.sort] ? query.sort : "newest",
+      limit: PAGE_SIZES.includes(limit) ? limit : DEFAULT_PAGE_SIZE,
+    };
+  }
+
+  listFilter(filters) {
+    return submissionModel.buildListFilter({
+      search: filters.q,
+      from: filters.from ? new Date(filters.from) : null,
+      // The "to" day is inclusive
+      to: filters.to
+        ? new Date(new Date(filters.to).getTime() + 24 * 60 * 60 * 1000)
+        : null,
+      status: filters.status,
+    });
+  }
+
+  // Link to the list with the current filters, omitting defaults
+  listUrl(filters, cursor = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...filters, ...cursor })) {
+      if (
+        value &&
+        !(key === "sort" && value === "newest") &&
+        !(key === "limit" && value === DEFAULT_PAGE_SIZE)
+      ) {
+        params.set(key, value);
+      }
+    }
+    const queryString = params.toString();
+    return queryString ? `/submissions?${queryString}` : "/submissions";
+  }
+
+  async listSubmissions(req, res) {
+    // Viewers browse submissions with contact details masked
+    const canViewPii = res.locals.permissions.canViewPii;
+    const filters = submissionController.parseListQuery(req.query, canViewPii);
+    const listOptions = {
+      filters,
+      sorts: Object.keys(SUBMISSION_SORTS),
+      statuses: SUBMISSION_STATUS_FILTERS,
+      pageSizes: PAGE_SIZES,
+      exportFields: EXPORT_FIELDS.map(({ key, label }) => ({ key, label })),
+      canSearch: canViewPii,
+      isFiltered: Boolean(
+        filters.q || filters.from || filters.to || filters.status
+      ),
+      clearUrl: "/submissions",
+    };
+
+    try {
+      const filter = submissionController.listFilter(filters);
+      const pageQuery = {
+        filter,
+        sort: filters.sort,
+        limit: filters.limit,
+        after: req.query.after,
+        before: req.query.before,
+      };
+      let page = await submissionModel.findSubmissionsPage(pageQuery);
+      // A stale cursor can point past the end; start over from the top
+      if (
+        page.submissions.length === 0 &&
+        (req.query.after || req.query.before)
+      ) {
+        page = await submissionModel.findSubmissionsPage({
+          ...pageQuery,
+          after: null,
+          before: null,
+        });
+      }
       const stats = await submissionModel.getStatistics();
 
       res.render("submissions", {
-        submissions: submissions,
+        submissions: canViewPii
+          ? page.submissions
+          : page.submissions.map((submission) => maskSubmission(submission)),
         stats: stats,
-        currentPage: page,
-        hasNextPage: submissions.length === limit,
-        hasPrevPage: page > 1,
-        nextPage: page + 1,
-        prevPage: page - 1,
+        matchingTotal: page.total,
+        currentPage: "submissions",
+        hasNextPage: page.hasNextPage,
+        hasPrevPage: page.hasPrevPage,
+        nextUrl: submissionController.listUrl(filters, {
+          after: page.nextCursor,
+        }),
+        prevUrl: submissionController.listUrl(filters, {
+          before: page.prevCursor,
+        }),
+        ...listOptions,
         error: null,
+        success: req.query.deleted ? "Submission deleted." : null,
         pageContext: "submissions",
       });
     } catch (error) {
-      console.error("Error fetching submissions:", error);
-      res.status(500).render("submissions", {
+      const invalidCursor = error.message === "Invalid cursor";
+      if (!invalidCursor) {
+        console.error("Error fetching submissions:", error);
+      }
+      res.status(invalidCursor ? 400 : 500).render("submissions", {
         submissions: [],
         stats: { total: 0, today: 0 },
-        error: "Unable to load submissions. Please try again later.",
-        currentPage: 1,
+        matchingTotal: 0,
+        error: invalidCursor
+          ? "This page link is not valid. Go back to the first page."
+          : "Unable to load submissions. Please try again later.",
+        currentPage: "submissions",
         hasNextPage: false,
         hasPrevPage: false,
-        nextPage: 2,
-        prevPage: 0,
+        nextUrl: null,
+        prevUrl: null,
+        ...listOptions,
         pageContext: "submissions",
       });
     }
   }
 
+  // Streams every submission matching the list filters, one row at a time
+  async exportSubmissions(req, res) {
+    const format = EXPORT_FORMATS[req.query.format] ? req.query.format : "csv";
+    const fields = selectFields(req.query.fields);
+    const filters = submissionController.parseListQuery(req.query, true);
+
+    let cursor;
+    try {
+      cursor = await submissionModel.streamSubmissions(
+        submissionController.listFilter(filters),
+        filters.sort
+      );
+    } catch (error) {
+      console.error("Error starting submissions export:", error);
+      return res.status(500).render("submissions", {
+        submissions: [],
+        stats: { total: 0, today: 0 },
+        error: "Unable to export submissions. Please try again later.",
+        currentPage: "submissions",
+        pageContext: "submissions",
+      });
+    }
+
+    // Stop reading from MongoDB if the download is cancelled
+    let closed = false;
+    res.on("close", () => {
+      closed = true;
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="submissions-${date}.${EXPORT_FORMATS[format].extension}"`
+    );
+    res.setHeader("Cache-Control", "no-store");
+
+    let count = 0;
+    try {
+      if (format === "csv") {
+        // The byte order mark makes Excel read the file as UTF-8
+        res.write(`\ufeff${csvHeader(fields)}`);
+      }
+      for await (const submission of cursor) {
+        if (closed) {
+          break;
+        }
+        if (!res.write(formatRow(submission, fields, format))) {
+          await new Promise((resolve) => {
+            res.once("drain", resolve);
+            res.once("close", resolve);
+          });
+        }
+        count++;
+      }
+      res.end();
+      console.log(
+        `📤 ${req.user.username} exported ${count} submissions as ${format}`
+      );
+    } catch (error) {
+      // Headers are gone, so the only signal left is a truncated download
+      console.error("Submissions export failed:", error);
+      res.destroy(error);
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+  }
+
   async getSubmissionDetails(req, res) {
     try {
       const { id } = req.params;
@@ -189,7 +467,10 @@ class SubmissionController {
         });
       }
 
-      const submission = await submissionModel.getSubmissionById(id);
+      const record = await submissionModel.getSubmissionById(id);
+      const submission = res.locals.permissions.canViewPii
+        ? record
+        : maskSubmission(record);
       res.render("submissionDetails", {
         submission: submission,
         error: null,
@@ -236,32 +517,16 @@ class SubmissionController {
       }
 
       const submission = await submissionModel.getSubmissionById(id);
-      let imageData;
-      let fileName;
-
-      switch (type) {
-        case "source":
-          imageData = submission.sourceImage;
-          fileName = `source_${submission.name.replace(
-            /[^a-zA-Z0-9]/g,
-            "_"
-          )}_${id}.jpg`;
-          break;
-        case "target":
-          imageData = submission.targetImage;
-          fileName = `target_${submission.name.replace(
-            /[^a-zA-Z0-9]/g,
-            "_"
-          )}_${id}.jpg`;
-          break;
-        case "swapped":
-          imageData = submission.swappedImage;
-          fileName = `swapped_${submission.name.replace(
-            /[^a-zA-Z0-9]/g,
-            "_"
-          )}_${id}.jpg`;
-          break;
-      }
+      // ?version=N downloads an image of an earlier version
+      const version = parseInt(req.query.version);
+      const record = version
+        ? (submission.versions || []).find((item) => item.version === version)
+        : submission;
+      const imageData = record?.[`${type}Image`];
+      const fileName = `${type}_${submission.name.replace(
+        /[^a-zA-Z0-9]/g,
+        "_"
+      )}_${id}${version ? `_v${version}` : ""}.${imageData?.format || "jpg"}`;
 
       if (!imageData || !imageData.url) {
         return res.status(404).json({
@@ -269,13 +534,12 @@ class SubmissionController {
         });
       }
 
-      let downloadUrl = imageData.url;
-      if (downloadUrl.includes("cloudinary.com")) {
-        downloadUrl = imageData.url.replace(
-          "/upload/",
-          "/upload/fl_attachment/"
-        );
-      }
+      const downloadUrl = imageData.publicId
+        ? await getStorageForImage(imageData).getSignedUrl(imageData.publicId, {
+            download: true,
+            fileName,
+          })
+        : imageData.url;
 
       res.setHeader(
         "Content-Disposition",
@@ -294,14 +558,122 @@ class SubmissionController {
     }
   }
 
+  async deleteSubmission(req, res) {
+    try {
+      const { id } = req.params;
+      if (!id || !ObjectId.isValid(id)) {
+        return res.status(400).render("submissionDetails", {
+          submission: null,
+          error: "Invalid submission ID format.",
+          currentPage: "details",
+        });
+      }
+
+      await submissionModel.deleteSubmission(id);
+      console.log(`🗑️ Submission ${id} deleted by ${req.user.username}`);
+      res.redirect(303, "/submissions?deleted=1");
+    } catch (error) {
+      const notFound = error.message.includes("not found");
+      const processing = error.message.includes("still being processed");
+      if (!notFound && !processing) {
+        console.error("Error deleting submission:", error);
+      }
+      res
+        .status(notFound ? 404 : processing ? 409 : 500)
+        .render("submissionDetails", {
+          submission: null,
+          error: notFound
+            ? "Submission not found."
+            : processing
+              ? "This submission is still being processed. Delete it once it has finished."
+              : "Unable to delete the submission. Please try again.",
+          currentPage: "details",
+        });
+    }
+  }
+
+  // POST /submissions/:id/rerun: queue another swap for a submission,
+  // optionally with a new source and/or target image
+  async rerunSubmission(req, res) {
+    const { id } = req.params;
+    const uploadedPaths = ["source", "target"]
+      .flatMap((type) => req.files?.[type] || [])
+      .map((file) => file.path);
+    let submission = null;
+    const renderRerunError = (statusCode, message) => {
+      submissionController.cleanupTempFiles(uploadedPaths);
+      res.status(statusCode).render("submissionDetails", {
+        submission,
+        error: submission ? null : message,
+        rerunError: message,
+        currentPage: "details",
+      });
+    };
+
+    try {
+      if (!id || !ObjectId.isValid(id)) {
+        return renderRerunError(400, "Invalid submission ID format.");
+      }
+      submission = await submissionModel.getSubmissionById(id);
+      if (req.uploadError) {
+        return renderRerunError(400, req.uploadError);
+      }
+      if (!["completed", "failed", undefined].includes(submission.status)) {
+        return renderRerunError(
+          409,
+          "This submission is still being processed. Try again once it has finished."
+        );
+      }
+      if (["queued", "processing"].includes(submission.rerun?.status)) {
+        return renderRerunError(409, "A re-run is already in progress.");
+      }
+      const missing = ["source", "target"].filter(
+        (type) => !req.files?.[type] && !submission[`${type}Image`]?.publicId
+      );
+      if (missing.length > 0) {
+        return renderRerunError(
+          400,
+          `The stored ${missing.join(" and ")} image is no longer available. Please upload a new one.`
+        );
+      }
+
+      const job = await jobModel.createRerunJob(
+        id,
+        req.files || {},
+        req.user.username
+      );
+      await submissionModel.setRerunState(id, {
+        jobId: job._id.toString(),
+        status: "queued",
+      });
+      console.log(`🔁 Re-run of ${id} queued by ${req.user.username}`);
+      res.redirect(303, `/jobs/${job._id}`);
+    } catch (error) {
+      console.error("Error queueing re-run:", error);
+      renderRerunError(
+        error.message.includes("not found") ? 404 : 500,
+        error.message.includes("not found")
+          ? "Submission not found."
+          : "Unable to queue the re-run. Please try again."
+      );
+    }
+  }
+
   async getAPIStatus(req, res) {
     try {
-      const isConfigured = faceSwapAPI.isConfigured();
-      const isConnected = await faceSwapAPI.testConnection();
+      const providers = await faceSwapAPI.testConnections();
       res.json({
-        lightx: {
-          configured: isConfigured,
-          connected: isConnected,
+        lightx: providers.lightx || { configured: false, connected: false },
+        providers: providers,
+        // Circuit breakers and the daily budget, shared by every process
+        availability: await faceSwapAPI.getAvailability(),
+        circuits: await faceSwapAPI.getCircuitStatus(),
+        // Counters of this process since it started; persisted metrics
+        // are on /admin/metrics
+        stats: faceSwapAPI.getStats(),
+        storage: {
+          backend: getStorage().name,
+          configured: getStorage().isConfigured(),
         },
         database: {
           connected: true,
@@ -337,7 +709,7 @@ class SubmissionController {
       const health = {
         status: "healthy",
         uptime: process.uptime(),
-        environment: process.env.NODE_ENV || "development",
+        environment: config.server.nodeEnv,
       };
       res.json(health);
     } catch (error) {
@@ -349,4 +721,5 @@ class SubmissionController {
   }
 }
 
-export default new SubmissionController();
+const submissionController = new SubmissionController();
+export default submissionController;
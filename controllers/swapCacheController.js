@@ -0,0 +1,94 @@
+import swapCacheModel from "../models/swapCacheModel.js";
+
+class SwapCacheController {
+  async renderPage(
+    req,
+    res,
+    { statusCode = 200, error = null, notice = null }
+  ) {
+    try {
+      const [settings, stats] = await Promise.all([
+        swapCacheModel.getSettings(),
+        swapCacheModel.getStats(),
+      ]);
+      if (req.accepts(["html", "json"]) === "json") {
+        return res
+          .status(statusCode)
+          .json({ ...settings, ...stats, error, notice });
+      }
+      res.status(statusCode).render("swapCache", {
+        settings,
+        stats,
+        error,
+        notice,
+      });
+    } catch (loadError) {
+      console.error("Error loading swap cache settings:", loadError);
+      if (req.accepts(["html", "json"]) === "json") {
+        return res
+          .status(500)
+          .json({ error: "Unable to load the cache settings." });
+      }
+      res.status(500).render("swapCache", {
+        settings: null,
+        stats: null,
+        error: "Unable to load the cache settings. Please try again later.",
+        notice: null,
+      });
+    }
+  }
+
+  // GET /admin/cache
+  async renderCachePage(req, res) {
+    await swapCacheController.renderPage(req, res, {});
+  }
+
+  // POST /admin/cache with enabled=true|false (form or JSON)
+  async updateSettings(req, res) {
+    const value = String(req.body?.enabled);
+    if (!["true", "false"].includes(value)) {
+      return swapCacheController.renderPage(req, res, {
+        statusCode: 400,
+        error: "enabled must be true or false.",
+      });
+    }
+    try {
+      await swapCacheModel.setEnabled(value === "true", req.user.username);
+      console.log(
+        `♻️ Swap cache ${value === "true" ? "enabled" : "disabled"} by ${req.user.username}`
+      );
+      if (req.accepts(["html", "json"]) === "json") {
+        return swapCacheController.renderPage(req, res, {});
+      }
+      res.redirect(303, "/admin/cache");
+    } catch (error) {
+      console.error("Error updating swap cache settings:", error);
+      swapCacheController.renderPage(req, res, {
+        statusCode: 500,
+        error: "Unable to update the cache settings. Please try again.",
+      });
+    }
+  }
+
+  // POST /admin/cache/clear
+  async clearCache(req, res) {
+    try {
+      const removed = await swapCacheModel.clear();
+      console.log(
+        `♻️ Swap cache cleared by ${req.user.username} (${removed} entries)`
+      );
+      swapCacheController.renderPage(req, res, {
+        notice: `Removed ${removed} cached result${removed === 1 ? "" : "s"}.`,
+      });
+    } catch (error) {
+      console.error("Error clearing swap cache:", error);
+      swapCacheController.renderPage(req, res, {
+        statusCode: 500,
+        error: "Unable to clear the cache. Please try again.",
+      });
+    }
+  }
+}
+
+const swapCacheController = new SwapCacheController();
+export default swapCacheController;
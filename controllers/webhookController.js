@@ -0,0 +1,272 @@
+import webhookModel, { WEBHOOK_EVENTS } from "../models/webhookModel.js";
+import webhookDeliveryModel from "../models/webhookDeliveryModel.js";
+
+// Deliveries listed on a webhook's page
+const DELIVERY_LOG_LIMIT = 50;
+
+// Without the event body, which may hold contact details
+const toLogEntry = (delivery) => ({
+  id: delivery._id.toString(),
+  eventId: delivery.event.id,
+  type: delivery.event.type,
+  submissionId: delivery.submissionId,
+  status: delivery.status,
+  attemptCount: delivery.attemptCount,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.nextAttemptAt,
+  lastError: delivery.lastError,
+  deliveredAt: delivery.deliveredAt,
+  resentFrom: delivery.resentFrom ? delivery.resentFrom.toString() : null,
+  resentBy: delivery.resentBy,
+  createdAt: delivery.createdAt,
+});
+
+class WebhookController {
+  /**
+   * Render the webhooks page (or its JSON), optionally with one webhook and
+   * its delivery log
+   * @param {Object} options - statusCode, error, notice, webhookId, created
+   *   (a just-created webhook, whose secret is shown this once) and oldInput
+   */
+  async renderPage(
+    req,
+    res,
+    {
+      statusCode = 200,
+      error = null,
+      notice = null,
+      webhookId = null,
+      created = null,
+      oldInput = null,
+    }
+  ) {
+    const wantsJson = req.accepts(["html", "json"]) === "json";
+    try {
+      const [records, counts] = await Promise.all([
+        webhookModel.listWebhooks(),
+        webhookDeliveryModel.countByWebhook(),
+      ]);
+      const webhooks = records.map((record) => ({
+        ...webhookModel.toPublicWebhook(record),
+        deliveries: counts[record._id.toString()] || {},
+      }));
+      let webhook = null;
+      let deliveries = [];
+      if (webhookId) {
+        webhook = webhooks.find((entry) => entry.id === webhookId) || null;
+        if (!webhook) {
+          throw new Error("Webhook not found");
+        }
+        deliveries = (
+          await webhookDeliveryModel.listForWebhook(
+            webhookId,
+            DELIVERY_LOG_LIMIT
+          )
+        ).map(toLogEntry);
+      }
+
+      if (wantsJson) {
+        if (created) {
+          return res.status(statusCode).json({
+            ...webhookModel.toPublicWebhook(created),
+            secret: created.secret,
+            warning: "Store this secret now. It cannot be shown again.",
+          });
+        }
+        return res
+          .status(statusCode)
+          .json(
+            webhook
+              ? { ...webhook, deliveryLog: deliveries, error, notice }
+              : { data: webhooks, events: WEBHOOK_EVENTS, error, notice }
+          );
+      }
+      res.status(statusCode).render("webhooks", {
+        webhooks,
+        webhook,
+        deliveries,
+        events: WEBHOOK_EVENTS,
+        created,
+        oldInput,
+        error,
+        notice,
+      });
+    } catch (loadError) {
+      const notFound = loadError.message.includes("not found");
+      if (!notFound) {
+        console.error("Error loading webhooks:", loadError);
+      }
+      const message = notFound
+        ? "Webhook not found."
+        : "Unable to load webhooks. Please try again later.";
+      if (wantsJson) {
+        return res.status(notFound ? 404 : 500).json({ error: message });
+      }
+      res.status(notFound ? 404 : 500).render("webhooks", {
+        webhooks: [],
+        webhook: null,
+        deliveries: [],
+        events: WEBHOOK_EVENTS,
+        created: null,
+        oldInput: null,
+        error: message,
+        notice: null,
+      });
+    }
+  }
+
+  // GET /admin/webhooks
+  async renderWebhooksPage(req, res) {
+    await webhookController.renderPage(req, res, {});
+  }
+
+  // GET /admin/webhooks/:id
+  async getWebhook(req, res) {
+    await webhookController.renderPage(req, res, {
+      webhookId: req.params.id,
+    });
+  }
+
+  // POST /admin/webhooks with url, description, events and includeContact
+  async createWebhook(req, res) {
+    const validation = webhookModel.validateWebhookInput(req.body);
+    if (!validation.isValid) {
+      return webhookController.renderPage(req, res, {
+        statusCode: 400,
+        error: validation.errors.join(", "),
+        oldInput: req.body,
+      });
+    }
+    try {
+      const record = await webhookModel.createWebhook(
+        validation.sanitized,
+        req.user.username
+      );
+      console.log(
+        `📮 Webhook ${record._id} (${record.url}) registered by ${req.user.username}`
+      );
+      // Rendered instead of redirected, so the secret is shown once
+      webhookController.renderPage(req, res, {
+        statusCode: 201,
+        webhookId: record._id.toString(),
+        created: record,
+      });
+    } catch (error) {
+      console.error("Error creating webhook:", error);
+      webhookController.renderPage(req, res, {
+        statusCode: 500,
+        error: "Unable to register the webhook. Please try again.",
+        oldInput: req.body,
+      });
+    }
+  }
+
+  // POST /admin/webhooks/:id with active=true|false
+  async updateWebhook(req, res) {
+    const { id } = req.params;
+    const value = String(req.body?.active);
+    if (!["true", "false"].includes(value)) {
+      return webhookController.renderPage(req, res, {
+        statusCode: 400,
+        webhookId: id,
+        error: "active must be true or false.",
+      });
+    }
+    try {
+      await webhookModel.getWebhookById(id);
+      await webhookModel.setActive(id, value === "true");
+      console.log(
+        `📮 Webhook ${id} ${value === "true" ? "enabled" : "disabled"} by ${req.user.username}`
+      );
+      if (req.accepts(["html", "json"]) === "json") {
+        return webhookController.renderPage(req, res, { webhookId: id });
+      }
+      res.redirect(303, `/admin/webhooks/${id}`);
+    } catch (error) {
+      webhookController.handleError(req, res, error, id, "update the webhook");
+    }
+  }
+
+  // POST /admin/webhooks/:id/delete
+  async deleteWebhook(req, res) {
+    const { id } = req.params;
+    try {
+      await webhookModel.getWebhookById(id);
+      await webhookModel.deleteWebhook(id);
+      const removed = await webhookDeliveryModel.deleteForWebhook(id);
+      console.log(
+        `📮 Webhook ${id} deleted by ${req.user.username} (${removed} deliveries)`
+      );
+      if (req.accepts(["html", "json"]) === "json") {
+        return res.json({ id, deleted: true, deliveriesDeleted: removed });
+      }
+      res.redirect(303, "/admin/webhooks");
+    } catch (error) {
+      webhookController.handleError(
+        req,
+        res,
+        error,
+        null,
+        "delete the webhook"
+      );
+    }
+  }
+
+  // POST /admin/webhooks/:id/deliveries/:deliveryId/resend
+  async resendDelivery(req, res) {
+    const { id, deliveryId } = req.params;
+    try {
+      const delivery = await webhookDeliveryModel.getDeliveryById(deliveryId);
+      if (delivery.webhookId !== id) {
+        throw new Error("Delivery not found");
+      }
+      const webhook = await webhookModel.getWebhookById(id);
+      if (!webhook.active) {
+        return webhookController.renderPage(req, res, {
+          statusCode: 409,
+          webhookId: id,
+          error: "Enable the webhook before resending deliveries.",
+        });
+      }
+      // A new delivery with the same event, so the receiver can tell it's
+      // the same event and the original log stays as it was
+      const [resent] = await webhookDeliveryModel.queueDeliveries(
+        [
+          {
+            webhookId: id,
+            submissionId: delivery.submissionId,
+            event: delivery.event,
+          },
+        ],
+        { resentFrom: delivery._id, resentBy: req.user.username }
+      );
+      console.log(
+        `📮 Delivery ${deliveryId} resent by ${req.user.username} as ${resent._id}`
+      );
+      if (req.accepts(["html", "json"]) === "json") {
+        return res.status(202).json(toLogEntry(resent));
+      }
+      res.redirect(303, `/admin/webhooks/${id}`);
+    } catch (error) {
+      webhookController.handleError(req, res, error, id, "resend the delivery");
+    }
+  }
+
+  handleError(req, res, error, webhookId, action) {
+    const notFound = error.message.includes("not found");
+    if (!notFound) {
+      console.error(`Unable to ${action}:`, error);
+    }
+    webhookController.renderPage(req, res, {
+      statusCode: notFound ? 404 : 500,
+      // A missing webhook can't be shown
+      webhookId: error.message === "Webhook not found" ? null : webhookId,
+      error: notFound
+        ? `${error.message}.`
+        : `Unable to ${action}. Please try again.`,
+    });
+  }
+}
+
+const webhookController = new WebhookController();
+export default webhookController;
@@ -0,0 +1,163 @@
+import database from "../config/db.js";
+import config from "../config/index.js";
+import crypto from "crypto";
+import { promisify } from "util";
+import { ObjectId } from "mongodb";
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of access: viewers browse submissions with
+// contact details masked, operators also see PII and download images,
+// admins manage users, API keys and system status.
+export const ROLES = ["viewer", "operator", "admin"];
+
+class AdminUserModel {
+  constructor() {
+    this.collectionName = "admin_users";
+  }
+
+  async ensureIndexes() {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.createIndex({ username: 1 }, { unique: true });
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString("hex")}`;
+  }
+
+  async verifyPassword(password, passwordHash) {
+    const [scheme, salt, expected] = (passwordHash || "").split("$");
+    if (scheme !== "scrypt" || !salt || !expected) {
+      return false;
+    }
+    const hash = await scrypt(password, salt, 64);
+    const expectedBuffer = Buffer.from(expected, "hex");
+    return (
+      expectedBuffer.length === hash.length &&
+      crypto.timingSafeEqual(expectedBuffer, hash)
+    );
+  }
+
+  validateUserInput({ username, password, role }) {
+    const errors = [];
+    if (!username || !/^[a-z0-9._-]{3,30}$/i.test(username)) {
+      errors.push(
+        "Username must be 3-30 characters: letters, numbers, dots, dashes or underscores"
+      );
+    }
+    if (!password || password.length < 10) {
+      errors.push("Password must be at least 10 characters");
+    }
+    if (!ROLES.includes(role)) {
+      errors.push(`Role must be one of: ${ROLES.join(", ")}`);
+    }
+    return { isValid: errors.length === 0, errors };
+  }
+
+  async createUser({ username, password, role }) {
+    try {
+      const collection = await database.getCollection(this.collectionName);
+      const user = {
+        _id: new ObjectId(),
+        username: username.toLowerCase(),
+        passwordHash: await this.hashPassword(password),
+        role,
+        lastLoginAt: null,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+      await collection.insertOne(user);
+      return user;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error("A user with that username already exists");
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check a username/password pair
+   * @returns {Promise<Object|null>} The user, or null if the login is invalid
+   */
+  async authenticate(username, password) {
+    if (!username || !password) {
+      return null;
+    }
+    const collection = await database.getCollection(this.collectionName);
+    const user = await collection.findOne({
+      username: String(username).toLowerCase(),
+    });
+    if (!user || !(await this.verifyPassword(password, user.passwordHash))) {
+      return null;
+    }
+    await collection.updateOne(
+      { _id: user._id },
+      { $set: { lastLoginAt: new Date() } }
+    );
+    return user;
+  }
+
+  async findById(id) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection.findOne(
+      { _id: new ObjectId(id) },
+      { projection: { passwordHash: 0 } }
+    );
+  }
+
+  async listUsers() {
+    const collection = await database.getCollection(this.collectionName);
+    return collection
+      .find({}, { projection: { passwordHash: 0 } })
+      .sort({ username: 1 })
+      .toArray();
+  }
+
+  async updateRole(id, role) {
+    const collection = await database.getCollection(this.collectionName);
+    const result = await collection.updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { role, updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      throw new Error("User not found");
+    }
+  }
+
+  /**
+   * Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when the
+   * collection is empty
+   */
+  async ensureBootstrapAdmin() {
+    const username = config.auth.adminUsername;
+    const password = config.auth.adminPassword;
+    const collection = await database.getCollection(this.collectionName);
+    if ((await collection.countDocuments()) > 0) {
+      return;
+    }
+    if (!username || !password) {
+      console.warn(
+        "⚠️ No admin users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create one."
+      );
+      return;
+    }
+    const validation = this.validateUserInput({
+      username,
+      password,
+      role: "admin",
+    });
+    if (!validation.isValid) {
+      console.error(
+        `❌ Cannot create bootstrap admin: ${validation.errors.join(", ")}`
+      );
+      return;
+    }
+    await this.createUser({ username, password, role: "admin" });
+    console.log(`✅ Created bootstrap admin user "${username}"`);
+  }
+}
+
+export default new AdminUserModel();
@@ -0,0 +1,206 @@
+import database from "../config/db.js";
+import config from "../config/index.js";
+import jobModel from "./jobModel.js";
+import apiKeyUsageModel from "./apiKeyUsageModel.js";
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+
+const KEY_PREFIX = "fsk";
+
+class ApiKeyModel {
+  constructor() {
+    this.collectionName = "api_keys";
+  }
+
+  async ensureIndexes() {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.createIndex({ keyHash: 1 }, { unique: true });
+  }
+
+  hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+  }
+
+  parseLimit(value, fallback) {
+    if (value === null || value === "") {
+      return null;
+    }
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  }
+
+  /**
+   * Mint a new API key. The plaintext key is only returned here; only its
+   * SHA-256 hash is stored.
+   * @param {Object} options - name, dailyQuota, monthlyQuota, rateLimitMax,
+   *   rateLimitWindowMs (quotas may be null for unlimited)
+   * @returns {Promise<Object>} { key, record }
+   */
+  async createKey(options = {}) {
+    try {
+      const collection = await database.getCollection(this.collectionName);
+      const publicPart = crypto.randomBytes(4).toString("hex");
+      const secret = crypto.randomBytes(24).toString("hex");
+      const key = `${KEY_PREFIX}_${publicPart}_${secret}`;
+
+      const record = {
+        _id: new ObjectId(),
+        name: options.name,
+        prefix: `${KEY_PREFIX}_${publicPart}`,
+        keyHash: this.hashKey(key),
+        dailyQuota: this.parseLimit(
+          options.dailyQuota,
+          config.apiKeys.dailyQuota
+        ),
+        monthlyQuota: this.parseLimit(
+          options.monthlyQuota,
+          config.apiKeys.monthlyQuota
+        ),
+        rateLimit: {
+          maxRequests:
+            parseInt(options.rateLimitMax) || config.apiKeys.rateLimit,
+          windowMs:
+            parseInt(options.rateLimitWindowMs) || config.apiKeys.rateWindowMs,
+        },
+        revokedAt: null,
+        lastUsedAt: null,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+      await collection.insertOne(record);
+      return { key, record };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async findActiveKey(key) {
+    if (!key || typeof key !== "string" || !key.startsWith(`${KEY_PREFIX}_`)) {
+      return null;
+    }
+    const collection = await database.getCollection(this.collectionName);
+    return collection.findOne({
+      keyHash: this.hashKey(key),
+      revokedAt: null,
+    });
+  }
+
+  async getKeyById(id) {
+    try {
+      const collection = await database.getCollection(this.collectionName);
+      const record = await collection.findOne({ _id: new ObjectId(id) });
+      if (!record) {
+        throw new Error("API key not found");
+      }
+      return record;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async listKeys() {
+    const collection = await database.getCollection(this.collectionName);
+    return collection
+      .find({}, { projection: { keyHash: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+  }
+
+  async revokeKey(id) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    const result = await collection.updateOne(
+      { _id: new ObjectId(id), revokedAt: null },
+      { $set: { revokedAt: now, updatedAt: now } }
+    );
+    if (result.matchedCount === 0) {
+      throw new Error("API key not found or already revoked");
+    }
+  }
+
+  async touchKey(id) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { lastUsedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Swap usage for a key in the current UTC day and month, counted from
+   * the swaps reserved against its quota
+   * @param {Object} record - API key record
+   * @returns {Promise<Object>} Usage and remaining quota
+   */
+  async getUsage(record) {
+    const keyId = record._id.toString();
+    const periods = apiKeyUsageModel.periods();
+    const [today, thisMonth, total] = await Promise.all([
+      apiKeyUsageModel.getUsed(keyId, periods.day),
+      apiKeyUsageModel.getUsed(keyId, periods.month),
+      jobModel.countJobsByApiKey(keyId),
+    ]);
+
+    return {
+      today,
+      thisMonth,
+      total,
+      dailyRemaining: this.remaining(record.dailyQuota, today),
+      monthlyRemaining: this.remaining(record.monthlyQuota, thisMonth),
+    };
+  }
+
+  remaining(quota, used) {
+    return quota === null ? null : Math.max(quota - used, 0);
+  }
+
+  /**
+   * Reserve one swap against the key's daily and monthly quota
+   * @param {Object} record - API key record
+   * @returns {Promise<Object>} { exceeded: "daily" | "monthly" } when a
+   *   quota is used up, otherwise the reserved periods and what is left
+   */
+  async reserveSwap(record) {
+    const keyId = record._id.toString();
+    const periods = apiKeyUsageModel.periods();
+    const today = await apiKeyUsageModel.reserve(
+      keyId,
+      periods.day,
+      record.dailyQuota
+    );
+    if (today === null) {
+      return { exceeded: "daily" };
+    }
+    const thisMonth = await apiKeyUsageModel.reserve(
+      keyId,
+      periods.month,
+      record.monthlyQuota
+    );
+    if (thisMonth === null) {
+      await apiKeyUsageModel.release(keyId, periods.day);
+      return { exceeded: "monthly" };
+    }
+    return {
+      periods,
+      dailyRemaining: this.remaining(record.dailyQuota, today),
+      monthlyRemaining: this.remaining(record.monthlyQuota, thisMonth),
+    };
+  }
+
+  // Give back a swap reserved by reserveSwap
+  async releaseSwap(record, periods) {
+    const keyId = record._id.toString();
+    await Promise.all([
+      apiKeyUsageModel.release(keyId, periods.day),
+      apiKeyUsageModel.release(keyId, periods.month),
+    ]);
+  }
+
+  // Strip the hash before sending a record to admins
+  toPublicKey(record) {
+    const { keyHash, ...rest } = record;
+    return { ...rest, id: record._id.toString() };
+  }
+}
+
+export default new ApiKeyModel();
@@ -0,0 +1,74 @@
+import database from "../config/db.js";
+
+/**
+ * Swaps reserved by each API key per UTC day and month, shared by every
+ * process, so concurrent requests can't run past a key's quota. One
+ * document per key and period.
+ */
+class ApiKeyUsageModel {
+  constructor() {
+    this.collectionName = "api_key_usage";
+  }
+
+  // The current day and month, e.g. { day: "2024-05-01", month: "2024-05" }
+  periods(date = new Date()) {
+    const day = date.toISOString().slice(0, 10);
+    return { day, month: day.slice(0, 7) };
+  }
+
+  /**
+   * Count one swap against a key's quota for a period
+   * @param {string} keyId - API key ID
+   * @param {string} period - Day or month key from periods()
+   * @param {number|null} quota - Swaps allowed in the period, null for
+   *   unlimited
+   * @returns {Promise<number|null>} Swaps used including this one, or null
+   *   when the quota is used up
+   */
+  async reserve(keyId, period, quota) {
+    const collection = await database.getCollection(this.collectionName);
+    const filter = { _id: `${keyId}:${period}` };
+    if (quota !== null) {
+      filter.used = { $lt: quota };
+    }
+    const update = {
+      $inc: { used: 1 },
+      $set: { updatedAt: new Date() },
+      $setOnInsert: { keyId, period },
+    };
+    try {
+      const usage = await collection.findOneAndUpdate(filter, update, {
+        upsert: true,
+        returnDocument: "after",
+      });
+      return usage.used;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+    // The document exists: either another request created it first, or it
+    // didn't match because the quota is used up
+    const usage = await collection.findOneAndUpdate(filter, update, {
+      returnDocument: "after",
+    });
+    return usage ? usage.used : null;
+  }
+
+  // Give back a swap reserved for a request that didn't queue one
+  async release(keyId, period) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateOne(
+      { _id: `${keyId}:${period}`, used: { $gt: 0 } },
+      { $inc: { used: -1 }, $set: { updatedAt: new Date() } }
+    );
+  }
+
+  async getUsed(keyId, period) {
+    const collection = await database.getCollection(this.collectionName);
+    const usage = await collection.findOne({ _id: `${keyId}:${period}` });
+    return usage ? usage.used : 0;
+  }
+}
+
+export default new ApiKeyUsageModel();
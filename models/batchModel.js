@@ -0,0 +1,58 @@
+import database from "../config/db.js";
+import { ObjectId } from "mongodb";
+
+/**
+ * A batch is one source face swapped onto many targets. Each target is an
+ * ordinary job (tagged with batchId), so the batch only records which jobs
+ * belong to it; item status is read from the jobs themselves. Contact
+ * details stay on the jobs and submissions, where erasure and retention
+ * already handle them.
+ */
+class BatchModel {
+  constructor() {
+    this.collectionName = "batches";
+  }
+
+  async ensureIndexes() {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.createIndex({ createdAt: -1 });
+  }
+
+  /**
+   * @param {Object} batch - _id, requestedBy and items ([{ jobId,
+   *   targetName }] in upload order)
+   * @returns {Promise<Object>} The stored batch
+   */
+  async createBatch({ _id = new ObjectId(), requestedBy = null, items }) {
+    const collection = await database.getCollection(this.collectionName);
+    const batch = {
+      _id,
+      requestedBy,
+      itemCount: items.length,
+      items,
+      createdAt: new Date(),
+    };
+    await collection.insertOne(batch);
+    return batch;
+  }
+
+  async getBatchById(id) {
+    const collection = await database.getCollection(this.collectionName);
+    const batch = await collection.findOne({ _id: new ObjectId(id) });
+    if (!batch) {
+      throw new Error("Batch not found");
+    }
+    return batch;
+  }
+
+  async listBatches(limit = 20) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection
+      .find({}, { projection: { items: 0 } })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+  }
+}
+
+export default new BatchModel();
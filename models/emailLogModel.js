@@ -0,0 +1,201 @@
+import database from "../config/db.js";
+import config from "../config/index.js";
+import { ObjectId } from "mongodb";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entry statuses, for the admin page filter
+export const EMAIL_STATUSES = [
+  "queued",
+  "sending",
+  "sent",
+  "failed",
+  "cancelled",
+];
+
+/**
+ * Emails to submitters, queued when a submission finishes and sent by the
+ * email dispatcher. The message is rendered when it is sent, from the
+ * submission as it is then, so the log holds no copy of it; the recipient
+ * is recorded once the email has gone out.
+ *
+ * Status is queued (waiting for its next attempt), sending, sent, failed
+ * (out of attempts) or cancelled (the submission was anonymised or opted
+ * out before the email went out).
+ */
+class EmailLogModel {
+  constructor() {
+    this.collectionName = "email_log";
+    this.logMs = config.email.logDays * DAY_MS;
+  }
+
+  async ensureIndexes() {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await collection.createIndex({ status: 1, nextAttemptAt: 1 });
+    await collection.createIndex({ createdAt: -1 });
+    // One email per template per submission
+    await collection.createIndex(
+      { submissionId: 1, template: 1 },
+      { unique: true }
+    );
+  }
+
+  /**
+   * Queue an email about a submission
+   * @param {string} submissionId - Submission ID
+   * @param {string} template - One of EMAIL_TEMPLATES
+   * @returns {Promise<Object|null>} The entry, or null if this email was
+   *   already queued
+   */
+  async queueEmail(submissionId, template) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    const entry = {
+      _id: new ObjectId(),
+      submissionId,
+      template,
+      status: "queued",
+      to: null,
+      subject: null,
+      messageId: null,
+      attemptCount: 0,
+      lastError: null,
+      nextAttemptAt: now,
+      lockedUntil: null,
+      sentAt: null,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: new Date(now.getTime() + this.logMs),
+    };
+    try {
+      await collection.insertOne(entry);
+      return entry;
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the next email that is due. Emails left in "sending" by a process
+   * that stopped are claimed again once their lock runs out.
+   * @param {number} lockMs - How long the claim lasts
+   * @returns {Promise<Object|null>}
+   */
+  async claimDue(lockMs) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    return collection.findOneAndUpdate(
+      {
+        $or: [
+          { status: "queued", nextAttemptAt: { $lte: now } },
+          { status: "sending", lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: "sending",
+          lockedUntil: new Date(now.getTime() + lockMs),
+          updatedAt: now,
+        },
+      },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+    );
+  }
+
+  async markSent(id, { to, subject, messageId }) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    await collection.updateOne(
+      { _id: id },
+      {
+        $inc: { attemptCount: 1 },
+        $set: {
+          status: "sent",
+          to,
+          subject,
+          messageId: messageId || null,
+          lastError: null,
+          nextAttemptAt: null,
+          lockedUntil: null,
+          sentAt: now,
+          updatedAt: now,
+        },
+      }
+    );
+  }
+
+  /**
+   * Log a failed attempt
+   * @param {ObjectId} id - Entry ID
+   * @param {string} error - What went wrong
+   * @param {Date|null} nextAttemptAt - When to retry; null gives up
+   */
+  async recordFailure(id, error, nextAttemptAt) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateOne(
+      { _id: id },
+      {
+        $inc: { attemptCount: 1 },
+        $set: {
+          status: nextAttemptAt ? "queued" : "failed",
+          lastError: error,
+          nextAttemptAt,
+          lockedUntil: null,
+          updatedAt: new Date(),
+        },
+      }
+    );
+  }
+
+  async cancelEmail(id, reason) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateOne(
+      { _id: id },
+      {
+        $set: {
+          status: "cancelled",
+          lastError: reason,
+          nextAttemptAt: null,
+          lockedUntil: null,
+          updatedAt: new Date(),
+        },
+      }
+    );
+  }
+
+  async listRecent({ status = "", limit = 100 } = {}) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection
+      .find(EMAIL_STATUSES.includes(status) ? { status } : {})
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  async countByStatus() {
+    const collection = await database.getCollection(this.collectionName);
+    const rows = await collection
+      .aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }])
+      .toArray();
+    return Object.fromEntries(rows.map((row) => [row._id, row.count]));
+  }
+
+  // Called when a submission is erased
+  async deleteBySubmissionId(submissionId) {
+    const collection = await database.getCollection(this.collectionName);
+    const result = await collection.deleteMany({ submissionId });
+    return result.deletedCount;
+  }
+
+  // Called when a submission is anonymised
+  async removeRecipient(submissionId) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateMany({ submissionId }, { $set: { to: null } });
+  }
+}
+
+export default new EmailLogModel();
@@ -0,0 +1,113 @@
+import database from "../config/db.js";
+import submissionModel from "./submissionModel.js";
+import jobModel from "./jobModel.js";
+import { maskEmail } from "../utils/pii.js";
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+
+class ErasureRequestModel {
+  constructor() {
+    this.collectionName = "erasure_requests";
+  }
+
+  normalizeEmail(email) {
+    return String(email || "")
+      .trim()
+      .toLowerCase();
+  }
+
+  // The confirmation record must not keep the address it erased, so it
+  // stores a hash that can be matched against a later request, plus a
+  // masked form for staff to recognise it by.
+  hashEmail(email) {
+    return crypto
+      .createHash("sha256")
+      .update(this.normalizeEmail(email))
+      .digest("hex");
+  }
+
+  /**
+   * Delete every submission and job for an email address and store a
+   * confirmation record of what was deleted
+   * @param {string} email - Email address of the data subject
+   * @param {string} requestedBy - Username of the staff member
+   * @returns {Promise<Object>} The confirmation record
+   */
+  async processErasure(email, requestedBy) {
+    const normalizedEmail = this.normalizeEmail(email);
+    const collection = await database.getCollection(this.collectionName);
+    const record = {
+      _id: new ObjectId(),
+      emailHash: this.hashEmail(normalizedEmail),
+      maskedEmail: maskEmail(normalizedEmail),
+      requestedBy,
+      status: "processing",
+      submissionsDeleted: [],
+      failures: [],
+      jobsDeleted: 0,
+      jobsStillProcessing: 0,
+      createdAt: new Date(),
+      completedAt: null,
+    };
+    await collection.insertOne(record);
+
+    const submissions =
+      await submissionModel.findSubmissionsByEmail(normalizedEmail);
+    for (const submission of submissions) {
+      const submissionId = submission._id.toString();
+      try {
+        record.submissionsDeleted.push(
+          await submissionModel.deleteSubmission(submissionId)
+        );
+      } catch (error) {
+        console.error(`Erasure failed for submission ${submissionId}:`, error);
+        record.failures.push({ submissionId, error: error.message });
+      }
+    }
+
+    const jobs = await jobModel.deleteJobsByEmail(normalizedEmail);
+    record.jobsDeleted = jobs.deleted;
+    record.jobsStillProcessing = jobs.processing;
+
+    // Partial erasures can be completed by submitting the request again
+    record.status =
+      record.failures.length > 0 || jobs.processing > 0
+        ? "partial"
+        : "completed";
+    record.completedAt = new Date();
+
+    await collection.updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          status: record.status,
+          submissionsDeleted: record.submissionsDeleted,
+          failures: record.failures,
+          jobsDeleted: record.jobsDeleted,
+          jobsStillProcessing: record.jobsStillProcessing,
+          completedAt: record.completedAt,
+        },
+      }
+    );
+    console.log(
+      `🗑️ Erasure ${record._id}: ${record.submissionsDeleted.length} submissions, ${record.jobsDeleted} jobs (${record.status})`
+    );
+    return record;
+  }
+
+  async getRequestById(id) {
+    const collection = await database.getCollection(this.collectionName);
+    const record = await collection.findOne({ _id: new ObjectId(id) });
+    if (!record) {
+      throw new Error("Erasure request not found");
+    }
+    return record;
+  }
+
+  async listRequests(limit = 50) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection.find({}).sort({ createdAt: -1 }).limit(limit).toArray();
+  }
+}
+
+export default new ErasureRequestModel();
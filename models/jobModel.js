@@ -0,0 +1,469 @@
+import database from "../config/db.js";
+import { ObjectId } from "mongodb";
+import path from "path";
+import fs from "fs";
+
+class JobModel {
+  constructor() {
+    this.collectionName = "jobs";
+  }
+
+  async ensureIndexes() {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.createIndex({ status: 1, createdAt: 1 });
+    await collection.createIndex({ apiKeyId: 1, createdAt: 1 });
+    await collection.createIndex({ "input.email": 1 });
+    await collection.createIndex({ batchId: 1 }, { sparse: true });
+  }
+
+  /**
+   * Queue a swap
+   * @param {Object} userData - Validated name, email, phone, terms and
+   *   emailOptOut
+   * @param {Object} files - source and target (multer file arrays)
+   * @param {Object} options - apiKeyId, batchId, regions (the faces
+   *   picked in the source and target, or null) and hashes (of the uploads,
+   *   if already computed)
+   * @returns {Promise<Object>} The queued job
+   */
+  async createJob(
+    userData,
+    files,
+    { apiKeyId = null, batchId = null, regions = null, hashes = null } = {}
+  ) {
+    try {
+      const collection = await database.getCollection(this.collectionName);
+      const toFileRecord = (file) => ({
+        path: path.resolve(file.path),
+        originalName: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+      });
+      const job = {
+        _id: new ObjectId(),
+        status: "queued",
+        input: {
+          name: userData.name,
+          email: userData.email,
+          phone: userData.phone,
+          terms: userData.terms,
+          emailOptOut: Boolean(userData.emailOptOut),
+        },
+        files: {
+          source: toFileRecord(files.source[0]),
+          target: toFileRecord(files.target[0]),
+        },
+        apiKeyId: apiKeyId,
+        batchId: batchId,
+        regions: regions,
+        hashes: hashes,
+        attempts: 0,
+        submissionId: null,
+        resultUrl: null,
+        error: null,
+        events: [
+          { stage: "queued", message: "Waiting in the queue", at: new Date() },
+        ],
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        startedAt: null,
+        finishedAt: null,
+      };
+      await collection.insertOne(job);
+      return job;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a swap answered from the result cache. The job is created
+   * completed, so the job page and status endpoints work as for a queued
+   * swap.
+   * @param {ObjectId} id - Job ID, already stored on the submission
+   * @param {Object} userData - Validated name, email, phone, terms and
+   *   emailOptOut
+   * @param {string} submissionId - The submission holding the result
+   * @param {string} resultUrl - URL of the result
+   * @param {Object} options - regions (the faces picked, or null)
+   * @returns {Promise<Object>} The completed job
+   */
+  async createCachedJob(
+    id,
+    userData,
+    submissionId,
+    resultUrl,
+    { regions = null } = {}
+  ) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    const job = {
+      _id: id,
+      status: "completed",
+      cached: true,
+      input: {
+        name: userData.name,
+        email: userData.email,
+        phone: userData.phone,
+        terms: userData.terms,
+        emailOptOut: Boolean(userData.emailOptOut),
+      },
+      files: null,
+      apiKeyId: null,
+      batchId: null,
+      regions: regions,
+      attempts: 0,
+      submissionId: submissionId,
+      resultUrl: resultUrl,
+      error: null,
+      events: [
+        {
+          stage: "completed",
+          message: "Result reused from an identical earlier swap",
+          at: now,
+        },
+      ],
+      createdAt: now,
+      updatedAt: now,
+      startedAt: now,
+      finishedAt: now,
+    };
+    await collection.insertOne(job);
+    return job;
+  }
+
+  /**
+   * Queue a re-run of an existing submission
+   * @param {string} submissionId - Submission to re-run
+   * @param {Object} files - Optional replacement source and/or target
+   *   (multer file arrays); missing ones reuse the stored image
+   * @param {string} requestedBy - Username of the staff member
+   * @returns {Promise<Object>} The queued job
+   */
+  async createRerunJob(submissionId, files = {}, requestedBy = null) {
+    const collection = await database.getCollection(this.collectionName);
+    const toFileRecord = (file) =>
+      file
+        ? {
+            path: path.resolve(file.path),
+            originalName: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size,
+          }
+        : null;
+    const now = new Date();
+    const job = {
+      _id: new ObjectId(),
+      type: "rerun",
+      status: "queued",
+      input: null,
+      files: {
+        source: toFileRecord(files.source?.[0]),
+        target: toFileRecord(files.target?.[0]),
+      },
+      apiKeyId: null,
+      requestedBy,
+      attempts: 0,
+      submissionId,
+      resultUrl: null,
+      error: null,
+      events: [
+        { stage: "queued", message: "Re-run waiting in the queue", at: now },
+      ],
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+    };
+    await collection.insertOne(job);
+    return job;
+  }
+
+  async getJobById(id) {
+    try {
+      const collection = await database.getCollection(this.collectionName);
+      // Deleted API jobs are only kept to count quota use
+      const job = await collection.findOne({
+        _id: new ObjectId(id),
+        status: { $ne: "deleted" },
+      });
+      if (!job) {
+        throw new Error("Job not found");
+      }
+      return job;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Jobs of a batch, in the order they were queued
+  async getJobsByBatchId(batchId) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection
+      .find({ batchId }, { projection: { input: 0, files: 0, events: 0 } })
+      .sort({ createdAt: 1, _id: 1 })
+      .toArray();
+  }
+
+  async countJobsByApiKey(apiKeyId, since = null) {
+    const collection = await database.getCollection(this.collectionName);
+    const filter = { apiKeyId: apiKeyId };
+    if (since) {
+      filter.createdAt = { $gte: since };
+    }
+    return collection.countDocuments(filter);
+  }
+
+  /**
+   * Atomically move the oldest queued job to "processing"
+   * @param {string} workerId - Identifier of the claiming worker
+   * @returns {Promise<Object|null>} The claimed job, or null if the queue is empty
+   */
+  async claimNextJob(workerId) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    return collection.findOneAndUpdate(
+      { status: "queued" },
+      {
+        $set: {
+          status: "processing",
+          workerId: workerId,
+          startedAt: now,
+          updatedAt: now,
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { createdAt: 1 }, returnDocument: "after" }
+    );
+  }
+
+  async addEvent(id, event) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateOne(
+      { _id: new ObjectId(id) },
+      { $push: { events: event }, $set: { updatedAt: new Date() } }
+    );
+  }
+
+  // Whether a worker is processing a job for the submission right now
+  async hasActiveJob(submissionId) {
+    const collection = await database.getCollection(this.collectionName);
+    return (
+      (await collection.countDocuments({
+        submissionId,
+        status: "processing",
+      })) > 0
+    );
+  }
+
+  // Link the job to its submission as soon as the submission exists
+  async attachSubmission(id, submissionId) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { submissionId, updatedAt: new Date() } }
+    );
+  }
+
+  // Jobs deleted while they ran stay deleted
+  async completeJob(id, submissionId, resultUrl = null) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    await collection.updateOne(
+      { _id: new ObjectId(id), status: { $ne: "deleted" } },
+      {
+        $set: {
+          status: "completed",
+          submissionId: submissionId,
+          resultUrl: resultUrl,
+          error: null,
+          finishedAt: now,
+          updatedAt: now,
+        },
+      }
+    );
+  }
+
+  // Hand a claimed job back to the queue; the attempt is not counted
+  async requeueJob(id) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateOne(
+      { _id: new ObjectId(id) },
+      {
+        $set: { status: "queued", workerId: null, updatedAt: new Date() },
+        $inc: { attempts: -1 },
+      }
+    );
+  }
+
+  async failJob(id, errorMessage) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    await collection.updateOne(
+      { _id: new ObjectId(id), status: { $ne: "deleted" } },
+      {
+        $set: {
+          status: "failed",
+          error: errorMessage,
+          finishedAt: now,
+          updatedAt: now,
+        },
+      }
+    );
+  }
+
+  /**
+   * Put jobs left in "processing" by a crashed worker back on the queue,
+   * or fail them once they have used up their attempts
+   * @param {number} staleMs - How long a job may stay in "processing"
+   * @param {number} maxAttempts - Attempts allowed before giving up
+   * @returns {Promise<Object>} Counts of requeued and failed jobs, and the
+   *   submission IDs of the failed ones
+   */
+  async recoverStaleJobs(staleMs, maxAttempts) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    const staleFilter = {
+      status: "processing",
+      startedAt: { $lt: new Date(now.getTime() - staleMs) },
+    };
+    const exhausted = await collection
+      .find(
+        { ...staleFilter, attempts: { $gte: maxAttempts } },
+        { projection: { submissionId: 1, files: 1 } }
+      )
+      .toArray();
+    const failed = await collection.updateMany(
+      { ...staleFilter, attempts: { $gte: maxAttempts } },
+      {
+        $set: {
+          status: "failed",
+          error: "Processing was interrupted. Please submit your images again.",
+          finishedAt: now,
+          updatedAt: now,
+        },
+      }
+    );
+    exhausted.forEach((job) => this.removeJobFiles(job));
+    const requeued = await collection.updateMany(
+      { ...staleFilter, attempts: { $lt: maxAttempts } },
+      { $set: { status: "queued", workerId: null, updatedAt: now } }
+    );
+    return {
+      requeued: requeued.modifiedCount,
+      failed: failed.modifiedCount,
+      failedSubmissionIds: exhausted
+        .map((job) => job.submissionId)
+        .filter(Boolean),
+    };
+  }
+
+  async clearResultUrl(submissionId) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateMany(
+      { submissionId },
+      { $set: { resultUrl: null, updatedAt: new Date() } }
+    );
+  }
+
+  // Finished jobs older than the cutoff that still hold contact details
+  anonymiseFilter(cutoff) {
+    return {
+      createdAt: { $lt: cutoff },
+      status: { $in: ["completed", "failed"] },
+      anonymisedAt: null,
+    };
+  }
+
+  async countJobsToAnonymise(cutoff) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection.countDocuments(this.anonymiseFilter(cutoff));
+  }
+
+  async anonymiseJobs(cutoff) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    const result = await collection.updateMany(this.anonymiseFilter(cutoff), {
+      $set: { input: null, anonymisedAt: now, updatedAt: now },
+    });
+    return result.modifiedCount;
+  }
+
+  // Remove the uploads of a job, once it is finished or deleted
+  removeJobFiles(job) {
+    Object.values(job.files || {}).forEach((file) => {
+      try {
+        if (file && file.path && fs.existsSync(file.path)) {
+          fs.unlinkSync(file.path);
+        }
+      } catch (error) {
+        console.warn(`Failed to remove upload ${file.path}:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Delete the jobs matching a filter. Jobs queued with an API key become
+   * tombstones holding only the key and creation time, so deleting a
+   * submission doesn't give back the quota it used.
+   * @param {Object} filter - Jobs to delete
+   * @returns {Promise<number>} Number of jobs deleted
+   */
+  async removeJobs(filter) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    const tombstoned = await collection.updateMany(
+      { ...filter, apiKeyId: { $ne: null } },
+      {
+        $set: {
+          status: "deleted",
+          input: null,
+          files: null,
+          events: [],
+          regions: null,
+          hashes: null,
+          submissionId: null,
+          resultUrl: null,
+          error: null,
+          deletedAt: now,
+          updatedAt: now,
+        },
+      }
+    );
+    const deleted = await collection.deleteMany({ ...filter, apiKeyId: null });
+    return tombstoned.modifiedCount + deleted.deletedCount;
+  }
+
+  async deleteJobsBySubmissionId(submissionId) {
+    const collection = await database.getCollection(this.collectionName);
+    const queued = await collection
+      .find({ submissionId, status: "queued" })
+      .toArray();
+    queued.forEach((job) => this.removeJobFiles(job));
+    return this.removeJobs({ submissionId });
+  }
+
+  /**
+   * Delete every job queued with this email, including the uploads of jobs
+   * still waiting in the queue. Jobs a worker is processing are left alone
+   * and counted, since they will still create a submission.
+   * @param {string} email - Normalised email address
+   * @returns {Promise<Object>} Counts of deleted and still-processing jobs
+   */
+  async deleteJobsByEmail(email) {
+    const collection = await database.getCollection(this.collectionName);
+    const filter = { "input.email": email, status: { $ne: "processing" } };
+    const queued = await collection
+      .find({ ...filter, status: "queued" })
+      .toArray();
+    queued.forEach((job) => this.removeJobFiles(job));
+    const deleted = await this.removeJobs(filter);
+    const processing = await collection.countDocuments({
+      "input.email": email,
+      status: "processing",
+    });
+    return { deleted, processing };
+  }
+}
+
+export default new JobModel();
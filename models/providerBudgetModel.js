@@ -0,0 +1,47 @@
+import database from "../config/db.js";
+
+/**
+ * Provider calls made per UTC day, shared by every process, so swaps stop
+ * before the provider account runs out of credits. One document per day.
+ */
+class ProviderBudgetModel {
+  constructor() {
+    this.collectionName = "provider_budget";
+  }
+
+  dayKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Count one provider call against today's budget
+   * @param {number} limit - Calls allowed per day
+   * @returns {Promise<boolean>} false when the budget is used up
+   */
+  async reserve(limit) {
+    const collection = await database.getCollection(this.collectionName);
+    try {
+      await collection.updateOne(
+        { _id: this.dayKey(), used: { $lt: limit } },
+        { $inc: { used: 1 }, $set: { updatedAt: new Date() } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      // Today's document exists but didn't match: the budget is used up,
+      // and the upsert collided with it
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async getUsage() {
+    const collection = await database.getCollection(this.collectionName);
+    const day = await collection.findOne({ _id: this.dayKey() });
+    return day ? day.used : 0;
+  }
+}
+
+export default new ProviderBudgetModel();
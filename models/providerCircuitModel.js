@@ -0,0 +1,127 @@
+import database from "../config/db.js";
+
+/**
+ * Circuit breaker state of each face swap provider, shared by every
+ * process, so a circuit opened by the worker also holds the web process's
+ * submissions back. One document per provider; a provider without one has
+ * a closed circuit. See utils/circuitBreaker.js for the states.
+ */
+class ProviderCircuitModel {
+  constructor() {
+    this.collectionName = "provider_circuits";
+  }
+
+  async getCircuit(name) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection.findOne({ _id: name });
+  }
+
+  async listCircuits() {
+    const collection = await database.getCollection(this.collectionName);
+    return collection.find({}).toArray();
+  }
+
+  /**
+   * Count a tripping error
+   * @param {string} name - Provider name
+   * @param {Object} lastError - { status, message, at }
+   * @returns {Promise<Object>} The circuit after the update
+   */
+  async recordFailure(name, lastError) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection.findOneAndUpdate(
+      { _id: name },
+      {
+        $inc: { failures: 1 },
+        $set: { lastError, updatedAt: new Date() },
+        $setOnInsert: { state: "closed", openedAt: null, probeUntil: null },
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+  }
+
+  /**
+   * Open a circuit that isn't open yet
+   * @returns {Promise<boolean>} Whether this call opened it
+   */
+  async open(name) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    const result = await collection.updateOne(
+      { _id: name, state: { $ne: "open" } },
+      {
+        $set: {
+          state: "open",
+          openedAt: now,
+          probeUntil: null,
+          updatedAt: now,
+        },
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Close a circuit after a successful call
+   * @returns {Promise<Object|null>} The circuit before it was closed, or
+   *   null if it was already closed with no errors counted
+   */
+  async close(name) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ state: { $ne: "closed" } }, { failures: { $gt: 0 } }],
+      },
+      {
+        $set: {
+          state: "closed",
+          failures: 0,
+          openedAt: null,
+          probeUntil: null,
+          updatedAt: new Date(),
+        },
+      },
+      { returnDocument: "before" }
+    );
+  }
+
+  /**
+   * Claim the probe of an open circuit whose cooldown has passed, so only
+   * one process probes the provider at a time
+   * @param {string} name - Provider name
+   * @param {number} cooldownMs - How long the circuit stays open
+   * @param {number} lockMs - How long the claim lasts
+   * @returns {Promise<boolean>} Whether this caller should probe
+   */
+  async claimProbe(name, cooldownMs, lockMs) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    const claimed = await collection.findOneAndUpdate(
+      {
+        _id: name,
+        state: "open",
+        openedAt: { $lte: new Date(now.getTime() - cooldownMs) },
+        $or: [{ probeUntil: null }, { probeUntil: { $lte: now } }],
+      },
+      { $set: { probeUntil: new Date(now.getTime() + lockMs) } }
+    );
+    return Boolean(claimed);
+  }
+
+  // Record the probe's outcome: half open, or open for another cooldown
+  async finishProbe(name, healthy) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    await collection.updateOne(
+      { _id: name, state: "open" },
+      {
+        $set: healthy
+          ? { state: "half_open", probeUntil: null, updatedAt: now }
+          : { openedAt: now, probeUntil: null, updatedAt: now },
+      }
+    );
+  }
+}
+
+export default new ProviderCircuitModel();
@@ -0,0 +1,34 @@
+import database from "../config/db.js";
+import { ObjectId } from "mongodb";
+
+class RetentionRunModel {
+  constructor() {
+    this.collectionName = "retention_runs";
+  }
+
+  async createRun(run) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.insertOne(run);
+    return run;
+  }
+
+  async getRunById(id) {
+    const collection = await database.getCollection(this.collectionName);
+    const run = await collection.findOne({ _id: new ObjectId(id) });
+    if (!run) {
+      throw new Error("Retention run not found");
+    }
+    return run;
+  }
+
+  async listRuns(limit = 20) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection
+      .find({}, { projection: { "images.items": 0, "pii.items": 0 } })
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .toArray();
+  }
+}
+
+export default new RetentionRunModel();
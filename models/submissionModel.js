@@ -1,19 +1,90 @@
 import database from "../config/db.js";
+import jobModel from "./jobModel.js";
+import swapCacheModel from "./swapCacheModel.js";
+import webhookDeliveryModel from "./webhookDeliveryModel.js";
+import emailLogModel from "./emailLogModel.js";
+import { queueSubmissionEvent } from "../utils/webhooks.js";
+import { isEmailConfigured, queueSubmissionEmail } from "../utils/mailer.js";
+import { getStorage, getStorageForImage } from "../utils/storage/index.js";
+import { parseRegion } from "../utils/faceRegions.js";
+import { MAX_UPLOAD_BYTES, MAX_UPLOAD_MB } from "../config/upload.js";
 import {
-  uploadToCloudinary,
-  deleteFromCloudinary,
-} from "../config/cloudinary.js";
+  isAcceptedImage,
+  ACCEPTED_FORMATS_LABEL,
+} from "../utils/imageFormats.js";
 import validator from "validator";
 import sanitizeHtml from "sanitize-html";
 import { ObjectId } from "mongodb";
 import fs from "fs";
 import path from "path";
+import { pipeline } from "stream/promises";
+
+// Sort orders offered on the submissions list. _id breaks ties so cursors
+// stay stable when several submissions share a value.
+export const SUBMISSION_SORTS = {
+  newest: { field: "createdAt", direction: -1 },
+  oldest: { field: "createdAt", direction: 1 },
+  name_asc: { field: "name", direction: 1 },
+  name_desc: { field: "name", direction: -1 },
+};
+
+// Lifecycle of a submission. Submissions created before statuses were
+// recorded have no status and are treated as completed.
+export const SUBMISSION_STATUSES = [
+  "pending",
+  "uploading",
+  "swapping",
+  "completed",
+  "failed",
+];
+
+const IN_PROGRESS_STATUSES = ["pending", "uploading", "swapping"];
+
+const IMAGE_TYPES = ["source", "target", "swapped"];
+
+export const SUBMISSION_STATUS_FILTERS = [
+  "completed",
+  "failed",
+  "in_progress",
+  "images_purged",
+  "anonymised",
+];
+
+/**
+ * Reduce an error message to something safe to show staff: URLs (which can
+ * carry signed tokens), file paths, email addresses and long tokens are
+ * replaced, and the result is shortened
+ * @param {string} message - Raw error message
+ * @returns {string}
+ */
+export function sanitizeFailureReason(message) {
+  if (!message) {
+    return "Unknown error";
+  }
+  return String(message)
+    .replace(/https?:\/\/\S+/gi, "[url]")
+    .replace(/\S+@\S+\.\S+/g, "[email]")
+    .replace(/(?:[A-Za-z]:)?(?:[\\/][\w.-]+){2,}/g, "[path]")
+    .replace(/\b[A-Za-z0-9_-]{24,}\b/g, "[redacted]")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 300);
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
 class SubmissionModel {
   constructor() {
     this.collectionName = "submissions";
   }
 
+  async ensureIndexes() {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.createIndex({ createdAt: -1, _id: -1 });
+    await collection.createIndex({ name: 1, _id: 1 });
+    await collection.createIndex({ email: 1, createdAt: -1 });
+  }
+
   validateAndSanitizeInput(userData) {
     const errors = [];
     const sanitized = {};
@@ -67,9 +138,36 @@ class SubmissionModel {
       sanitized.terms = true;
     }
 
+    // Form posts send the checkbox as "on"; API clients may send a boolean
+    sanitized.emailOptOut = ["on", "true", true].includes(userData.emailOptOut);
+
     return { isValid: errors.length === 0, errors, sanitized };
   }
 
+  /**
+   * Validate the optional face regions picked for the source and target
+   * @param {Object} body - Request body with sourceRegion and targetRegion
+   * @returns {Object} { isValid, errors, regions } where regions is null
+   *   when neither face was picked
+   */
+  validateRegions(body = {}) {
+    const errors = [];
+    const regions = {};
+    for (const type of ["source", "target"]) {
+      try {
+        regions[type] = parseRegion(body[`${type}Region`]);
+      } catch (error) {
+        const label = type === "source" ? "Source" : "Target";
+        errors.push(`${label} face region ${error.message}`);
+      }
+    }
+    return {
+      isValid: errors.length === 0,
+      errors,
+      regions: regions.source || regions.target ? regions : null,
+    };
+  }
+
   validateFiles(files) {
     const errors = [];
     if (!files || !files.source || !files.target) {
@@ -80,112 +178,360 @@ class SubmissionModel {
     const sourceFile = files.source[0];
     const targetFile = files.target[0];
 
-    const maxSize = 2 * 1024 * 1024;
-    if (sourceFile.size > maxSize) {
-      errors.push("Source image must be less than 2MB");
+    if (sourceFile.size > MAX_UPLOAD_BYTES) {
+      errors.push(`Source image must be less than ${MAX_UPLOAD_MB}MB`);
     }
-    if (targetFile.size > maxSize) {
-      errors.push("Target image must be less than 2MB");
+    if (targetFile.size > MAX_UPLOAD_BYTES) {
+      errors.push(`Target image must be less than ${MAX_UPLOAD_MB}MB`);
     }
 
-    const allowedMimes = ["image/jpeg", "image/png", "image/jpg"];
-    if (!allowedMimes.includes(sourceFile.mimetype)) {
-      errors.push("Source image must be JPEG, PNG, or JPG format");
+    if (!isAcceptedImage(sourceFile.mimetype, sourceFile.originalname)) {
+      errors.push(`Source image must be ${ACCEPTED_FORMATS_LABEL} format`);
     }
-    if (!allowedMimes.includes(targetFile.mimetype)) {
-      errors.push("Target image must be JPEG, PNG, or JPG format");
+    if (!isAcceptedImage(targetFile.mimetype, targetFile.originalname)) {
+      errors.push(`Target image must be ${ACCEPTED_FORMATS_LABEL} format`);
     }
 
     return { isValid: errors.length === 0, errors };
   }
 
-  async uploadImages(files, submissionId) {
-    try {
-      const sourceFile = files.source[0];
-      const targetFile = files.target[0];
-      const sourceUpload = await uploadToCloudinary(
-        sourceFile.path,
-        "faceswap/source",
-        `source_${submissionId}_${Date.now()}`
-      );
-      const targetUpload = await uploadToCloudinary(
-        targetFile.path,
-        "faceswap/target",
-        `target_${submissionId}_${Date.now()}`
-      );
-      this.cleanupLocalFiles([sourceFile.path, targetFile.path]);
-      return {
-        source: sourceUpload,
-        target: targetUpload,
-      };
-    } catch (error) {
-      this.cleanupLocalFiles([files.source[0].path, files.target[0].path]);
-      throw error;
+  // Store one uploaded source or target image
+  async uploadInputImage(type, filePath, submissionId, originalFormat = null) {
+    const upload = await getStorage().put(filePath, {
+      folder: `faceswap/${type}`,
+      name: `${type}_${submissionId}_${Date.now()}`,
+    });
+    // Format of the upload before it was normalised, e.g. "heic"
+    return { ...upload, originalFormat };
+  }
+
+  /**
+   * Copy a stored image to a local file, so it can be sent to the face
+   * swap provider like a fresh upload
+   * @param {Object} image - Image record from a submission
+   * @param {string} prefix - File name prefix
+   * @returns {Promise<string>} Path of the local file; the caller removes it
+   */
+  async fetchImageToFile(image, prefix) {
+    if (!image?.publicId) {
+      throw new Error("Stored image not found");
     }
+    const { stream } = await getStorageForImage(image).createReadStream(
+      image.publicId
+    );
+    const filePath = path.resolve(
+      "uploads",
+      `${prefix}-${Date.now()}-${Math.round(Math.random() * 1e9)}.${image.format || "jpg"}`
+    );
+    await pipeline(stream, fs.createWriteStream(filePath));
+    return filePath;
+  }
+
+  // The caller removes the local files once it no longer needs them
+  async uploadImages(files, submissionId, onProgress = () => {}) {
+    onProgress("uploading_source", "Uploading source image");
+    const sourceUpload = await this.uploadInputImage(
+      "source",
+      files.source[0].path,
+      submissionId,
+      files.source[0].originalFormat
+    );
+    onProgress("uploading_target", "Uploading target image");
+    const targetUpload = await this.uploadInputImage(
+      "target",
+      files.target[0].path,
+      submissionId,
+      files.target[0].originalFormat
+    );
+    return {
+      source: sourceUpload,
+      target: targetUpload,
+    };
   }
 
   async uploadSwappedImage(imageUrl, submissionId) {
+    return getStorage().put(imageUrl, {
+      folder: "faceswap/results",
+      name: `result_${submissionId}_${Date.now()}`,
+    });
+  }
+
+  toImageRecord(upload) {
+    return {
+      url: upload.url,
+      publicId: upload.publicId,
+      width: upload.width,
+      height: upload.height,
+      format: upload.format,
+      bytes: upload.bytes,
+      storage: upload.storage,
+      originalFormat: upload.originalFormat || null,
+    };
+  }
+
+  /**
+   * Create the submission record before any work starts, so a swap that
+   * fails still leaves a record support can find
+   * @param {Object} userData - Validated name, email, phone, terms and
+   *   emailOptOut
+   * @param {Object} meta - jobId, apiKeyId, batchId, regions (the faces
+   *   picked in the source and target), hashes (of the uploaded images) and
+   *   cachedFrom (the submission whose result was reused)
+   * @returns {Promise<Object>} The pending submission
+   */
+  async createSubmission(userData, meta = {}) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    const submission = {
+      _id: new ObjectId(),
+      name: userData.name,
+      email: userData.email,
+      phone: userData.phone,
+      terms: userData.terms,
+      emailOptOut: Boolean(userData.emailOptOut),
+      status: "pending",
+      failure: null,
+      sourceImage: null,
+      targetImage: null,
+      swappedImage: null,
+      provider: null,
+      jobId: meta.jobId || null,
+      apiKeyId: meta.apiKeyId || null,
+      batchId: meta.batchId || null,
+      regions: meta.regions || null,
+      hashes: meta.hashes || null,
+      cachedFrom: meta.cachedFrom || null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await collection.insertOne(submission);
+    await this.notifyWebhooks("submission.created", submission);
+    return submission;
+  }
+
+  /**
+   * Queue a webhook event for a submission. Webhooks never fail the swap:
+   * an error is only logged.
+   * @param {string} type - Event type
+   * @param {Object|string} submission - The submission, or its ID to load
+   *   its current state
+   */
+  async notifyWebhooks(type, submission) {
+    const id = submission._id?.toString() || submission;
     try {
-      const result = await uploadToCloudinary(
-        imageUrl,
-        "faceswap/results",
-        `result_${submissionId}_${Date.now()}`
-      );
-      return result;
+      const current =
+        typeof submission === "string"
+          ? await this.getSubmissionById(submission)
+          : submission;
+      await queueSubmissionEvent(type, current);
     } catch (error) {
-      throw error;
+      console.warn(
+        `⚠️ Could not queue ${type} webhooks for ${id}:`,
+        error.message
+      );
     }
   }
 
-  async createSubmission(userData, imageUploads, swappedImageUrl) {
+  /**
+   * Queue an email to the submitter about how their swap ended. Like
+   * webhooks, an email that can't be queued never fails the swap.
+   * @param {string} template - One of EMAIL_TEMPLATES
+   * @param {string} id - Submission ID
+   */
+  async emailSubmitter(template, id) {
+    if (!isEmailConfigured()) {
+      return;
+    }
     try {
-      const collection = await database.getCollection(this.collectionName);
-      const submission = {
-        _id: new ObjectId(),
-        name: userData.name,
-        email: userData.email,
-        phone: userData.phone,
-        terms: userData.terms,
-        sourceImage: {
-          url: imageUploads.source.url,
-          publicId: imageUploads.source.publicId,
-          width: imageUploads.source.width,
-          height: imageUploads.source.height,
-          format: imageUploads.source.format,
-          bytes: imageUploads.source.bytes,
-        },
-        targetImage: {
-          url: imageUploads.target.url,
-          publicId: imageUploads.target.publicId,
-          width: imageUploads.target.width,
-          height: imageUploads.target.height,
-          format: imageUploads.target.format,
-          bytes: imageUploads.target.bytes,
-        },
-        swappedImage: {
-          url: swappedImageUrl.url,
-          publicId: swappedImageUrl.publicId,
-          width: swappedImageUrl.width,
-          height: swappedImageUrl.height,
-          format: swappedImageUrl.format,
-          bytes: swappedImageUrl.bytes,
-        },
-        createdAt: new Date(),
+      await queueSubmissionEmail(template, await this.getSubmissionById(id));
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not queue ${template} email for ${id}:`,
+        error.message
+      );
+    }
+  }
+
+  async updateStatus(id, status, fields = {}) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { ...fields, status, updatedAt: new Date() } }
+    );
+  }
+
+  // Uploads are stored, the swap is about to start
+  async startSwap(id, imageUploads) {
+    await this.updateStatus(id, "swapping", {
+      sourceImage: this.toImageRecord(imageUploads.source),
+      targetImage: this.toImageRecord(imageUploads.target),
+    });
+  }
+
+  async completeSubmission(id, swappedUpload, provider) {
+    await this.updateStatus(id, "completed", {
+      swappedImage: this.toImageRecord(swappedUpload),
+      provider: provider || null,
+      failure: null,
+      version: 1,
+      resultAt: new Date(),
+    });
+    await this.notifyWebhooks("submission.completed", id);
+    await this.emailSubmitter("swap_completed", id);
+  }
+
+  /**
+   * Stop emails about a submission, from the opt-out link in an email.
+   * Emails already queued are cancelled by the email dispatcher.
+   * @throws {Error} If the submission does not exist
+   */
+  async setEmailOptOut(id) {
+    const collection = await database.getCollection(this.collectionName);
+    const result = await collection.updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { emailOptOut: true, updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      throw new Error("Submission not found");
+    }
+  }
+
+  // Track a re-run on the submission so its page can show the progress
+  async setRerunState(id, rerun) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { rerun: { ...rerun, at: new Date() }, updatedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Store the result of a re-run as the current version, moving the
+   * previous result into the version history
+   * @param {string} id - Submission ID
+   * @param {Object} result - swappedUpload, provider, jobId, requestedBy,
+   *   and sourceUpload / targetUpload for replaced inputs
+   * @returns {Promise<number>} The new version number
+   */
+  async addVersion(id, result) {
+    const submission = await this.getSubmissionById(id);
+    const previousVersion =
+      submission.version || (submission.swappedImage?.url ? 1 : 0);
+    const update = {
+      $set: {
+        status: "completed",
+        failure: null,
+        swappedImage: this.toImageRecord(result.swappedUpload),
+        provider: result.provider || null,
+        version: previousVersion + 1,
+        resultAt: new Date(),
+        resultBy: result.requestedBy || null,
+        rerun: { jobId: result.jobId, status: "completed", at: new Date() },
         updatedAt: new Date(),
+      },
+    };
+    if (result.sourceUpload) {
+      update.$set.sourceImage = this.toImageRecord(result.sourceUpload);
+    }
+    if (result.targetUpload) {
+      update.$set.targetImage = this.toImageRecord(result.targetUpload);
+    }
+    // A submission whose first swap failed has no result to keep
+    if (submission.swappedImage?.url) {
+      update.$push = {
+        versions: {
+          version: previousVersion,
+          sourceImage: submission.sourceImage,
+          targetImage: submission.targetImage,
+          swappedImage: submission.swappedImage,
+          provider: submission.provider || null,
+          createdAt: submission.resultAt || submission.createdAt,
+          requestedBy: submission.resultBy || null,
+        },
       };
+    }
 
-      const result = await collection.insertOne(submission);
-      return { ...submission, _id: result.insertedId };
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateOne({ _id: submission._id }, update);
+    await this.notifyWebhooks("submission.completed", id);
+    return previousVersion + 1;
+  }
+
+  /**
+   * Mark a submission as failed
+   * @param {string} id - Submission ID
+   * @param {string} stage - Stage that failed: pending, uploading, swapping
+   *   or saving
+   * @param {Error} error - The error; only a sanitized message is stored
+   */
+  async failSubmission(id, stage, error) {
+    await this.updateStatus(id, "failed", {
+      failure: {
+        stage,
+        reason: sanitizeFailureReason(error?.message),
+        at: new Date(),
+      },
+    });
+    await this.notifyWebhooks("submission.failed", id);
+    await this.emailSubmitter("swap_failed", id);
+  }
+
+  /**
+   * Put a submission back to pending before its job is retried, deleting
+   * any images the interrupted attempt stored
+   * @param {string} id - Submission ID
+   */
+  async resetSubmission(id) {
+    const submission = await this.getSubmissionById(id);
+    try {
+      await this.deleteImages(submission);
     } catch (error) {
-      throw error;
+      console.warn(`⚠️ Could not delete images of ${id}:`, error.message);
     }
+    await this.updateStatus(id, "pending", {
+      sourceImage: null,
+      targetImage: null,
+      swappedImage: null,
+      failure: null,
+    });
   }
 
-  async getAllSubmissions(limit = 50, skip = 0) {
+  // Jobs given up on after a worker crash leave their submission mid-way
+  async failInterruptedSubmissions(ids) {
+    if (ids.length === 0) {
+      return;
+    }
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    const filter = {
+      _id: { $in: ids.map((id) => new ObjectId(id)) },
+      status: { $in: IN_PROGRESS_STATUSES },
+    };
+    const interrupted = await collection
+      .find(filter, { projection: { _id: 1 } })
+      .toArray();
+    await collection.updateMany(filter, {
+      $set: {
+        status: "failed",
+        failure: {
+          stage: "interrupted",
+          reason: "Processing was interrupted too many times",
+          at: now,
+        },
+        updatedAt: now,
+      },
+    });
+    for (const { _id } of interrupted) {
+      await this.notifyWebhooks("submission.failed", _id.toString());
+      await this.emailSubmitter("swap_failed", _id.toString());
+    }
+  }
+
+  async getAllSubmissions(limit = 50, skip = 0, filter = {}) {
     try {
       const collection = await database.getCollection(this.collectionName);
       const submissions = await collection
-        .find({})
+        .find(filter)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
@@ -196,6 +542,191 @@ class SubmissionModel {
     }
   }
 
+  async countSubmissions(filter = {}) {
+    try {
+      const collection = await database.getCollection(this.collectionName);
+      return await collection.countDocuments(filter);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Build the query for the submissions list filters
+   * @param {Object} filters - search (name, or start of the email address),
+   *   from and to (Date, to is exclusive) and status
+   * @returns {Object} MongoDB filter
+   */
+  buildListFilter({ search = "", from = null, to = null, status = "" } = {}) {
+    const filter = {};
+    if (search) {
+      // Emails are stored lowercased, so an anchored prefix can use the index
+      const escaped = escapeRegex(search);
+      filter.$or = [
+        { email: { $regex: `^${escaped.toLowerCase()}` } },
+        { name: { $regex: escaped, $options: "i" } },
+      ];
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        filter.createdAt.$gte = from;
+      }
+      if (to) {
+        filter.createdAt.$lt = to;
+      }
+    }
+    if (status === "completed") {
+      filter.status = { $in: ["completed", null] };
+    } else if (status === "failed") {
+      filter.status = "failed";
+    } else if (status === "in_progress") {
+      filter.status = { $in: IN_PROGRESS_STATUSES };
+    } else if (status === "images_purged") {
+      filter.imagesPurgedAt = { $ne: null };
+    } else if (status === "anonymised") {
+      filter.anonymisedAt = { $ne: null };
+    }
+    return filter;
+  }
+
+  encodeCursor(submission, field) {
+    const value = submission[field];
+    return Buffer.from(
+      JSON.stringify({
+        v: value instanceof Date ? value.toISOString() : (value ?? null),
+        d: value instanceof Date,
+        id: submission._id.toString(),
+      })
+    ).toString("base64url");
+  }
+
+  /**
+   * Read a cursor from a page link. The value goes into a query, so only a
+   * string, a date or null (a missing name) is accepted; anything else could
+   * be a query operator.
+   * @param {string} cursor - From encodeCursor
+   * @returns {Object|null} { value, id }, or null when there is no cursor
+   * @throws {Error} "Invalid cursor" for anything that is not a cursor we
+   *   issued
+   */
+  decodeCursor(cursor) {
+    if (cursor === undefined || cursor === null || cursor === "") {
+      return null;
+    }
+    let decoded;
+    try {
+      decoded =
+        typeof cursor === "string" &&
+        JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch (error) {
+      decoded = null;
+    }
+    const { v, d, id } = decoded || {};
+    if (
+      (typeof v !== "string" && v !== null) ||
+      typeof id !== "string" ||
+      !ObjectId.isValid(id)
+    ) {
+      throw new Error("Invalid cursor");
+    }
+    const value = d === true && v !== null ? new Date(v) : v;
+    if (value instanceof Date && isNaN(value.getTime())) {
+      throw new Error("Invalid cursor");
+    }
+    return { value, id: new ObjectId(id) };
+  }
+
+  /**
+   * Fetch one page of submissions using keyset pagination, so deep pages
+   * cost the same as the first and new submissions do not shift pages
+   * @param {Object} options - filter, sort (key of SUBMISSION_SORTS), limit,
+   *   and after or before (cursors from a previous page)
+   * @returns {Promise<Object>} { submissions, total, hasNextPage,
+   *   hasPrevPage, nextCursor, prevCursor }
+   * @throws {Error} "Invalid cursor" if after or before is not a cursor we
+   *   issued
+   */
+  async findSubmissionsPage({
+    filter = {},
+    sort = "newest",
+    limit = 20,
+    after = null,
+    before = null,
+  } = {}) {
+    const { field, direction } =
+      SUBMISSION_SORTS[sort] || SUBMISSION_SORTS.newest;
+    const cursor = this.decodeCursor(after || before);
+    const backwards = Boolean(cursor && !after);
+    // Walking backwards reads the preceding rows in reverse order
+    const queryDirection = backwards ? -direction : direction;
+
+    let query = filter;
+    if (cursor) {
+      const op = queryDirection === 1 ? "$gt" : "$lt";
+      query = {
+        $and: [
+          filter,
+          {
+            $or: [
+              { [field]: { [op]: cursor.value } },
+              { [field]: cursor.value, _id: { [op]: cursor.id } },
+            ],
+          },
+        ],
+      };
+    }
+
+    const collection = await database.getCollection(this.collectionName);
+    const [rows, total] = await Promise.all([
+      collection
+        .find(query)
+        .sort({ [field]: queryDirection, _id: queryDirection })
+        .limit(limit + 1)
+        .toArray(),
+      collection.countDocuments(filter),
+    ]);
+
+    const hasMore = rows.length > limit;
+    const submissions = rows.slice(0, limit);
+    if (backwards) {
+      submissions.reverse();
+    }
+    const first = submissions[0];
+    const last = submissions[submissions.length - 1];
+
+    return {
+      submissions,
+      total,
+      hasNextPage: backwards ? true : hasMore,
+      hasPrevPage: backwards ? hasMore : Boolean(cursor),
+      nextCursor: last ? this.encodeCursor(last, field) : null,
+      prevCursor: first ? this.encodeCursor(first, field) : null,
+    };
+  }
+
+  /**
+   * Open a cursor over every submission matching a filter, for exports
+   * that should not hold the whole result in memory
+   * @param {Object} filter - MongoDB filter from buildListFilter
+   * @param {string} sort - Key of SUBMISSION_SORTS
+   * @returns {Promise<FindCursor>}
+   */
+  async streamSubmissions(filter = {}, sort = "newest") {
+    const { field, direction } =
+      SUBMISSION_SORTS[sort] || SUBMISSION_SORTS.newest;
+    const collection = await database.getCollection(this.collectionName);
+    return collection
+      .find(filter)
+      .sort({ [field]: direction, _id: direction })
+      .batchSize(500);
+  }
+
+  async submissionExists(id) {
+    const collection = await database.getCollection(this.collectionName);
+    return (await collection.countDocuments({ _id: new ObjectId(id) })) > 0;
+  }
+
   async getSubmissionById(id) {
     try {
       const collection = await database.getCollection(this.collectionName);
@@ -209,6 +740,160 @@ class SubmissionModel {
     }
   }
 
+  async findSubmissionsByEmail(email) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection
+      .find({ email: String(email).trim().toLowerCase() })
+      .sort({ createdAt: 1 })
+      .toArray();
+  }
+
+  /**
+   * Every stored image of a submission, including those of earlier
+   * versions. Versions share images that were not replaced, so each image
+   * is listed once.
+   * @param {Object} submission - Submission document
+   * @returns {Array} [{ type, image }]
+   */
+  submissionImages(submission) {
+    const seen = new Set();
+    const images = [];
+    const add = (type, image) => {
+      if (image?.publicId && !seen.has(image.publicId)) {
+        seen.add(image.publicId);
+        images.push({ type, image });
+      }
+    };
+    for (const type of IMAGE_TYPES) {
+      add(type, submission[`${type}Image`]);
+    }
+    for (const version of submission.versions || []) {
+      for (const type of IMAGE_TYPES) {
+        add(`${type}@v${version.version}`, version[`${type}Image`]);
+      }
+    }
+    return images;
+  }
+
+  // Delete the stored images of a submission. Throws if any image could
+  // not be deleted, after trying all of them.
+  async deleteImages(submission) {
+    const assets = [];
+    const failures = [];
+
+    for (const { type, image } of this.submissionImages(submission)) {
+      const publicId = image.publicId;
+      try {
+        const result = await getStorageForImage(image).delete(publicId);
+        // "not found" means the image is already gone
+        assets.push({ type, publicId, result: result.result });
+      } catch (error) {
+        failures.push(`${type}: ${error.message}`);
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(
+        `Failed to delete images for submission ${submission._id}: ${failures.join("; ")}`
+      );
+    }
+    return assets;
+  }
+
+  /**
+   * Delete a submission, its stored images and the job that created it.
+   * The document is kept if any image fails to delete, so the publicIds are
+   * not lost and the delete can be retried.
+   * @param {string} id - Submission ID
+   * @returns {Promise<Object>} Summary of what was deleted
+   * @throws {Error} "Submission is still being processed" while a worker
+   *   has its job
+   */
+  async deleteSubmission(id) {
+    const submission = await this.getSubmissionById(id);
+    // The worker would go on to store images for a submission that no
+    // longer exists
+    if (await jobModel.hasActiveJob(submission._id.toString())) {
+      throw new Error("Submission is still being processed");
+    }
+    const assets = await this.deleteImages(submission);
+
+    const collection = await database.getCollection(this.collectionName);
+    await collection.deleteOne({ _id: submission._id });
+    await swapCacheModel.removeBySubmissionId(submission._id.toString());
+    await webhookDeliveryModel.deleteBySubmissionId(submission._id.toString());
+    await emailLogModel.deleteBySubmissionId(submission._id.toString());
+    // The job that produced the submission still holds the contact details
+    const jobsDeleted = await jobModel.deleteJobsBySubmissionId(
+      submission._id.toString()
+    );
+    console.log(`🗑️ Deleted submission ${id}`);
+
+    return {
+      submissionId: submission._id.toString(),
+      createdAt: submission.createdAt,
+      assets,
+      jobsDeleted,
+    };
+  }
+
+  // Submissions older than the cutoff that still have their images
+  imagePurgeFilter(cutoff) {
+    return { createdAt: { $lt: cutoff }, imagesPurgedAt: null };
+  }
+
+  // Submissions older than the cutoff that still have contact details
+  anonymiseFilter(cutoff) {
+    return { createdAt: { $lt: cutoff }, anonymisedAt: null };
+  }
+
+  /**
+   * Delete the stored images of a submission but keep the record
+   * @param {Object} submission - Submission document
+   * @returns {Promise<Array>} The deleted assets
+   */
+  async purgeImages(submission) {
+    const assets = await this.deleteImages(submission);
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    await collection.updateOne(
+      { _id: submission._id },
+      {
+        $set: {
+          sourceImage: null,
+          targetImage: null,
+          swappedImage: null,
+          versions: [],
+          hashes: null,
+          imagesPurgedAt: now,
+          updatedAt: now,
+        },
+      }
+    );
+    await jobModel.clearResultUrl(submission._id.toString());
+    await swapCacheModel.removeBySubmissionId(submission._id.toString());
+    return assets;
+  }
+
+  async anonymiseSubmission(submission) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    await collection.updateOne(
+      { _id: submission._id },
+      {
+        $set: {
+          name: "Anonymised",
+          email: null,
+          phone: null,
+          anonymisedAt: now,
+          updatedAt: now,
+        },
+      }
+    );
+    await webhookDeliveryModel.removeContactDetails(submission._id.toString());
+    await emailLogModel.removeRecipient(submission._id.toString());
+  }
+
   cleanupLocalFiles(filePaths) {
     filePaths.forEach((filePath) => {
       if (fs.existsSync(filePath)) {
@@ -227,10 +912,14 @@ class SubmissionModel {
       const todaySubmissions = await collection.countDocuments({
         createdAt: { $gte: todayStart },
       });
+      const failedSubmissions = await collection.countDocuments({
+        status: "failed",
+      });
 
       return {
         total: totalSubmissions,
         today: todaySubmissions,
+        failed: failedSubmissions,
         lastUpdated: new Date(),
       };
     } catch (error) {
@@ -0,0 +1,216 @@
+import crypto from "crypto";
+import database from "../config/db.js";
+import config from "../config/index.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const SETTINGS_ID = "swapCache";
+
+// Perceptual hashes this many bits apart or fewer count as the same image.
+// A 64-bit hash is indexed as four 16-bit chunks: two hashes within three
+// bits of each other always share at least one chunk. Only targets are
+// matched this way; portraits of two similar-looking people can be this
+// close, so the source face has to be the exact same file.
+const MAX_HASH_DISTANCE = 3;
+const HASH_CHUNKS = 4;
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const hashChunks = (phash) =>
+  Array.from({ length: HASH_CHUNKS }, (_, index) => {
+    const size = phash.length / HASH_CHUNKS;
+    return `${index}:${phash.slice(index * size, (index + 1) * size)}`;
+  });
+
+// Number of differing bits between two hex hashes
+const hashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+};
+
+/**
+ * Completed swaps keyed by their source and target images, so an identical
+ * request can reuse the result instead of calling a provider again. An
+ * entry points at the stored result of the submission that produced it;
+ * whoever reuses it stores a copy of their own.
+ */
+class SwapCacheModel {
+  constructor() {
+    this.collectionName = "swap_cache";
+    this.settingsCollectionName = "settings";
+    this.ttlMs = config.swapCache.ttlHours * HOUR_MS;
+  }
+
+  async ensureIndexes() {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await collection.createIndex({
+      regionKey: 1,
+      sourceSha256: 1,
+      targetChunks: 1,
+    });
+    await collection.createIndex({ submissionId: 1 });
+  }
+
+  /**
+   * Cache keys of a swap request. The picked face regions are part of both
+   * keys, since they change the result.
+   * @param {Object} hashes - From hashImagePair
+   * @param {Object|null} regions - Face regions of the request
+   * @returns {Object} { contentKey, regionKey }
+   */
+  cacheKeys(hashes, regions) {
+    const regionKey = sha256(JSON.stringify(regions || null));
+    return {
+      contentKey: sha256(
+        `${hashes.source.sha256}:${hashes.target.sha256}:${regionKey}`
+      ),
+      regionKey,
+    };
+  }
+
+  // The admin switch; until an admin sets it, SWAP_CACHE_ENABLED applies
+  async getSettings() {
+    const collection = await database.getCollection(
+      this.settingsCollectionName
+    );
+    const settings = await collection.findOne({ _id: SETTINGS_ID });
+    return {
+      enabled: settings ? settings.enabled : config.swapCache.enabled,
+      updatedBy: settings?.updatedBy || null,
+      updatedAt: settings?.updatedAt || null,
+      ttlHours: config.swapCache.ttlHours,
+      perceptual: config.swapCache.perceptual,
+    };
+  }
+
+  async isEnabled() {
+    return (await this.getSettings()).enabled;
+  }
+
+  async setEnabled(enabled, updatedBy) {
+    const collection = await database.getCollection(
+      this.settingsCollectionName
+    );
+    await collection.updateOne(
+      { _id: SETTINGS_ID },
+      { $set: { enabled: Boolean(enabled), updatedBy, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Find a cached result for a swap request: first for the exact same
+   * files, then (if SWAP_CACHE_PERCEPTUAL is on) for the same source file
+   * with the closest target that looks the same
+   * @param {Object} hashes - From hashImagePair
+   * @param {Object|null} regions - Face regions of the request
+   * @returns {Promise<Object|null>} The cache entry, with match set to
+   *   "content" or "perceptual"
+   */
+  async findEntry(hashes, regions) {
+    const collection = await database.getCollection(this.collectionName);
+    const { contentKey, regionKey } = this.cacheKeys(hashes, regions);
+    // The TTL monitor only runs every minute or so
+    const live = { expiresAt: { $gt: new Date() } };
+    const exact = await collection.findOne({ _id: contentKey, ...live });
+    if (exact) {
+      return { ...exact, match: "content" };
+    }
+    if (!config.swapCache.perceptual) {
+      return null;
+    }
+    const candidates = await collection
+      .find({
+        regionKey,
+        sourceSha256: hashes.source.sha256,
+        targetChunks: { $in: hashChunks(hashes.target.phash) },
+        ...live,
+      })
+      .limit(100)
+      .toArray();
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+      const distance = hashDistance(candidate.targetPhash, hashes.target.phash);
+      if (distance <= MAX_HASH_DISTANCE && distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    return best ? { ...best, match: "perceptual" } : null;
+  }
+
+  /**
+   * Cache the result of a completed swap. A newer result for the same
+   * images replaces the older one.
+   */
+  async storeResult(hashes, regions, { submissionId, swappedImage, provider }) {
+    const collection = await database.getCollection(this.collectionName);
+    const { contentKey, regionKey } = this.cacheKeys(hashes, regions);
+    const now = new Date();
+    await collection.replaceOne(
+      { _id: contentKey },
+      {
+        regionKey,
+        sourceSha256: hashes.source.sha256,
+        targetPhash: hashes.target.phash,
+        targetChunks: hashChunks(hashes.target.phash),
+        submissionId,
+        swappedImage,
+        provider: provider || null,
+        hits: 0,
+        lastHitAt: null,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + this.ttlMs),
+      },
+      { upsert: true }
+    );
+  }
+
+  async recordHit(id) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateOne(
+      { _id: id },
+      { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } }
+    );
+  }
+
+  async removeEntry(id) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.deleteOne({ _id: id });
+  }
+
+  // Called when a submission's result is deleted, so no entry points at it
+  async removeBySubmissionId(submissionId) {
+    const collection = await database.getCollection(this.collectionName);
+    const result = await collection.deleteMany({ submissionId });
+    return result.deletedCount;
+  }
+
+  async clear() {
+    const collection = await database.getCollection(this.collectionName);
+    const result = await collection.deleteMany({});
+    return result.deletedCount;
+  }
+
+  async getStats() {
+    const collection = await database.getCollection(this.collectionName);
+    const [totals] = await collection
+      .aggregate([
+        { $match: { expiresAt: { $gt: new Date() } } },
+        {
+          $group: { _id: null, entries: { $sum: 1 }, hits: { $sum: "$hits" } },
+        },
+      ])
+      .toArray();
+    return { entries: totals?.entries || 0, hits: totals?.hits || 0 };
+  }
+}
+
+export default new SwapCacheModel();
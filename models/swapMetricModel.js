@@ -0,0 +1,243 @@
+import database from "../config/db.js";
+import { sanitizeFailureReason } from "./submissionModel.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Failure categories shown on the dashboard, checked in order
+const FAILURE_REASONS = [
+  { reason: "out_of_credits", match: (error) => error.status === 402 },
+  {
+    reason: "auth_error",
+    match: (error) => error.status === 401 || error.status === 403,
+  },
+  { reason: "rate_limited", match: (error) => error.status === 429 },
+  { reason: "provider_error", match: (error) => error.status >= 500 },
+  {
+    reason: "timeout",
+    match: (error) =>
+      error.name === "AbortError" ||
+      /timed out|did not complete/i.test(error.message),
+  },
+  {
+    reason: "swap_rejected",
+    match: (error) => /failed during processing/i.test(error.message),
+  },
+  { reason: "upload_failed", match: (error) => /upload/i.test(error.message) },
+];
+
+// Start of the UTC day, or of the UTC week (Monday) for unit "week"
+const truncate = (date, unit) => {
+  const day = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  if (unit === "week") {
+    return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  }
+  return day;
+};
+
+/**
+ * One document per provider attempt, so swap metrics survive restarts and
+ * can be broken down by day, provider and failure reason. Contact details
+ * are never stored here.
+ */
+class SwapMetricModel {
+  constructor() {
+    this.collectionName = "swap_metrics";
+  }
+
+  async ensureIndexes() {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.createIndex({ createdAt: 1 });
+    await collection.createIndex({ success: 1, durationMs: 1 });
+  }
+
+  classifyFailure(error) {
+    const match = FAILURE_REASONS.find((entry) => entry.match(error));
+    return match ? match.reason : "other";
+  }
+
+  /**
+   * Record one attempt at a swap with one provider
+   * @param {Object} attempt - provider, durationMs, error (null on success),
+   *   jobId and apiKeyId
+   */
+  async recordAttempt({
+    provider,
+    durationMs,
+    error = null,
+    jobId = null,
+    apiKeyId = null,
+  }) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.insertOne({
+      provider,
+      success: !error,
+      durationMs,
+      reason: error ? this.classifyFailure(error) : null,
+      errorStatus: error?.status || null,
+      // Provider messages can echo URLs, paths or keys
+      errorMessage: error ? sanitizeFailureReason(error.message) : null,
+      jobId,
+      apiKeyId,
+      createdAt: new Date(),
+    });
+  }
+
+  /**
+   * Totals for attempts since a date
+   * @param {Date} since
+   * @returns {Promise<Object>} { total, successful, failed, successRate,
+   *   averageDurationMs }
+   */
+  async getSummary(since) {
+    const collection = await database.getCollection(this.collectionName);
+    const [row] = await collection
+      .aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            successful: { $sum: { $cond: ["$success", 1, 0] } },
+            averageDurationMs: {
+              $avg: { $cond: ["$success", "$durationMs", null] },
+            },
+          },
+        },
+      ])
+      .toArray();
+    const total = row?.total || 0;
+    const successful = row?.successful || 0;
+    return {
+      total,
+      successful,
+      failed: total - successful,
+      successRate: total > 0 ? successful / total : null,
+      averageDurationMs: row?.averageDurationMs ?? null,
+    };
+  }
+
+  /**
+   * Attempts per day or week since a date. Buckets without attempts are
+   * included with zero counts so the series has no gaps.
+   * @param {Date} since
+   * @param {string} unit - "day" or "week" (weeks start on Monday, UTC)
+   * @returns {Promise<Array>} [{ date, total, successful, failed,
+   *   averageDurationMs }]
+   */
+  async getTimeSeries(since, unit = "day") {
+    const collection = await database.getCollection(this.collectionName);
+    const rows = await collection
+      .aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        {
+          $group: {
+            _id: {
+              $dateTrunc: {
+                date: "$createdAt",
+                unit,
+                startOfWeek: "monday",
+                timezone: "UTC",
+              },
+            },
+            total: { $sum: 1 },
+            successful: { $sum: { $cond: ["$success", 1, 0] } },
+            averageDurationMs: {
+              $avg: { $cond: ["$success", "$durationMs", null] },
+            },
+          },
+        },
+      ])
+      .toArray();
+
+    const byBucket = new Map(
+      rows.map((row) => [new Date(row._id).getTime(), row])
+    );
+    const step = unit === "week" ? 7 * DAY_MS : DAY_MS;
+    const series = [];
+    for (
+      let time = truncate(since, unit).getTime();
+      time <= Date.now();
+      time += step
+    ) {
+      const row = byBucket.get(time);
+      series.push({
+        date: new Date(time),
+        total: row?.total || 0,
+        successful: row?.successful || 0,
+        failed: (row?.total || 0) - (row?.successful || 0),
+        averageDurationMs: row?.averageDurationMs ?? null,
+      });
+    }
+    return series;
+  }
+
+  async getFailureReasons(since) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection
+      .aggregate([
+        { $match: { createdAt: { $gte: since }, success: false } },
+        { $sort: { createdAt: -1 } },
+        {
+          $group: {
+            _id: "$reason",
+            count: { $sum: 1 },
+            lastMessage: { $first: "$errorMessage" },
+            lastSeenAt: { $first: "$createdAt" },
+          },
+        },
+        { $sort: { count: -1 } },
+      ])
+      .toArray();
+  }
+
+  async getProviderBreakdown(since) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection
+      .aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        {
+          $group: {
+            _id: "$provider",
+            total: { $sum: 1 },
+            successful: { $sum: { $cond: ["$success", 1, 0] } },
+          },
+        },
+        { $sort: { total: -1 } },
+      ])
+      .toArray();
+  }
+
+  /**
+   * Processing time percentiles of successful attempts, using the
+   * nearest-rank method
+   * @param {Date} since
+   * @param {number[]} percentiles
+   * @returns {Promise<Object>} e.g. { p50: 8123, p95: 20410 }; null values
+   *   when there were no successful attempts
+   */
+  async getDurationPercentiles(since, percentiles = [50, 90, 95, 99]) {
+    const collection = await database.getCollection(this.collectionName);
+    const filter = { success: true, createdAt: { $gte: since } };
+    const count = await collection.countDocuments(filter);
+    const result = {};
+    for (const percentile of percentiles) {
+      if (count === 0) {
+        result[`p${percentile}`] = null;
+        continue;
+      }
+      const rank = Math.max(Math.ceil((percentile / 100) * count) - 1, 0);
+      const [row] = await collection
+        .find(filter, { projection: { durationMs: 1 } })
+        .sort({ durationMs: 1 })
+        .skip(rank)
+        .limit(1)
+        .toArray();
+      result[`p${percentile}`] = row ? row.durationMs : null;
+    }
+    return result;
+  }
+}
+
+export default new SwapMetricModel();
@@ -0,0 +1,204 @@
+import database from "../config/db.js";
+import config from "../config/index.js";
+import { ObjectId } from "mongodb";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Attempts kept on a delivery; older ones are dropped from the log
+const MAX_LOGGED_ATTEMPTS = 20;
+
+/**
+ * One event on its way to one endpoint, with the log of every attempt to
+ * send it. Deliveries are queued here by whichever process produced the
+ * event and sent by the webhook dispatcher of the web process.
+ *
+ * Status is pending (waiting for its next attempt), sending, delivered,
+ * failed (out of attempts) or cancelled (the endpoint was disabled).
+ */
+class WebhookDeliveryModel {
+  constructor() {
+    this.collectionName = "webhook_deliveries";
+    this.logMs = config.webhooks.logDays * DAY_MS;
+  }
+
+  async ensureIndexes() {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await collection.createIndex({ status: 1, nextAttemptAt: 1 });
+    await collection.createIndex({ webhookId: 1, createdAt: -1 });
+    await collection.createIndex({ submissionId: 1 });
+  }
+
+  /**
+   * Queue an event for each endpoint
+   * @param {Object[]} entries - { webhookId, submissionId, event } where
+   *   event is the payload sent as is
+   * @param {Object} meta - resentFrom and resentBy for a resend
+   * @returns {Promise<Object[]>} The queued deliveries
+   */
+  async queueDeliveries(entries, meta = {}) {
+    if (entries.length === 0) {
+      return [];
+    }
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    const deliveries = entries.map(({ webhookId, submissionId, event }) => ({
+      _id: new ObjectId(),
+      webhookId,
+      submissionId: submissionId || null,
+      event,
+      status: "pending",
+      attempts: [],
+      attemptCount: 0,
+      nextAttemptAt: now,
+      lockedUntil: null,
+      lastError: null,
+      deliveredAt: null,
+      resentFrom: meta.resentFrom || null,
+      resentBy: meta.resentBy || null,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: new Date(now.getTime() + this.logMs),
+    }));
+    await collection.insertMany(deliveries);
+    return deliveries;
+  }
+
+  /**
+   * Claim the next delivery that is due. Deliveries left in "sending" by a
+   * process that stopped are claimed again once their lock runs out.
+   * @param {number} lockMs - How long the claim lasts
+   * @returns {Promise<Object|null>}
+   */
+  async claimDue(lockMs) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    return collection.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          { status: "sending", lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: "sending",
+          lockedUntil: new Date(now.getTime() + lockMs),
+          updatedAt: now,
+        },
+      },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+    );
+  }
+
+  /**
+   * Log an attempt and move the delivery on
+   * @param {ObjectId} id - Delivery ID
+   * @param {Object} attempt - at, statusCode, error, durationMs
+   * @param {Object} outcome - status ("delivered", "pending", "failed" or
+   *   "cancelled") and nextAttemptAt for a retry
+   */
+  async recordAttempt(id, attempt, { status, nextAttemptAt = null }) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    await collection.updateOne(
+      { _id: id },
+      {
+        $push: { attempts: { $each: [attempt], $slice: -MAX_LOGGED_ATTEMPTS } },
+        $inc: { attemptCount: 1 },
+        $set: {
+          status,
+          nextAttemptAt,
+          lockedUntil: null,
+          lastError: attempt.error || null,
+          deliveredAt: status === "delivered" ? now : null,
+          updatedAt: now,
+        },
+      }
+    );
+  }
+
+  // Stop a delivery without an attempt, e.g. when its endpoint is disabled
+  async cancelDelivery(id, reason) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateOne(
+      { _id: id },
+      {
+        $set: {
+          status: "cancelled",
+          nextAttemptAt: null,
+          lockedUntil: null,
+          lastError: reason,
+          updatedAt: new Date(),
+        },
+      }
+    );
+  }
+
+  async getDeliveryById(id) {
+    const collection = await database.getCollection(this.collectionName);
+    const delivery = ObjectId.isValid(id)
+      ? await collection.findOne({ _id: new ObjectId(id) })
+      : null;
+    if (!delivery) {
+      throw new Error("Delivery not found");
+    }
+    return delivery;
+  }
+
+  async listForWebhook(webhookId, limit = 50) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection
+      .find({ webhookId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  // { webhookId: { pending, delivered, failed, ... } } for the admin list
+  async countByWebhook() {
+    const collection = await database.getCollection(this.collectionName);
+    const rows = await collection
+      .aggregate([
+        {
+          $group: {
+            _id: { webhookId: "$webhookId", status: "$status" },
+            count: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray();
+    const counts = {};
+    for (const row of rows) {
+      counts[row._id.webhookId] = {
+        ...counts[row._id.webhookId],
+        [row._id.status]: row.count,
+      };
+    }
+    return counts;
+  }
+
+  async deleteForWebhook(webhookId) {
+    const collection = await database.getCollection(this.collectionName);
+    const result = await collection.deleteMany({ webhookId });
+    return result.deletedCount;
+  }
+
+  // Called when a submission is erased, so the log keeps no copy of it
+  async deleteBySubmissionId(submissionId) {
+    const collection = await database.getCollection(this.collectionName);
+    const result = await collection.deleteMany({ submissionId });
+    return result.deletedCount;
+  }
+
+  // Called when a submission is anonymised
+  async removeContactDetails(submissionId) {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.updateMany(
+      { submissionId },
+      { $unset: { "event.data.contact": "" } }
+    );
+  }
+}
+
+export default new WebhookDeliveryModel();
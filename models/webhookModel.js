@@ -0,0 +1,160 @@
+import database from "../config/db.js";
+import crypto from "crypto";
+import sanitizeHtml from "sanitize-html";
+import { ObjectId } from "mongodb";
+
+const SECRET_PREFIX = "whsec";
+
+// Events an endpoint can subscribe to
+export const WEBHOOK_EVENTS = [
+  "submission.created",
+  "submission.completed",
+  "submission.failed",
+];
+
+/**
+ * Endpoints registered by admins to receive submission events. The signing
+ * secret is stored as is, since every delivery is signed with it.
+ */
+class WebhookModel {
+  constructor() {
+    this.collectionName = "webhooks";
+  }
+
+  async ensureIndexes() {
+    const collection = await database.getCollection(this.collectionName);
+    await collection.createIndex({ events: 1, active: 1 });
+  }
+
+  /**
+   * Validate the form or JSON body of a new endpoint
+   * @param {Object} body - url, description, events (array or a single
+   *   value) and includeContact ("on"/"true" to send name, email and phone)
+   * @returns {Object} { isValid, errors, sanitized }
+   */
+  validateWebhookInput(body = {}) {
+    const errors = [];
+    const sanitized = {};
+
+    const url = String(body.url || "").trim();
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      errors.push("URL must be an absolute URL");
+    }
+    if (parsed) {
+      if (!["http:", "https:"].includes(parsed.protocol)) {
+        errors.push("URL must use http or https");
+      } else if (parsed.username || parsed.password) {
+        errors.push("URL must not contain credentials");
+      } else {
+        sanitized.url = parsed.toString();
+      }
+    }
+
+    const description = sanitizeHtml(String(body.description || "").trim(), {
+      allowedTags: [],
+      allowedAttributes: {},
+    });
+    if (description.length > 100) {
+      errors.push("Description must be at most 100 characters");
+    } else {
+      sanitized.description = description;
+    }
+
+    const events = [body.events].flat().filter(Boolean).map(String);
+    if (events.length === 0) {
+      errors.push("Select at least one event");
+    } else if (events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+      errors.push(`Events must be any of: ${WEBHOOK_EVENTS.join(", ")}`);
+    } else {
+      sanitized.events = [...new Set(events)];
+    }
+
+    sanitized.includeContact = ["on", "true", true].includes(
+      body.includeContact
+    );
+
+    return { isValid: errors.length === 0, errors, sanitized };
+  }
+
+  /**
+   * Register an endpoint with a new signing secret
+   * @param {Object} input - Sanitized url, description, events and
+   *   includeContact
+   * @param {string} createdBy - Username of the admin
+   * @returns {Promise<Object>} The stored record, including its secret
+   */
+  async createWebhook(input, createdBy) {
+    const collection = await database.getCollection(this.collectionName);
+    const now = new Date();
+    const record = {
+      _id: new ObjectId(),
+      url: input.url,
+      description: input.description || "",
+      events: input.events,
+      includeContact: Boolean(input.includeContact),
+      secret: `${SECRET_PREFIX}_${crypto.randomBytes(24).toString("hex")}`,
+      active: true,
+      createdBy,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await collection.insertOne(record);
+    return record;
+  }
+
+  async getWebhookById(id) {
+    const collection = await database.getCollection(this.collectionName);
+    const record = ObjectId.isValid(id)
+      ? await collection.findOne({ _id: new ObjectId(id) })
+      : null;
+    if (!record) {
+      throw new Error("Webhook not found");
+    }
+    return record;
+  }
+
+  async listWebhooks() {
+    const collection = await database.getCollection(this.collectionName);
+    return collection.find({}).sort({ createdAt: -1 }).toArray();
+  }
+
+  // Active endpoints that want an event
+  async findSubscribed(event) {
+    const collection = await database.getCollection(this.collectionName);
+    return collection.find({ events: event, active: true }).toArray();
+  }
+
+  async setActive(id, active) {
+    const collection = await database.getCollection(this.collectionName);
+    const result = await collection.updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { active: Boolean(active), updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      throw new Error("Webhook not found");
+    }
+  }
+
+  async deleteWebhook(id) {
+    const collection = await database.getCollection(this.collectionName);
+    const result = await collection.deleteOne({ _id: new ObjectId(id) });
+    if (result.deletedCount === 0) {
+      throw new Error("Webhook not found");
+    }
+  }
+
+  // Hide the secret once it has been shown at creation
+  toPublicWebhook(record) {
+    const { secret, ...rest } = record;
+    return {
+      ...rest,
+      id: record._id.toString(),
+      secretHint: `${secret.slice(0, SECRET_PREFIX.length + 5)}…`,
+    };
+  }
+}
+
+export default new WebhookModel();
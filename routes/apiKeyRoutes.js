@@ -0,0 +1,41 @@
+import express from "express";
+import crypto from "crypto";
+import apiKeyController from "../controllers/apiKeyController.js";
+import sendApiError from "../utils/apiError.js";
+import { hasRole } from "../utils/auth.js";
+import config from "../config/index.js";
+
+const router = express.Router();
+
+// Admin endpoints authenticate with "Authorization: Bearer <ADMIN_API_TOKEN>",
+// or with a logged-in admin session
+const requireAdminToken = (req, res, next) => {
+  if (hasRole(req.user, "admin")) {
+    return next();
+  }
+  const expected = config.auth.adminApiToken;
+  if (!expected) {
+    return sendApiError(
+      res,
+      503,
+      "admin_disabled",
+      "Admin API token is not configured. Log in as an admin or set ADMIN_API_TOKEN."
+    );
+  }
+  const header = req.get("Authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  if (!token || !crypto.timingSafeEqual(digest(token), digest(expected))) {
+    return sendApiError(res, 401, "unauthorized", "Invalid admin token.");
+  }
+  next();
+};
+
+router.use(requireAdminToken);
+
+router.get("/", apiKeyController.listApiKeys);
+router.post("/", apiKeyController.createApiKey);
+router.get("/:id", apiKeyController.getApiKeyUsage);
+router.delete("/:id", apiKeyController.revokeApiKey);
+
+export default router;
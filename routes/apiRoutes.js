@@ -0,0 +1,76 @@
+import express from "express";
+import multer from "multer";
+import apiController from "../controllers/apiController.js";
+import upload, { MAX_UPLOAD_MB } from "../config/upload.js";
+import sendApiError from "../utils/apiError.js";
+import {
+  authenticateApiKey,
+  enforceKeyRateLimit,
+  enforceSwapQuota,
+} from "../utils/apiKeyAuth.js";
+import {
+  validateUploadedImages,
+  ImageValidationError,
+} from "../utils/imageValidation.js";
+
+const router = express.Router();
+
+const handleApiUploadErrors = (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    const messages = {
+      LIMIT_FILE_SIZE: `File size too large. Maximum allowed size is ${MAX_UPLOAD_MB}MB per image.`,
+      LIMIT_FILE_COUNT:
+        "Too many files. Upload exactly one source and one target image.",
+      LIMIT_FIELD_COUNT: "Too many form fields.",
+      LIMIT_UNEXPECTED_FILE:
+        'Unexpected file field. Use "source" and "target" only.',
+    };
+    return sendApiError(
+      res,
+      400,
+      "invalid_upload",
+      messages[error.code] || `File upload error: ${error.message}`
+    );
+  }
+  if (error.message.includes("Invalid file type")) {
+    return sendApiError(res, 415, "unsupported_media_type", error.message);
+  }
+  if (error instanceof ImageValidationError) {
+    return sendApiError(res, 422, "invalid_image", error.message);
+  }
+  next(error);
+};
+
+router.get("/openapi.json", apiController.getOpenApiSpec);
+
+// Everything below requires an API key; each key has its own rate limit
+router.use(authenticateApiKey, enforceKeyRateLimit);
+
+router.post(
+  "/submissions",
+  enforceSwapQuota,
+  upload.fields([
+    { name: "source", maxCount: 1 },
+    { name: "target", maxCount: 1 },
+  ]),
+  validateUploadedImages,
+  handleApiUploadErrors,
+  apiController.createSubmission
+);
+router.get("/submissions", apiController.listSubmissions);
+router.get("/submissions/:id", apiController.getSubmission);
+router.delete("/submissions/:id", apiController.deleteSubmission);
+router.get("/submissions/:id/images", apiController.getSubmissionImages);
+
+router.get("/jobs/:id", apiController.getJob);
+
+router.use((req, res) => {
+  sendApiError(res, 404, "not_found", "Endpoint not found.");
+});
+
+router.use((error, req, res, next) => {
+  console.error("Unhandled API error:", error);
+  sendApiError(res, 500, "internal_error", "An unexpected error occurred.");
+});
+
+export default router;
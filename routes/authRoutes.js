@@ -0,0 +1,37 @@
+import express from "express";
+import authController from "../controllers/authController.js";
+import rateLimit from "../utils/rateLimit/index.js";
+import { requireRole } from "../utils/auth.js";
+import config from "../config/index.js";
+
+const router = express.Router();
+
+const loginRateLimited = (req, res, message) =>
+  res.status(429).render("login", {
+    error: message.replace("Too many requests", "Too many login attempts"),
+    next: null,
+    username: "",
+  });
+
+router.get("/login", authController.renderLogin);
+router.post(
+  "/login",
+  rateLimit({
+    name: "login",
+    max: config.rateLimits.login,
+    windowMs: config.rateLimits.windowMs,
+    onLimitReached: loginRateLimited,
+  }),
+  authController.login
+);
+router.post("/logout", authController.logout);
+
+router.get("/admin/users", requireRole("admin"), authController.listUsers);
+router.post("/admin/users", requireRole("admin"), authController.createUser);
+router.post(
+  "/admin/users/:id/role",
+  requireRole("admin"),
+  authController.updateUserRole
+);
+
+export default router;
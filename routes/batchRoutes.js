@@ -0,0 +1,60 @@
+import express from "express";
+import multer from "multer";
+import batchController from "../controllers/batchController.js";
+import {
+  batchUpload,
+  BATCH_MAX_TARGETS,
+  BATCH_MAX_ZIP_MB,
+} from "../config/upload.js";
+import { requireRole } from "../utils/auth.js";
+import {
+  validateUploadedImages,
+  ImageValidationError,
+} from "../utils/imageValidation.js";
+
+const router = express.Router();
+
+// Upload errors are shown on the batch form
+const handleBatchUploadErrors = (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    switch (error.code) {
+      case "LIMIT_FILE_SIZE":
+        req.uploadError = `File size too large. Maximum ZIP size is ${BATCH_MAX_ZIP_MB}MB.`;
+        break;
+      case "LIMIT_FILE_COUNT":
+      case "LIMIT_UNEXPECTED_FILE":
+        req.uploadError = `Too many files. A batch has one source image and at most ${BATCH_MAX_TARGETS} targets.`;
+        break;
+      default:
+        req.uploadError = `File upload error: ${error.message}`;
+    }
+    return batchController.createBatch(req, res);
+  }
+  if (
+    error instanceof ImageValidationError ||
+    error.message.includes("Invalid file type")
+  ) {
+    req.uploadError = error.message;
+    return batchController.createBatch(req, res);
+  }
+  next(error);
+};
+
+router.use(requireRole("operator"));
+
+router.get("/new", batchController.renderForm);
+router.post(
+  "/",
+  batchUpload.fields([
+    { name: "source", maxCount: 1 },
+    { name: "targets", maxCount: BATCH_MAX_TARGETS },
+    { name: "targetsZip", maxCount: 1 },
+  ]),
+  validateUploadedImages,
+  handleBatchUploadErrors,
+  batchController.createBatch
+);
+router.get("/:id", batchController.getBatch);
+router.get("/:id/download", batchController.downloadResults);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from "express";
+import emailController from "../controllers/emailController.js";
+
+// Public: the links are signed per submission
+const router = express.Router();
+
+router.get("/:submissionId", emailController.renderOptOut);
+router.post("/:submissionId", emailController.optOut);
+
+export default router;
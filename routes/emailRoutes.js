@@ -0,0 +1,11 @@
+import express from "express";
+import emailController from "../controllers/emailController.js";
+import { requireRole } from "../utils/auth.js";
+
+const router = express.Router();
+
+router.use(requireRole("admin"));
+
+router.get("/", emailController.renderEmailLog);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from "express";
+import erasureController from "../controllers/erasureController.js";
+import { requireRole } from "../utils/auth.js";
+
+const router = express.Router();
+
+router.use(requireRole("admin"));
+
+router.get("/", erasureController.renderErasurePage);
+router.post("/", erasureController.createErasureRequest);
+router.get("/:id", erasureController.getErasureRequest);
+
+export default router;
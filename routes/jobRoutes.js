@@ -0,0 +1,21 @@
+import express from "express";
+import jobController from "../controllers/jobController.js";
+import rateLimit from "../utils/rateLimit/index.js";
+import config from "../config/index.js";
+
+const router = express.Router();
+
+router.get("/:id", jobController.renderJob);
+router.get("/:id/status", jobController.getJobStatus);
+router.get("/:id/events", jobController.streamJobEvents);
+router.get(
+  "/:id/download",
+  rateLimit({
+    name: "download",
+    max: config.rateLimits.download,
+    windowMs: config.rateLimits.windowMs,
+  }),
+  jobController.downloadResult
+);
+
+export default router;
@@ -0,0 +1,8 @@
+import express from "express";
+import mediaController from "../controllers/mediaController.js";
+
+const router = express.Router();
+
+router.get("/:backend/*key", mediaController.serveMedia);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from "express";
+import metricsController from "../controllers/metricsController.js";
+import { requireRole } from "../utils/auth.js";
+
+const router = express.Router();
+
+router.use(requireRole("admin"));
+
+router.get("/", metricsController.renderDashboard);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from "express";
+import retentionController from "../controllers/retentionController.js";
+import { requireRole } from "../utils/auth.js";
+
+const router = express.Router();
+
+router.use(requireRole("admin"));
+
+router.get("/", retentionController.renderRetentionPage);
+router.post("/preview", retentionController.runNow(true));
+router.post("/run", retentionController.runNow(false));
+router.get("/:id", retentionController.getRun);
+
+export default router;
@@ -1,59 +1,24 @@
 import express from "express";
 import submissionController from "../controllers/submissionController.js";
 import multer from "multer";
-import path from "path";
-import fs from "fs";
+import upload, { MAX_UPLOAD_MB } from "../config/upload.js";
+import rateLimit from "../utils/rateLimit/index.js";
+import renderFormError from "../utils/renderFormError.js";
+import { requireRole } from "../utils/auth.js";
+import config from "../config/index.js";
+import {
+  validateUploadedImages,
+  ImageValidationError,
+} from "../utils/imageValidation.js";
 
 const router = express.Router();
 
-const uploadDir = path.join(process.cwd(), "uploads");
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, "uploads/"),
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    const baseName = file.fieldname;
-    cb(null, `${baseName}-${uniqueSuffix}${ext}`);
-  },
-});
-
-const fileFilter = (req, file, cb) => {
-  const allowedMimes = ["image/jpeg", "image/jpg", "image/png"];
-  const allowedExts = [".jpg", ".jpeg", ".png"];
-  const ext = path.extname(file.originalname).toLowerCase();
-  if (allowedMimes.includes(file.mimetype) && allowedExts.includes(ext)) {
-    cb(null, true);
-  } else {
-    cb(
-      new Error(
-        `Invalid file type. Only JPEG, JPG, and PNG files are allowed. Received: ${file.mimetype}`
-      ),
-      false
-    );
-  }
-};
-
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: 2 * 1024 * 1024,
-    files: 2,
-    fields: 10,
-  },
-});
-
 const handleUploadErrors = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     let errorMessage;
     switch (error.code) {
       case "LIMIT_FILE_SIZE":
-        errorMessage =
-          "File size too large. Maximum allowed size is 2MB per image.";
+        errorMessage = `File size too large. Maximum allowed size is ${MAX_UPLOAD_MB}MB per image.`;
         break;
       case "LIMIT_FILE_COUNT":
         errorMessage =
@@ -69,92 +34,48 @@ const handleUploadErrors = (error, req, res, next) => {
       default:
         errorMessage = `File upload error: ${error.message}`;
     }
-    return res.status(400).render("index", {
-      error: errorMessage,
-      swappedImage: null,
-      oldInput: req.body || {},
-      submissionId: null,
-      apiStatus: false,
-      currentPage: "home",
-    });
+    return renderFormError(req, res, 400, errorMessage);
   }
-  if (error.message.includes("Invalid file type")) {
-    return res.status(400).render("index", {
-      error: error.message,
-      swappedImage: null,
-      oldInput: req.body || {},
-      submissionId: null,
-      apiStatus: false,
-      currentPage: "home",
-    });
+  if (
+    error instanceof ImageValidationError ||
+    error.message.includes("Invalid file type")
+  ) {
+    return renderFormError(req, res, 400, error.message);
   }
   next(error);
 };
 
 const validateRequiredFiles = (req, res, next) => {
   if (!req.files) {
-    return res.status(400).render("index", {
-      error: "No files uploaded. Please select both source and target images.",
-      swappedImage: null,
-      oldInput: req.body,
-      submissionId: null,
-      apiStatus: false,
-      currentPage: "home",
-    });
+    return renderFormError(
+      req,
+      res,
+      400,
+      "No files uploaded. Please select both source and target images."
+    );
   }
 
   if (!req.files.source || !req.files.source[0]) {
-    return res.status(400).render("index", {
-      error: "Source image is required. Please select your photo.",
-      swappedImage: null,
-      oldInput: req.body,
-      submissionId: null,
-      apiStatus: false,
-      currentPage: "home",
-    });
+    return renderFormError(
+      req,
+      res,
+      400,
+      "Source image is required. Please select your photo."
+    );
   }
 
   if (!req.files.target || !req.files.target[0]) {
-    return res.status(400).render("index", {
-      error: "Target image is required. Please select the style/target photo.",
-      swappedImage: null,
-      oldInput: req.body,
-      submissionId: null,
-      apiStatus: false,
-      currentPage: "home",
-    });
+    return renderFormError(
+      req,
+      res,
+      400,
+      "Target image is required. Please select the style/target photo."
+    );
   }
 
   next();
 };
 
-const rateLimitMap = new Map();
-const rateLimit = (maxRequests = 10, windowMs = 15 * 60 * 1000) => {
-  return (req, res, next) => {
-    const ip = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-    const windowStart = now - windowMs;
-    if (!rateLimitMap.has(ip)) {
-      rateLimitMap.set(ip, []);
-    }
-    const requests = rateLimitMap.get(ip);
-    const recentRequests = requests.filter((time) => time > windowStart);
-    if (recentRequests.length >= maxRequests) {
-      return res.status(429).render("index", {
-        error: "Too many requests. Please wait a moment before trying again.",
-        swappedImage: null,
-        oldInput: req.body || {},
-        submissionId: null,
-        apiStatus: false,
-        currentPage: "home",
-      });
-    }
-    recentRequests.push(now);
-    rateLimitMap.set(ip, recentRequests);
-    next();
-  };
-};
-
 const logRequest = (req, res, next) => {
   const timestamp = new Date().toISOString();
   const method = req.method;
@@ -169,17 +90,33 @@ router.get("/", submissionController.renderForm);
 
 router.post(
   "/submit",
-  rateLimit(5, 15 * 60 * 1000),
+  rateLimit({
+    name: "submit",
+    max: config.rateLimits.submit,
+    windowMs: config.rateLimits.windowMs,
+  }),
   upload.fields([
     { name: "source", maxCount: 1 },
     { name: "target", maxCount: 1 },
   ]),
+  validateUploadedImages,
   handleUploadErrors,
   validateRequiredFiles,
+  // The form fields are only parsed once multer has run
+  rateLimit({
+    name: "submit-identity",
+    max: config.rateLimits.submitPerIdentity,
+    windowMs: config.rateLimits.identityWindowMs,
+    identities: ["email", "phone"],
+  }),
   submissionController.handleSubmission
 );
 
-router.get("/submissions", submissionController.listSubmissions);
+router.get(
+  "/submissions",
+  requireRole("viewer"),
+  submissionController.listSubmissions
+);
 router.get("/submit", (req, res) => {
   res.redirect(
     "/?error=" +
@@ -189,19 +126,72 @@ router.get("/submit", (req, res) => {
   );
 });
 
-router.get("/submissions/:id", submissionController.getSubmissionDetails);
+router.get(
+  "/submissions/export",
+  requireRole("operator"),
+  submissionController.exportSubmissions
+);
+
+router.get(
+  "/submissions/:id",
+  requireRole("viewer"),
+  submissionController.getSubmissionDetails
+);
+
+router.post(
+  "/submissions/:id/delete",
+  requireRole("admin"),
+  submissionController.deleteSubmission
+);
+
+// Upload errors are shown on the submission page instead of the form
+const handleRerunUploadErrors = (error, req, res, next) => {
+  if (
+    error instanceof multer.MulterError ||
+    error instanceof ImageValidationError ||
+    error.message.includes("Invalid file type")
+  ) {
+    req.uploadError =
+      error.code === "LIMIT_FILE_SIZE"
+        ? `File size too large. Maximum allowed size is ${MAX_UPLOAD_MB}MB per image.`
+        : error.message;
+    return submissionController.rerunSubmission(req, res);
+  }
+  next(error);
+};
+
+router.post(
+  "/submissions/:id/rerun",
+  requireRole("operator"),
+  upload.fields([
+    { name: "source", maxCount: 1 },
+    { name: "target", maxCount: 1 },
+  ]),
+  validateUploadedImages,
+  handleRerunUploadErrors,
+  submissionController.rerunSubmission
+);
 
 router.get(
   "/download/:id/:type",
-  rateLimit(20, 15 * 60 * 1000),
+  requireRole("operator"),
+  rateLimit({
+    name: "download",
+    max: config.rateLimits.download,
+    windowMs: config.rateLimits.windowMs,
+  }),
   submissionController.downloadImage
 );
 
-router.get("/admin/status", submissionController.getAPIStatus);
+router.get(
+  "/admin/status",
+  requireRole("admin"),
+  submissionController.getAPIStatus
+);
 
 router.get("/health", submissionController.healthCheck);
 
-router.get("/api-test", async (req, res) => {
+router.get("/api-test", requireRole("admin"), async (req, res) => {
   try {
     const faceSwapAPI = (await import("../utils/faceSwapApi.js")).default;
     const isConfigured = faceSwapAPI.isConfigured();
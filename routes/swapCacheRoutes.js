@@ -0,0 +1,13 @@
+import express from "express";
+import swapCacheController from "../controllers/swapCacheController.js";
+import { requireRole } from "../utils/auth.js";
+
+const router = express.Router();
+
+router.use(requireRole("admin"));
+
+router.get("/", swapCacheController.renderCachePage);
+router.post("/", swapCacheController.updateSettings);
+router.post("/clear", swapCacheController.clearCache);
+
+export default router;
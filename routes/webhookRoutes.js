@@ -0,0 +1,19 @@
+import express from "express";
+import webhookController from "../controllers/webhookController.js";
+import { requireRole } from "../utils/auth.js";
+
+const router = express.Router();
+
+router.use(requireRole("admin"));
+
+router.get("/", webhookController.renderWebhooksPage);
+router.post("/", webhookController.createWebhook);
+router.get("/:id", webhookController.getWebhook);
+router.post("/:id", webhookController.updateWebhook);
+router.post("/:id/delete", webhookController.deleteWebhook);
+router.post(
+  "/:id/deliveries/:deliveryId/resend",
+  webhookController.resendDelivery
+);
+
+export default router;
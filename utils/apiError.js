@@ -0,0 +1,16 @@
+/**
+ * Send an error in the JSON API's standard shape:
+ * { "error": { "code": "...", "message": "...", "details": [...] } }
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @param {Array<string>} details - Optional list of specific problems
+ */
+export default function sendApiError(res, status, code, message, details) {
+  const error = { code, message };
+  if (details && details.length > 0) {
+    error.details = details;
+  }
+  return res.status(status).json({ error });
+}
@@ -0,0 +1,116 @@
+import apiKeyModel from "../models/apiKeyModel.js";
+import sendApiError from "./apiError.js";
+import rateLimit from "./rateLimit/index.js";
+
+/**
+ * Require a valid, unrevoked API key in the X-API-Key header. The key
+ * record is attached as req.apiKey.
+ */
+export const authenticateApiKey = async (req, res, next) => {
+  try {
+    const key = req.get("X-API-Key");
+    if (!key) {
+      return sendApiError(
+        res,
+        401,
+        "missing_api_key",
+        "An API key is required. Send it in the X-API-Key header."
+      );
+    }
+
+    const record = await apiKeyModel.findActiveKey(key);
+    if (!record) {
+      return sendApiError(
+        res,
+        401,
+        "invalid_api_key",
+        "The API key is invalid or has been revoked."
+      );
+    }
+
+    req.apiKey = record;
+    apiKeyModel.touchKey(record._id).catch((error) => {
+      console.warn("Failed to update API key usage time:", error.message);
+    });
+    next();
+  } catch (error) {
+    console.error("API key authentication failed:", error);
+    sendApiError(res, 500, "internal_error", "Unable to verify API key.");
+  }
+};
+
+// Each key has its own limit and window
+export const enforceKeyRateLimit = rateLimit({
+  name: "api",
+  identities: ["apiKey"],
+  max: (req) => req.apiKey.rateLimit.maxRequests,
+  windowMs: (req) => req.apiKey.rateLimit.windowMs,
+  onLimitReached: (req, res, message) =>
+    sendApiError(
+      res,
+      429,
+      "rate_limited",
+      message.replace("Too many requests", "Too many requests for this API key")
+    ),
+});
+
+/**
+ * Reserve one swap against the key's daily and monthly quota, or reject
+ * the request when either is used up. Sets X-Quota-* headers with what is
+ * left. The reservation is released when the response closes unless the
+ * handler takes it over with req.swapQuota.claim(), after which the
+ * handler releases it if the swap isn't queued.
+ */
+export const enforceSwapQuota = async (req, res, next) => {
+  try {
+    const reservation = await apiKeyModel.reserveSwap(req.apiKey);
+    if (reservation.exceeded) {
+      const period = reservation.exceeded === "daily" ? "Daily" : "Monthly";
+      res.set(`X-Quota-${period}-Remaining`, 0);
+      return sendApiError(
+        res,
+        429,
+        "quota_exceeded",
+        `${period} swap quota exceeded for this API key.`
+      );
+    }
+    if (reservation.dailyRemaining !== null) {
+      res.set("X-Quota-Daily-Remaining", reservation.dailyRemaining);
+    }
+    if (reservation.monthlyRemaining !== null) {
+      res.set("X-Quota-Monthly-Remaining", reservation.monthlyRemaining);
+    }
+
+    let state = "reserved";
+    req.swapQuota = {
+      // false if the request was already closed and the swap released
+      claim() {
+        if (state !== "reserved") {
+          return false;
+        }
+        state = "claimed";
+        return true;
+      },
+      release() {
+        if (state === "released") {
+          return;
+        }
+        state = "released";
+        apiKeyModel
+          .releaseSwap(req.apiKey, reservation.periods)
+          .catch((error) => {
+            console.warn("Failed to release swap quota:", error.message);
+          });
+      },
+    };
+    res.once("close", () => {
+      if (state === "reserved") {
+        req.swapQuota.release();
+      }
+    });
+    next();
+  } catch (error) {
+    console.error("Quota check failed:", error);
+    sendApiError(res, 500, "internal_error", "Unable to check quota.");
+  }
+};
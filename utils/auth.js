@@ -0,0 +1,76 @@
+import adminUserModel, { ROLES } from "../models/adminUserModel.js";
+
+export function hasRole(user, role) {
+  if (!user || !ROLES.includes(user.role)) {
+    return false;
+  }
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Load the logged-in user fresh from the database on every request, so role
+ * changes and deleted accounts take effect immediately, and expose the user
+ * and their permissions to every view.
+ */
+export async function loadCurrentUser(req, res, next) {
+  let user = null;
+  try {
+    const userId = req.session && req.session.userId;
+    if (userId) {
+      const record = await adminUserModel.findById(userId);
+      if (record) {
+        user = {
+          id: record._id.toString(),
+          username: record.username,
+          role: record.role,
+        };
+      } else {
+        delete req.session.userId;
+      }
+    }
+  } catch (error) {
+    console.error("Error loading current user:", error);
+  }
+
+  req.user = user;
+  res.locals.currentUser = user;
+  res.locals.permissions = {
+    canViewPii: hasRole(user, "operator"),
+    canDownload: hasRole(user, "operator"),
+    isAdmin: hasRole(user, "admin"),
+  };
+  next();
+}
+
+/**
+ * Require a logged-in user with at least the given role. Browsers are sent
+ * to the login page; JSON clients get a 401/403 body.
+ * @param {string} role - Minimum role (viewer, operator or admin)
+ * @returns {Function} Express middleware
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    const user = req.user;
+    const wantsJson = req.accepts(["html", "json"]) === "json";
+
+    if (!user) {
+      if (wantsJson) {
+        return res.status(401).json({ error: "Authentication required" });
+      }
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+
+    if (!hasRole(user, role)) {
+      if (wantsJson) {
+        return res.status(403).json({ error: "Insufficient permissions" });
+      }
+      return res.status(403).render("login", {
+        error: `Your account (${user.role}) does not have access to this page. It requires the ${role} role.`,
+        next: null,
+        username: "",
+      });
+    }
+
+    next();
+  };
+}
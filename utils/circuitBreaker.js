@@ -0,0 +1,142 @@
+import providerCircuitModel from "../models/providerCircuitModel.js";
+
+// Provider responses that mean the next call will most likely fail the same
+// way: out of credits, forbidden, rate limited, or a server-side error
+export const isTrippingError = (error) =>
+  Boolean(error?.status) &&
+  ([402, 403, 429].includes(error.status) || error.status >= 500);
+
+// How long a process may take over a probe before another one can try
+const PROBE_LOCK_MS = 60 * 1000;
+
+/**
+ * Circuit breaker for one face swap provider. The state is kept in Mongo
+ * (providerCircuitModel), so every process sees the same circuit.
+ *
+ * closed: calls go through; consecutive tripping errors are counted.
+ * open: calls are refused until the cooldown has passed, then one caller
+ *   probes the provider (testConnection).
+ * half_open: the probe worked; the next real call closes the breaker, or
+ *   opens it again on a tripping error.
+ */
+export default class CircuitBreaker {
+  /**
+   * @param {string} name - Provider name, for logs and /admin/status
+   * @param {Object} options - threshold (errors in a row before opening),
+   *   cooldownMs and probe (async function returning true when healthy)
+   */
+  constructor(name, { threshold, cooldownMs, probe }) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.probe = probe;
+    this.probing = null;
+  }
+
+  /**
+   * Whether a call may go to the provider now. Runs the half-open probe
+   * when the cooldown has passed; concurrent callers in this process share
+   * one probe, and other processes wait for its outcome.
+   * @returns {Promise<boolean>}
+   */
+  async allowRequest() {
+    const circuit = await providerCircuitModel.getCircuit(this.name);
+    if (circuit?.state !== "open") {
+      return true;
+    }
+    if (this._retryAfterMs(circuit) > 0) {
+      return false;
+    }
+    if (!this.probing) {
+      this.probing = this._probe().finally(() => {
+        this.probing = null;
+      });
+    }
+    return this.probing;
+  }
+
+  async _probe() {
+    if (
+      !(await providerCircuitModel.claimProbe(
+        this.name,
+        this.cooldownMs,
+        PROBE_LOCK_MS
+      ))
+    ) {
+      return false;
+    }
+    let healthy = false;
+    try {
+      healthy = await this.probe();
+    } catch (error) {
+      healthy = false;
+    }
+    await providerCircuitModel.finishProbe(this.name, healthy);
+    if (healthy) {
+      console.log(`🔌 Provider ${this.name} answered the probe, trying again`);
+    } else {
+      console.warn(`⚠️ Provider ${this.name} still unavailable after probe`);
+    }
+    return healthy;
+  }
+
+  async recordSuccess() {
+    const previous = await providerCircuitModel.close(this.name);
+    if (previous && previous.state !== "closed") {
+      console.log(`✅ Provider ${this.name} circuit closed`);
+    }
+  }
+
+  // Errors about the request itself (a bad image, a timeout) don't say
+  // anything about the provider's health and are not counted
+  async recordFailure(error) {
+    if (!isTrippingError(error)) {
+      return;
+    }
+    const circuit = await providerCircuitModel.recordFailure(this.name, {
+      status: error.status,
+      message: String(error.message).slice(0, 200),
+      at: new Date(),
+    });
+    if (
+      (circuit.state === "half_open" || circuit.failures >= this.threshold) &&
+      (await providerCircuitModel.open(this.name))
+    ) {
+      console.warn(
+        `🚫 Provider ${this.name} circuit opened after ${circuit.failures} errors (last: ${error.status}); probing again in ${Math.round(this.cooldownMs / 1000)}s`
+      );
+    }
+  }
+
+  // Time left before the next probe, 0 unless the circuit is open
+  _retryAfterMs(circuit) {
+    if (circuit?.state !== "open") {
+      return 0;
+    }
+    return Math.max(
+      circuit.openedAt.getTime() + this.cooldownMs - Date.now(),
+      0
+    );
+  }
+
+  async retryAfterMs() {
+    return this._retryAfterMs(await providerCircuitModel.getCircuit(this.name));
+  }
+
+  async getState() {
+    const circuit = await providerCircuitModel.getCircuit(this.name);
+    const state = circuit?.state || "closed";
+    return {
+      state,
+      failures: circuit?.failures || 0,
+      threshold: this.threshold,
+      cooldownMs: this.cooldownMs,
+      openedAt: circuit?.openedAt || null,
+      retryAt:
+        state === "open"
+          ? new Date(circuit.openedAt.getTime() + this.cooldownMs)
+          : null,
+      lastError: circuit?.lastError || null,
+    };
+  }
+}
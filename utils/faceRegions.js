@@ -0,0 +1,124 @@
+import sharp from "sharp";
+import path from "path";
+
+// Extra context kept around a selected face when cropping, as a fraction of
+// the region's size on each side, so the provider sees the whole head
+const REGION_PADDING = 0.3;
+const MIN_REGION_SIZE = 0.02;
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Parse a face region sent by the form or the API. Regions are JSON objects
+ * with x, y, width and height as fractions (0-1) of the image, so they don't
+ * depend on the size the image was displayed at.
+ * @param {string|Object} value - JSON string or object; empty means "none"
+ * @returns {Object|null} { x, y, width, height } or null
+ */
+export function parseRegion(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  let region = value;
+  if (typeof value === "string") {
+    try {
+      region = JSON.parse(value);
+    } catch (error) {
+      throw new Error("must be a JSON object with x, y, width and height");
+    }
+  }
+  const keys = ["x", "y", "width", "height"];
+  if (
+    !region ||
+    typeof region !== "object" ||
+    !keys.every((key) => typeof region[key] === "number")
+  ) {
+    throw new Error("must be a JSON object with x, y, width and height");
+  }
+  const { x, y, width, height } = region;
+  if (
+    x < 0 ||
+    y < 0 ||
+    width < MIN_REGION_SIZE ||
+    height < MIN_REGION_SIZE ||
+    x + width > 1.0001 ||
+    y + height > 1.0001
+  ) {
+    throw new Error("must lie inside the image (values between 0 and 1)");
+  }
+  return {
+    x: round(x),
+    y: round(y),
+    width: round(Math.min(width, 1 - x)),
+    height: round(Math.min(height, 1 - y)),
+  };
+}
+
+// Pixel box of a region in an image, grown by REGION_PADDING and clamped
+function regionBox(region, imageWidth, imageHeight) {
+  const padX = region.width * REGION_PADDING;
+  const padY = region.height * REGION_PADDING;
+  const left = Math.max(Math.floor((region.x - padX) * imageWidth), 0);
+  const top = Math.max(Math.floor((region.y - padY) * imageHeight), 0);
+  const right = Math.min(
+    Math.ceil((region.x + region.width + padX) * imageWidth),
+    imageWidth
+  );
+  const bottom = Math.min(
+    Math.ceil((region.y + region.height + padY) * imageHeight),
+    imageHeight
+  );
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+const tempPath = (prefix, format) =>
+  path.resolve(
+    "uploads",
+    `${prefix}-${Date.now()}-${Math.round(Math.random() * 1e9)}.${format === "png" ? "png" : "jpg"}`
+  );
+
+/**
+ * Crop an image to a selected face. Regions are picked on the image as the
+ * browser shows it, so the EXIF orientation is applied first.
+ * @param {string} filePath - Local image
+ * @param {Object} region - Region from parseRegion
+ * @returns {Promise<Object>} { path, box } where box is the crop in pixels
+ *   of the oriented image
+ */
+export async function cropToRegion(filePath, region) {
+  const { data, info } = await sharp(filePath)
+    .rotate()
+    .toBuffer({ resolveWithObject: true });
+  const box = regionBox(region, info.width, info.height);
+  const outputPath = tempPath("region", info.format);
+  await sharp(data).extract(box).toFile(outputPath);
+  return { path: outputPath, box };
+}
+
+/**
+ * Paste a swapped crop back into the full target image
+ * @param {string} targetPath - Original local target image
+ * @param {string} swappedUrl - Provider URL of the swapped crop
+ * @param {Object} box - Crop box returned by cropToRegion
+ * @returns {Promise<string>} Path of the composited image
+ */
+export async function compositeRegion(targetPath, swappedUrl, box) {
+  const response = await fetch(swappedUrl);
+  if (!response.ok) {
+    throw new Error(
+      `Failed to fetch swapped image: ${response.status} - ${response.statusText}`
+    );
+  }
+  // Providers may return the crop at a different size
+  const swapped = await sharp(Buffer.from(await response.arrayBuffer()))
+    .resize(box.width, box.height, { fit: "fill" })
+    .toBuffer();
+  const { data, info } = await sharp(targetPath)
+    .rotate()
+    .toBuffer({ resolveWithObject: true });
+  const outputPath = tempPath("swapped", info.format);
+  await sharp(data)
+    .composite([{ input: swapped, left: box.left, top: box.top }])
+    .toFile(outputPath);
+  return outputPath;
+}
@@ -1,527 +1,306 @@
-import fetch from "node-fetch";
-import dotenv from "dotenv";
+import { createProvider } from "./providers/index.js";
+import swapMetricModel from "../models/swapMetricModel.js";
+import providerBudgetModel from "../models/providerBudgetModel.js";
+import CircuitBreaker, { isTrippingError } from "./circuitBreaker.js";
+import { cropToRegion, compositeRegion } from "./faceRegions.js";
 import fs from "fs";
-import path from "path";
+import config from "../config/index.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * What to tell users while no provider can be called
+ * @param {string} reason - "budget" or "circuit_open"
+ * @param {number} retryAfterSeconds - When to try again
+ * @returns {string}
+ */
+export function unavailableMessage(reason, retryAfterSeconds) {
+  if (reason === "budget") {
+    return "The face swap service has reached its limit for today. Please try again tomorrow.";
+  }
+  const minutes = Math.max(Math.ceil(retryAfterSeconds / 60), 1);
+  return `The face swap service is temporarily unavailable. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`;
+}
+
+// Raised instead of calling a provider when every provider's circuit is
+// open or the daily budget is used up
+export class ProviderUnavailableError extends Error {
+  constructor(reason, retryAfterSeconds) {
+    super(unavailableMessage(reason, retryAfterSeconds));
+    this.name = "ProviderUnavailableError";
+    this.reason = reason;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// Seconds until the daily budget starts again
+const untilNextUtcDay = () =>
+  Math.ceil((DAY_MS - (Date.now() % DAY_MS)) / 1000);
 
-dotenv.config({
-  path: "./.env",
-});
 class FaceSwapAPI {
   constructor() {
-    this.LIGHTX_API_KEY = process.env.LIGHTX_API_KEY;
-    this.LIGHTX_BASE_URL = "https://api.lightxeditor.com/external/api";
-    this.MAX_RETRIES = 5;
-    this.POLL_INTERVAL = 3000;
-    this.TIMEOUT = 30000;
-    this.MAX_FILE_SIZE = 5 * 1024 * 1024;
-    this.SUPPORTED_FORMATS = ["image/jpeg", "image/jpg", "image/png"];
-    this.stats = {
-      totalRequests: 0,
-      successfulSwaps: 0,
-      failedSwaps: 0,
-      averageProcessingTime: 0,
-    };
-    this._validateConfig();
+    this.providers = config.providers.chain.map((name) => createProvider(name));
+    this.breakers = new Map(
+      this.providers.map((provider) => [
+        provider.name,
+        new CircuitBreaker(provider.name, {
+          threshold: config.providers.breakerThreshold,
+          cooldownMs: config.providers.breakerCooldownMs,
+          probe: () => provider.testConnection(),
+        }),
+      ])
+    );
+    this.dailyBudget = config.providers.dailyBudget;
+    console.log(
+      `🔧 Face swap provider chain: ${this.providers
+        .map((provider) => provider.name)
+        .join(" → ")}`
+    );
   }
 
-  _validateConfig() {
-    if (!this.LIGHTX_API_KEY) {
-      console.error("❌ LIGHTX_API_KEY not found in environment variables");
-      console.error(
-        "💡 Please ensure your .env file contains: LIGHTX_API_KEY=your_api_key"
-      );
-    }
-    if (!this.LIGHTX_BASE_URL) {
-      console.error("❌ LIGHTX_BASE_URL not configured");
+  // The errors that trip a breaker are also retried on the next provider
+  _shouldFallback(error) {
+    return isTrippingError(error);
+  }
+
+  getConfiguredProviders() {
+    return this.providers.filter((provider) => provider.isConfigured());
+  }
+
+  // Configured providers whose circuit lets a call through
+  async _availableProviders() {
+    const available = [];
+    for (const provider of this.getConfiguredProviders()) {
+      if (await this.breakers.get(provider.name).allowRequest()) {
+        available.push(provider);
+      }
     }
-    console.log("🔧 FaceSwap API Configuration:");
-    console.log(
-      `   API Key: ${this.LIGHTX_API_KEY ? "✅ Loaded" : "❌ Missing"}`
+    return available;
+  }
+
+  async _budgetUsedUp() {
+    return (
+      Boolean(this.dailyBudget) &&
+      (await providerBudgetModel.getUsage()) >= this.dailyBudget
     );
-    console.log(`   Base URL: ${this.LIGHTX_BASE_URL || "Not configured"}`);
-    console.log(`   Max Retries: ${this.MAX_RETRIES}`);
-    console.log(`   Poll Interval: ${this.POLL_INTERVAL}ms`);
-    console.log(`   Timeout: ${this.TIMEOUT}ms`);
   }
 
-  _validateImageBuffer(imageBuffer, contentType) {
-    const errors = [];
-    if (imageBuffer.length > this.MAX_FILE_SIZE) {
-      errors.push(
-        `Image size ${imageBuffer.length} bytes exceeds maximum allowed size of ${this.MAX_FILE_SIZE} bytes (5MB)`
-      );
+  /**
+   * Whether a swap can be attempted now. Only calls a provider for a
+   * half-open probe that is due.
+   * @returns {Promise<Object>} { available, reason ("budget" or
+   *   "circuit_open"), retryAfterSeconds }
+   */
+  async getAvailability() {
+    if (await this._budgetUsedUp()) {
+      return {
+        available: false,
+        reason: "budget",
+        retryAfterSeconds: untilNextUtcDay(),
+      };
     }
-    if (imageBuffer.length < 1024) {
-      errors.push(
-        `Image size ${imageBuffer.length} bytes is too small. Minimum size is 1KB`
-      );
-    }
-    if (!this.SUPPORTED_FORMATS.includes(contentType)) {
-      errors.push(
-        `Unsupported image format: ${contentType}. Supported formats: ${this.SUPPORTED_FORMATS.join(
-          ", "
-        )}`
-      );
-    }
-    const isValidImage = this._isValidImageBuffer(imageBuffer, contentType);
-    if (!isValidImage) {
-      errors.push(`Invalid image file format or corrupted image data`);
+    const configured = this.getConfiguredProviders();
+    if (
+      configured.length === 0 ||
+      (await this._availableProviders()).length > 0
+    ) {
+      return { available: true, reason: null, retryAfterSeconds: 0 };
     }
+    const retryAfterMs = Math.min(
+      ...(await Promise.all(
+        configured.map((provider) =>
+          this.breakers.get(provider.name).retryAfterMs()
+        )
+      ))
+    );
     return {
-      isValid: errors.length === 0,
-      errors: errors,
+      available: false,
+      reason: "circuit_open",
+      retryAfterSeconds: Math.ceil(retryAfterMs / 1000),
     };
   }
 
-  _isValidImageBuffer(buffer, contentType) {
-    if (buffer.length < 4) return false;
-    const jpg1 = buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
-    const png =
-      buffer[0] === 0x89 &&
-      buffer[1] === 0x50 &&
-      buffer[2] === 0x4e &&
-      buffer[3] === 0x47;
-    if (contentType.includes("jpeg") || contentType.includes("jpg")) {
-      return jpg1;
-    } else if (contentType.includes("png")) {
-      return png;
-    }
-    return jpg1 || png;
+  // Metrics are best effort: a failed write must not fail the swap
+  _recordAttempt(provider, startedAt, error, context) {
+    swapMetricModel
+      .recordAttempt({
+        provider: provider.name,
+        durationMs: Date.now() - startedAt,
+        error,
+        jobId: context.jobId || null,
+        apiKeyId: context.apiKeyId || null,
+      })
+      .catch((metricError) => {
+        console.warn("⚠️ Failed to record swap metric:", metricError.message);
+      });
   }
 
-  async getUploadUrl(imageBuffer, contentType = "image/jpeg") {
-    const startTime = Date.now();
-    try {
-      const validation = this._validateImageBuffer(imageBuffer, contentType);
-      if (!validation.isValid) {
-        throw new Error(
-          `Image validation failed: ${validation.errors.join(", ")}`
-        );
-      }
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.TIMEOUT);
-      const response = await fetch(
-        `${this.LIGHTX_BASE_URL}/v2/uploadImageUrl`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "x-api-key": this.LIGHTX_API_KEY,
-            "User-Agent": "FaceSwapAPI/1.0",
-          },
-          body: JSON.stringify({
-            uploadType: "imageUrl",
-            size: imageBuffer.length,
-            contentType: contentType,
-          }),
-          signal: controller.signal,
-        }
-      );
-      clearTimeout(timeoutId);
-      if (!response.ok) {
-        const errorText = await response.text();
-        if (response.status === 403) {
-          throw new Error(
-            `API Authentication Failed (403). Please verify your LightX API key has Face Swap permissions and your account has sufficient credits. Response: ${errorText}`
-          );
-        } else if (response.status === 429) {
-          throw new Error(
-            `Rate limit exceeded (429). Please wait before making additional requests. Response: ${errorText}`
-          );
-        } else if (response.status === 402) {
-          throw new Error(
-            `Payment required (402). Please check your account balance and billing status. Response: ${errorText}`
-          );
-        }
-        throw new Error(
-          `Failed to get upload URL: ${response.status} - ${errorText}`
-        );
-      }
-      const data = await response.json();
-      if (
-        data.statusCode === 2000 &&
-        data.body?.uploadImage &&
-        data.body?.imageUrl
-      ) {
-        const processingTime = Date.now() - startTime;
-        return {
-          uploadUrl: data.body.uploadImage,
-          imageUrl: data.body.imageUrl,
-          size: data.body.size,
-          processingTime: processingTime,
-        };
-      } else {
-        throw new Error(`Invalid upload URL response: ${JSON.stringify(data)}`);
-      }
-    } catch (error) {
-      if (error.name === "AbortError") {
-        throw new Error(
-          "Upload URL request timed out. Please check your internet connection and try again."
-        );
-      }
-      throw error;
+  /**
+   * Run a face swap through the provider chain
+   * @param {Function} onProgress - Progress callback (stage, message, details)
+   * @param {Object} context - jobId and apiKeyId, stored with the metrics,
+   *   and regions (the faces picked in the source and target, or null)
+   * @returns {Promise<Object>} { url, provider, isLocalFile }. When a target
+   *   face was picked and the provider can't take regions, the result is
+   *   composited into a local file (isLocalFile) that the caller removes.
+   * @throws {ProviderUnavailableError} When no provider may be called
+   */
+  async performFaceSwap(
+    sourceImage,
+    targetImage,
+    sourceIsUrl = false,
+    targetIsUrl = false,
+    onProgress = () => {},
+    context = {}
+  ) {
+    if (this.getConfiguredProviders().length === 0) {
+      throw new Error("Face swap service is not configured");
     }
-  }
-
-  async uploadImageToS3(uploadUrl, imageBuffer, contentType) {
-    const startTime = Date.now();
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.TIMEOUT);
-      const response = await fetch(uploadUrl, {
-        method: "PUT",
-        headers: {
-          "Content-Type": contentType,
-          "Content-Length": imageBuffer.length.toString(),
-        },
-        body: imageBuffer,
-        signal: controller.signal,
-      });
-      clearTimeout(timeoutId);
-      if (!response.ok) {
-        throw new Error(
-          `S3 upload failed: ${response.status} - ${response.statusText}`
-        );
-      }
-    } catch (error) {
-      if (error.name === "AbortError") {
-        throw new Error(
-          "S3 upload timed out. Please try again with a smaller image or check your internet connection."
-        );
-      }
-      throw new Error(`Failed to upload to S3: ${error.message}`);
+    const candidates = await this._availableProviders();
+    if (candidates.length === 0) {
+      const { retryAfterSeconds } = await this.getAvailability();
+      throw new ProviderUnavailableError("circuit_open", retryAfterSeconds);
     }
-  }
 
-  async processImage(imageSource, isUrl = false) {
+    const regions = context.regions || null;
+    const crops = {};
+    let lastError;
     try {
-      let imageBuffer;
-      let contentType = "image/jpeg";
-      if (isUrl) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.TIMEOUT);
-        const imageResponse = await fetch(imageSource, {
-          signal: controller.signal,
-          headers: {
-            "User-Agent": "FaceSwapAPI/1.0",
-          },
-        });
-        clearTimeout(timeoutId);
-        if (!imageResponse.ok) {
-          throw new Error(
-            `Failed to fetch image from URL: ${imageResponse.status} - ${imageResponse.statusText}`
-          );
-        }
-        imageBuffer = await imageResponse.buffer();
-        contentType = imageResponse.headers.get("content-type") || "image/jpeg";
-      } else {
-        if (!fs.existsSync(imageSource)) {
-          throw new Error(`File not found: ${imageSource}`);
+      // Providers that can't take regions swap crops of the picked faces
+      if (regions && candidates.some((provider) => !provider.supportsRegions)) {
+        onProgress("cropping", "Cropping the selected faces");
+        if (regions.source && !sourceIsUrl) {
+          crops.source = await cropToRegion(sourceImage, regions.source);
         }
-        imageBuffer = fs.readFileSync(imageSource);
-        const ext = path.extname(imageSource).toLowerCase();
-        if (ext === ".png") {
-          contentType = "image/png";
-        } else if (ext === ".jpg" || ext === ".jpeg") {
-          contentType = "image/jpeg";
-        } else {
-          throw new Error(
-            `Unsupported file extension: ${ext}. Please use .jpg, .jpeg, or .png files.`
-          );
+        if (regions.target && !targetIsUrl) {
+          crops.target = await cropToRegion(targetImage, regions.target);
         }
       }
-      const uploadInfo = await this.getUploadUrl(imageBuffer, contentType);
-      await this.uploadImageToS3(
-        uploadInfo.uploadUrl,
-        imageBuffer,
-        contentType
-      );
-      return uploadInfo.imageUrl;
-    } catch (error) {
-      throw error;
-    }
-  }
-
-  async requestFaceSwap(sourceImageUrl, targetImageUrl) {
-    const startTime = Date.now();
-    try {
-      this.stats.totalRequests++;
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.TIMEOUT);
-      const response = await fetch(`${this.LIGHTX_BASE_URL}/v1/face-swap`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": this.LIGHTX_API_KEY,
-          "User-Agent": "FaceSwapAPI/1.0",
-        },
-        body: JSON.stringify({
-          imageUrl: sourceImageUrl,
-          styleImageUrl: targetImageUrl,
-        }),
-        signal: controller.signal,
-      });
-      clearTimeout(timeoutId);
-      if (!response.ok) {
-        const errorText = await response.text();
-        if (response.status === 403) {
-          throw new Error(
-            `Face Swap API access denied (403). Please check your subscription plan and ensure Face Swap API is enabled for your account. Response: ${errorText}`
-          );
-        } else if (response.status === 402) {
-          throw new Error(
-            `Insufficient credits (402). Please add credits to your LightX account. Response: ${errorText}`
-          );
-        } else if (response.status === 400) {
-          throw new Error(
-            `Invalid request (400). Please check that both images contain clear, visible faces. Response: ${errorText}`
-          );
-        }
-        throw new Error(
-          `Face swap request failed: ${response.status} - ${errorText}`
-        );
-      }
-      const data = await response.json();
-      if (data.statusCode === 2000 && data.body?.orderId) {
-        return data.body.orderId;
-      } else {
-        throw new Error(`Face swap failed: ${JSON.stringify(data)}`);
-      }
-    } catch (error) {
-      this.stats.failedSwaps++;
-      if (error.name === "AbortError") {
-        throw new Error("Face swap request timed out. Please try again.");
-      }
-      throw error;
-    }
-  }
 
-  async pollFaceSwapStatus(orderId) {
-    const startTime = Date.now();
-    for (let attempt = 1; attempt <= this.MAX_RETRIES; attempt++) {
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.TIMEOUT);
-        const response = await fetch(
-          `${this.LIGHTX_BASE_URL}/v1/order-status`,
-          {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              "x-api-key": this.LIGHTX_API_KEY,
-              "User-Agent": "FaceSwapAPI/1.0",
-            },
-            body: JSON.stringify({
-              orderId: orderId,
-            }),
-            signal: controller.signal,
-          }
-        );
-        clearTimeout(timeoutId);
-        if (!response.ok) {
-          const errorText = await response.text();
-          if (attempt === this.MAX_RETRIES) {
-            throw new Error(
-              `Status polling failed after ${this.MAX_RETRIES} attempts`
-            );
-          }
-          const waitTime = Math.min(
-            this.POLL_INTERVAL * Math.pow(1.5, attempt),
-            10000
+      for (let i = 0; i < candidates.length; i++) {
+        const provider = candidates[i];
+        const breaker = this.breakers.get(provider.name);
+        if (
+          this.dailyBudget &&
+          !(await providerBudgetModel.reserve(this.dailyBudget))
+        ) {
+          console.warn(
+            `🚫 Daily provider budget of ${this.dailyBudget} calls used up`
           );
-          await new Promise((resolve) => setTimeout(resolve, waitTime));
-          continue;
+          throw new ProviderUnavailableError("budget", untilNextUtcDay());
         }
-        const data = await response.json();
-        if (data.statusCode === 2000) {
-          const status = data.body?.status;
-          if (status === "active" && data.body?.output) {
-            const totalTime = Date.now() - startTime;
-            this.stats.successfulSwaps++;
-            this.stats.averageProcessingTime =
-              (this.stats.averageProcessingTime *
-                (this.stats.successfulSwaps - 1) +
-                totalTime) /
-              this.stats.successfulSwaps;
-            return data.body.output;
-          } else if (status === "failed") {
-            this.stats.failedSwaps++;
-            throw new Error(
-              "Face swap failed during processing. This may be due to unclear faces or incompatible images."
+        const startedAt = Date.now();
+        try {
+          let result;
+          if (!regions || provider.supportsRegions) {
+            const url = await provider.performFaceSwap(
+              sourceImage,
+              targetImage,
+              sourceIsUrl,
+              targetIsUrl,
+              onProgress,
+              regions
             );
-          } else if (status === "init") {
-            if (attempt < this.MAX_RETRIES) {
-              await new Promise((resolve) =>
-                setTimeout(resolve, this.POLL_INTERVAL)
-              );
-            }
+            result = { url, provider: provider.name, isLocalFile: false };
           } else {
-            await new Promise((resolve) =>
-              setTimeout(resolve, this.POLL_INTERVAL)
+            const { source, target } = crops;
+            const url = await provider.performFaceSwap(
+              source ? source.path : sourceImage,
+              target ? target.path : targetImage,
+              source ? false : sourceIsUrl,
+              target ? false : targetIsUrl,
+              onProgress
             );
+            result = target
+              ? {
+                  url: await compositeRegion(targetImage, url, target.box),
+                  provider: provider.name,
+                  isLocalFile: true,
+                }
+              : { url, provider: provider.name, isLocalFile: false };
           }
-        } else {
-          throw new Error(
-            `Status check error: ${data.message || "Unknown error"}`
+          this._recordAttempt(provider, startedAt, null, context);
+          await breaker.recordSuccess();
+          return result;
+        } catch (error) {
+          this._recordAttempt(provider, startedAt, error, context);
+          await breaker.recordFailure(error);
+          lastError = error;
+          const next = candidates[i + 1];
+          if (!next || !this._shouldFallback(error)) {
+            throw error;
+          }
+          console.warn(
+            `⚠️ Provider ${provider.name} failed (${error.status}), falling back to ${next.name}:`,
+            error.message
+          );
+          onProgress(
+            "provider_fallback",
+            `${provider.name} is unavailable, trying ${next.name}`,
+            { provider: provider.name, status: error.status }
           );
         }
-      } catch (error) {
-        if (error.name === "AbortError") {
-        }
-        if (
-          attempt === this.MAX_RETRIES ||
-          error.message.includes("Face swap failed during processing")
-        ) {
-          throw error;
-        }
-        const waitTime = Math.min(
-          this.POLL_INTERVAL * Math.pow(1.2, attempt),
-          8000
-        );
-        await new Promise((resolve) => setTimeout(resolve, waitTime));
       }
-    }
-    this.stats.failedSwaps++;
-    throw new Error(
-      `Face swap did not complete within ${this.MAX_RETRIES} attempts (${
-        (this.MAX_RETRIES * this.POLL_INTERVAL) / 1000
-      } seconds)`
-    );
-  }
-
-  async performFaceSwap(
-    sourceImage,
-    targetImage,
-    sourceIsUrl = false,
-    targetIsUrl = false
-  ) {
-    const overallStart = Date.now();
-    try {
-      const [sourceImageUrl, targetImageUrl] = await Promise.all([
-        this.processImage(sourceImage, sourceIsUrl),
-        this.processImage(targetImage, targetIsUrl),
-      ]);
-      const orderId = await this.requestFaceSwap(
-        sourceImageUrl,
-        targetImageUrl
+      throw lastError;
+    } finally {
+      Object.values(crops).forEach((crop) =>
+        fs.rmSync(crop.path, { force: true })
       );
-      const resultUrl = await this.pollFaceSwapStatus(orderId);
-      return resultUrl;
-    } catch (error) {
-      throw error;
     }
   }
 
   isConfigured() {
-    const hasApiKey = !!this.LIGHTX_API_KEY;
-    const hasBaseUrl = !!this.LIGHTX_BASE_URL;
-    if (!hasApiKey) {
-      return false;
-    }
-    if (!hasBaseUrl) {
-      return false;
-    }
-    if (this.LIGHTX_API_KEY.length < 16) {
-      return false;
-    }
-    return true;
+    return this.getConfiguredProviders().length > 0;
   }
 
   async testConnection() {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000);
-      const response = await fetch(
-        `${this.LIGHTX_BASE_URL}/v2/uploadImageUrl`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "x-api-key": this.LIGHTX_API_KEY,
-            "User-Agent": "FaceSwapAPI/1.0",
-          },
-          body: JSON.stringify({
-            uploadType: "imageUrl",
-            size: 1000,
-            contentType: "image/jpeg",
-          }),
-          signal: controller.signal,
-        }
-      );
-      clearTimeout(timeoutId);
-      if (response.status === 200) {
-        const data = await response.json();
-        return true;
-      } else if (response.status === 403) {
-        const errorText = await response.text();
-        return false;
-      } else {
-        return false;
-      }
-    } catch (error) {
-      return false;
+    const results = await this.testConnections();
+    return Object.values(results).some((result) => result.connected);
+  }
+
+  async testConnections() {
+    const results = {};
+    for (const provider of this.providers) {
+      const configured = provider.isConfigured();
+      results[provider.name] = {
+        configured,
+        connected: configured ? await provider.testConnection() : false,
+      };
     }
+    return results;
   }
 
-  getStats() {
-    const successRate =
-      this.stats.totalRequests > 0
-        ? (
-            (this.stats.successfulSwaps / this.stats.totalRequests) *
-            100
-          ).toFixed(2)
-        : 0;
+  /**
+   * Breaker state of every provider and today's budget use, for
+   * /admin/status
+   */
+  async getCircuitStatus() {
+    const breakers = {};
+    for (const [name, breaker] of this.breakers) {
+      breakers[name] = await breaker.getState();
+    }
     return {
-      ...this.stats,
-      successRate: `${successRate}%`,
-      averageProcessingTimeFormatted: `${Math.round(
-        this.stats.averageProcessingTime
-      )}ms`,
+      breakers,
+      budget: {
+        limit: this.dailyBudget,
+        used: await providerBudgetModel.getUsage(),
+        day: providerBudgetModel.dayKey(),
+      },
     };
   }
 
-  resetStats() {
-    this.stats = {
-      totalRequests: 0,
-      successfulSwaps: 0,
-      failedSwaps: 0,
-      averageProcessingTime: 0,
-    };
+  getStats() {
+    const stats = {};
+    this.providers.forEach((provider) => {
+      stats[provider.name] = provider.getStats();
+    });
+    return stats;
   }
 
-  async downloadResult(imageUrl, outputPath) {
-    try {
-      const response = await fetch(imageUrl);
-      if (!response.ok) {
-        throw new Error(
-          `Failed to download image: ${response.status} - ${response.statusText}`
-        );
-      }
-      const buffer = await response.buffer();
-      const dir = path.dirname(outputPath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, {
-          recursive: true,
-        });
-      }
-      fs.writeFileSync(outputPath, buffer);
-      return outputPath;
-    } catch (error) {
-      throw error;
-    }
+  resetStats() {
+    this.providers.forEach((provider) => provider.resetStats());
   }
 }
 
 const faceSwapAPI = new FaceSwapAPI();
 export default faceSwapAPI;
-export const {
-  processImage,
-  requestFaceSwap,
-  pollFaceSwapStatus,
-  performFaceSwap,
-  isConfigured,
-  testConnection,
-  getStats,
-  resetStats,
-  downloadResult,
-} = faceSwapAPI;
@@ -0,0 +1,127 @@
+import path from "path";
+
+// Image types accepted on upload, by file extension. Anything other than
+// JPEG and PNG is converted by the image normaliser before it is stored or
+// sent to a provider.
+export const ACCEPTED_IMAGE_TYPES = {
+  ".jpg": ["image/jpeg", "image/jpg"],
+  ".jpeg": ["image/jpeg", "image/jpg"],
+  ".png": ["image/png"],
+  ".webp": ["image/webp"],
+  ".avif": ["image/avif"],
+  ".heic": ["image/heic", "image/heif"],
+  ".heif": ["image/heif", "image/heic"],
+};
+
+// Browsers that don't know HEIC send it with a generic type
+const HEIC_EXTENSIONS = [".heic", ".heif"];
+const GENERIC_MIMES = ["", "application/octet-stream"];
+
+export const ACCEPTED_FORMATS_LABEL = "JPEG, PNG, WebP, HEIC or AVIF";
+
+// Value for the accept attribute of file inputs
+export const IMAGE_ACCEPT = [
+  ...new Set(Object.values(ACCEPTED_IMAGE_TYPES).flat()),
+  ...Object.keys(ACCEPTED_IMAGE_TYPES),
+].join(",");
+
+/**
+ * Whether an upload is an accepted image, judged by its declared type and
+ * file name
+ * @param {string} mimetype - Type sent by the client
+ * @param {string} fileName - Original file name
+ * @returns {boolean}
+ */
+export function isAcceptedImage(mimetype, fileName) {
+  const ext = path.extname(fileName || "").toLowerCase();
+  const mimes = ACCEPTED_IMAGE_TYPES[ext];
+  if (!mimes) {
+    return false;
+  }
+  return (
+    mimes.includes(mimetype) ||
+    (HEIC_EXTENSIONS.includes(ext) && GENERIC_MIMES.includes(mimetype || ""))
+  );
+}
+
+// Formats the content of a file with each extension may have. HEIF files
+// can hold AV1 (AVIF) images too.
+const EXTENSION_FORMATS = {
+  ".jpg": ["jpeg"],
+  ".jpeg": ["jpeg"],
+  ".png": ["png"],
+  ".webp": ["webp"],
+  ".avif": ["avif"],
+  ".heic": ["heic", "avif"],
+  ".heif": ["heic", "avif"],
+};
+
+export const FORMAT_MIME_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  avif: "image/avif",
+  heic: "image/heic",
+};
+
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+// ISO-BMFF brands of HEVC-coded HEIF (HEIC) and of AVIF images
+const HEIC_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis"];
+const AVIF_BRANDS = ["avif", "avis"];
+
+// Brands listed in a leading ftyp box: the major brand, then the
+// compatible brands after the minor version
+function ftypBrands(buffer) {
+  if (buffer.length < 16 || buffer.toString("latin1", 4, 8) !== "ftyp") {
+    return [];
+  }
+  const end = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString("latin1", 8, 12)];
+  for (let offset = 16; offset + 4 <= end; offset += 4) {
+    brands.push(buffer.toString("latin1", offset, offset + 4));
+  }
+  return brands;
+}
+
+/**
+ * Identify an image by its leading bytes rather than its name or declared
+ * type
+ * @param {Buffer} buffer - At least the first 64 bytes of the file
+ * @returns {string|null} "jpeg", "png", "webp", "avif", "heic" or null
+ */
+export function detectImageFormat(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return buffer[2] === 0xff ? "jpeg" : null;
+  }
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return "png";
+  }
+  if (
+    buffer.toString("latin1", 0, 4) === "RIFF" &&
+    buffer.toString("latin1", 8, 12) === "WEBP"
+  ) {
+    return "webp";
+  }
+  const brands = ftypBrands(buffer);
+  if (brands.some((brand) => AVIF_BRANDS.includes(brand))) {
+    return "avif";
+  }
+  if (brands.some((brand) => HEIC_BRANDS.includes(brand))) {
+    return "heic";
+  }
+  return null;
+}
+
+// Whether a detected format is what a file's extension promises
+export function formatMatchesName(format, fileName) {
+  const formats = EXTENSION_FORMATS[path.extname(fileName).toLowerCase()];
+  return Boolean(formats && formats.includes(format));
+}
+
+// Type for a file name with an accepted extension, or null
+export function mimeTypeFor(fileName) {
+  const mimes = ACCEPTED_IMAGE_TYPES[path.extname(fileName).toLowerCase()];
+  return mimes ? mimes[0] : null;
+}
@@ -0,0 +1,58 @@
+import crypto from "crypto";
+import fs from "fs";
+import { pipeline } from "stream/promises";
+import sharp from "sharp";
+import { sharpInput } from "./imageNormalizer.js";
+import { MAX_IMAGE_PIXELS } from "../config/upload.js";
+
+// dHash compares neighbouring pixels of a small greyscale copy, so it
+// stays the same when an image is re-encoded, resized or loses its EXIF
+const DHASH_SIZE = 8;
+
+// SHA-256 of the file as uploaded
+export async function contentHash(filePath) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest("hex");
+}
+
+/**
+ * 64-bit difference hash of an image, as 16 hex digits. The EXIF
+ * orientation is applied first, like the normaliser does.
+ * @param {string} filePath - Local image
+ * @returns {Promise<string>}
+ */
+export async function perceptualHash(filePath) {
+  const { input } = await sharpInput(filePath);
+  const pixels = await sharp(input, { limitInputPixels: MAX_IMAGE_PIXELS })
+    .rotate()
+    .greyscale()
+    .resize(DHASH_SIZE + 1, DHASH_SIZE, { fit: "fill" })
+    .raw()
+    .toBuffer();
+  let bits = 0n;
+  for (let y = 0; y < DHASH_SIZE; y++) {
+    for (let x = 0; x < DHASH_SIZE; x++) {
+      const offset = y * (DHASH_SIZE + 1) + x;
+      bits = (bits << 1n) | (pixels[offset] > pixels[offset + 1] ? 1n : 0n);
+    }
+  }
+  return bits.toString(16).padStart(16, "0");
+}
+
+/**
+ * Content and perceptual hashes of an uploaded source and target
+ * @param {Object} files - source and target file records with a path
+ * @returns {Promise<Object>} { source: { sha256, phash }, target: {...} }
+ */
+export async function hashImagePair(files) {
+  const hashes = {};
+  for (const type of ["source", "target"]) {
+    const { path: filePath } = files[type];
+    hashes[type] = {
+      sha256: await contentHash(filePath),
+      phash: await perceptualHash(filePath),
+    };
+  }
+  return hashes;
+}
@@ -0,0 +1,108 @@
+import sharp from "sharp";
+import heicConvert from "heic-convert";
+import fs from "fs";
+import { detectImageFormat } from "./imageFormats.js";
+import { MAX_IMAGE_PIXELS } from "../config/upload.js";
+import config from "../config/index.js";
+
+// Formats every provider accepts, with the file extension used for each
+const OUTPUT_FORMATS = { jpeg: "jpg", png: "png" };
+
+export const NORMALIZE_OPTIONS = {
+  maxDimension: config.images.maxDimension,
+  format: config.images.format,
+  quality: config.images.quality,
+};
+
+// The libvips bundled with sharp only decodes AV1-coded HEIF (AVIF), so
+// HEIC goes through heic-convert first
+async function isHeic(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(64), 0, 64, 0);
+    return detectImageFormat(buffer.subarray(0, bytesRead)) === "heic";
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Something sharp can read for an image: its path, or for HEIC the image
+ * decoded to JPEG at full quality
+ * @param {string} filePath - Local image
+ * @returns {Promise<Object>} { input, heic }
+ */
+export async function sharpInput(filePath) {
+  if (!(await isHeic(filePath))) {
+    return { input: filePath, heic: false };
+  }
+  const input = Buffer.from(
+    await heicConvert({
+      buffer: await fs.promises.readFile(filePath),
+      format: "JPEG",
+      quality: 1,
+    })
+  );
+  return { input, heic: true };
+}
+
+/**
+ * Prepare an uploaded image for storage and the swap: apply the EXIF
+ * orientation, shrink it to fit within maxDimension, re-encode it and drop
+ * all metadata (EXIF including GPS, XMP, ICC). The original is left alone;
+ * the result is written next to it. WebP, AVIF and HEIC uploads are
+ * converted to the output format like any other.
+ * @param {string} filePath - Local image
+ * @param {Object} options - maxDimension, format ("jpeg" or "png") and
+ *   quality (JPEG only)
+ * @returns {Promise<Object>} { path, format, width, height, bytes, original }
+ *   where original has the format, width, height and bytes of the upload
+ */
+export async function normalizeImage(filePath, options = NORMALIZE_OPTIONS) {
+  const { maxDimension, format, quality } = options;
+  const { input, heic } = await sharpInput(filePath);
+  let originalFormat = heic ? "heic" : null;
+  const image = sharp(input, {
+    failOn: "error",
+    limitInputPixels: MAX_IMAGE_PIXELS,
+  });
+  const metadata = await image.metadata();
+  // sharp reports AVIF as HEIF with AV1 compression
+  if (!originalFormat) {
+    originalFormat =
+      metadata.format === "heif" && metadata.compression === "av1"
+        ? "avif"
+        : metadata.format;
+  }
+  // Stable name, so a retried job overwrites its earlier output
+  const outputPath = `${filePath.replace(/\.[^./\\]*$/, "")}.normalized.${OUTPUT_FORMATS[format]}`;
+
+  image.rotate().resize({
+    width: maxDimension,
+    height: maxDimension,
+    fit: "inside",
+    withoutEnlargement: true,
+  });
+  if (format === "png") {
+    image.png({ compressionLevel: 9 });
+  } else {
+    // JPEG has no transparency, so transparent PNGs go onto white
+    image.flatten({ background: "#ffffff" }).jpeg({ quality, mozjpeg: true });
+  }
+  const info = await image.toFile(outputPath);
+  const { size } = await fs.promises.stat(filePath);
+
+  return {
+    path: outputPath,
+    format: OUTPUT_FORMATS[format],
+    width: info.width,
+    height: info.height,
+    bytes: info.size,
+    original: {
+      format: originalFormat,
+      width: metadata.width,
+      height: metadata.height,
+      bytes: size,
+    },
+  };
+}
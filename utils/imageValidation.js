@@ -0,0 +1,398 @@
+import sharp from "sharp";
+import fs from "fs";
+import path from "path";
+import {
+  detectImageFormat,
+  formatMatchesName,
+  FORMAT_MIME_TYPES,
+  ACCEPTED_FORMATS_LABEL,
+} from "./imageFormats.js";
+import {
+  MAX_IMAGE_PIXELS,
+  MAX_IMAGE_SIDE,
+  MIN_IMAGE_SIDE,
+} from "../config/upload.js";
+
+// Raised for uploads whose content fails inspection; the upload error
+// handlers show its message to the user like a multer error
+export class ImageValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImageValidationError";
+  }
+}
+
+const FORMAT_LABELS = {
+  jpeg: "JPEG",
+  png: "PNG",
+  webp: "WebP",
+  avif: "AVIF",
+  heic: "HEIC",
+};
+
+// Where the image data of each format ends, compared with the file length:
+// null when they match, otherwise "truncated" or "trailing" (extra data
+// after the image, as in polyglot files)
+function pngEnd(buffer) {
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    offset += length + 12;
+    if (type === "IEND") {
+      if (offset > buffer.length) {
+        return "truncated";
+      }
+      return offset === buffer.length ? null : "trailing";
+    }
+  }
+  return "truncated";
+}
+
+function webpEnd(buffer) {
+  const size = buffer.readUInt32LE(4);
+  const end = 8 + size + (size % 2);
+  if (end > buffer.length) {
+    return "truncated";
+  }
+  return end === buffer.length ? null : "trailing";
+}
+
+// JPEG has no overall length, so the segments are walked to find the end
+// marker of the main image; markers inside segments (such as an EXIF
+// thumbnail's) are skipped over. Returns the offset after it, or -1 if the
+// file ends first.
+function jpegImageEnd(buffer, found) {
+  let offset = 2;
+  while (offset + 2 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return -1;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1; // fill byte
+      continue;
+    }
+    if (marker === 0xd9) {
+      return offset + 2;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2; // markers without a length
+      continue;
+    }
+    if (offset + 4 > buffer.length) {
+      return -1;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    const dataStart = offset + 4;
+    offset += 2 + length;
+    if (length < 2 || offset > buffer.length) {
+      return -1;
+    }
+    const label = (text) =>
+      buffer.toString("latin1", dataStart, dataStart + text.length) === text;
+    if (marker === 0xe2 && label("MPF\0")) {
+      found.mpf = dataStart + 4;
+    } else if (marker === 0xe1 && label("http://ns.adobe.com/xap/1.0/\0")) {
+      found.xmp = buffer.toString("latin1", dataStart, offset);
+    }
+    if (marker !== 0xda) {
+      continue;
+    }
+    // Entropy-coded data follows a scan header, up to the next marker that
+    // isn't a stuffed 0xFF00 or a restart marker
+    while (offset < buffer.length - 1) {
+      offset = buffer.indexOf(0xff, offset);
+      if (offset === -1 || offset === buffer.length - 1) {
+        return -1;
+      }
+      const next = buffer[offset + 1];
+      if (next === 0x00 || (next >= 0xd0 && next <= 0xd7)) {
+        offset += 2;
+      } else if (next === 0xff) {
+        offset += 1;
+      } else {
+        break;
+      }
+    }
+  }
+  return -1;
+}
+
+// Byte ranges after the main image that the file declares: further images
+// listed in an MPF (Multi-Picture Format) segment
+function mpfRanges(buffer, tiffStart) {
+  const little = buffer.toString("latin1", tiffStart, tiffStart + 2) === "II";
+  const read16 = (at) =>
+    little ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at);
+  const read32 = (at) =>
+    little ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at);
+  const ifd = tiffStart + read32(tiffStart + 4);
+  const ranges = [];
+  for (let i = 0; i < read16(ifd); i++) {
+    const tag = ifd + 2 + i * 12;
+    // The MP Entry tag lists each image's size and offset
+    if (read16(tag) !== 0xb002) {
+      continue;
+    }
+    const entries = tiffStart + read32(tag + 8);
+    for (let e = 0; e < read32(tag + 4) / 16; e++) {
+      const size = read32(entries + e * 16 + 4);
+      const start = read32(entries + e * 16 + 8);
+      // The first image, at offset 0, is the main one
+      if (start > 0) {
+        ranges.push([tiffStart + start, tiffStart + start + size]);
+      }
+    }
+  }
+  return ranges;
+}
+
+// ...a motion photo video declared in XMP, as Google cameras and the
+// Android motion photo format write it: at the end of the file
+function xmpRanges(buffer, xmp, imageEnd) {
+  const ranges = [];
+  const microVideo = xmp.match(/MicroVideoOffset(?:="|>)(\d+)/);
+  if (microVideo) {
+    ranges.push([buffer.length - Number(microVideo[1]), buffer.length]);
+  }
+  // Container items after the primary one follow it in order
+  const items = [...xmp.matchAll(/Item:Length="(\d+)"/g)];
+  const paddings = [...xmp.matchAll(/Item:Padding="(\d+)"/g)];
+  const trailing = [...items, ...paddings].reduce(
+    (total, match) => total + Number(match[1]),
+    0
+  );
+  if (trailing > 0) {
+    ranges.push([imageEnd, imageEnd + trailing]);
+  }
+  return ranges;
+}
+
+// ...and the trailer Samsung phones append (motion photo video, edit data),
+// whose directory ends the file with its size and "SEFT"
+function samsungRanges(buffer) {
+  const end = buffer.length;
+  if (end < 8 || buffer.toString("latin1", end - 4) !== "SEFT") {
+    return [];
+  }
+  const header = end - 8 - buffer.readUInt32LE(end - 8);
+  if (buffer.toString("latin1", header, header + 4) !== "SEFH") {
+    return [];
+  }
+  let start = header;
+  for (let i = 0; i < buffer.readUInt32LE(header + 8); i++) {
+    start = Math.min(start, header - buffer.readUInt32LE(header + 16 + i * 12));
+  }
+  return [[start, end]];
+}
+
+// Data after the main image is allowed only where the file declares it:
+// many phones store extra images, depth maps or a video there. Anything
+// else, such as a ZIP appended to make a polyglot, is rejected.
+function jpegEnd(buffer) {
+  const found = {};
+  const imageEnd = jpegImageEnd(buffer, found);
+  if (imageEnd === -1) {
+    return "truncated";
+  }
+  if (imageEnd === buffer.length) {
+    return null;
+  }
+  if (buffer.toString("latin1", imageEnd, imageEnd + 4) === "PK\x03\x04") {
+    return "trailing";
+  }
+  let ranges;
+  try {
+    ranges = [
+      ...(found.mpf ? mpfRanges(buffer, found.mpf) : []),
+      ...(found.xmp ? xmpRanges(buffer, found.xmp, imageEnd) : []),
+      ...samsungRanges(buffer),
+    ];
+  } catch (error) {
+    // A declared offset pointing outside the file
+    return "trailing";
+  }
+  // The declared ranges must cover everything after the main image
+  let covered = imageEnd;
+  for (const [start, end] of ranges.sort((a, b) => a[0] - b[0])) {
+    if (start > covered) {
+      break;
+    }
+    covered = Math.max(covered, end);
+  }
+  if (covered < buffer.length) {
+    return "trailing";
+  }
+  return covered > buffer.length ? "truncated" : null;
+}
+
+// HEIC and AVIF are a sequence of boxes that must cover the whole file
+function bmffEnd(buffer) {
+  let offset = 0;
+  while (offset < buffer.length) {
+    if (offset + 8 > buffer.length) {
+      return "truncated";
+    }
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    if (!/^[\x20-\x7e]{4}$/.test(type)) {
+      return "trailing";
+    }
+    let size = buffer.readUInt32BE(offset);
+    if (size === 1 && offset + 16 <= buffer.length) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+    } else if (size === 0) {
+      size = buffer.length - offset;
+    }
+    if (size < 8) {
+      return "trailing";
+    }
+    offset += size;
+  }
+  return offset === buffer.length ? null : "truncated";
+}
+
+const END_CHECKS = {
+  jpeg: jpegEnd,
+  png: pngEnd,
+  webp: webpEnd,
+  avif: bmffEnd,
+  heic: bmffEnd,
+};
+
+// Top-level box of a HEIC or AVIF file, e.g. "meta"; the boxes have
+// already been checked by bmffEnd
+function findBox(buffer, type) {
+  let offset = 0;
+  while (offset + 8 <= buffer.length) {
+    let size = buffer.readUInt32BE(offset);
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+    } else if (size === 0) {
+      size = buffer.length - offset;
+    }
+    if (buffer.toString("latin1", offset + 4, offset + 8) === type) {
+      return buffer.subarray(offset, offset + size);
+    }
+    offset += size;
+  }
+  return null;
+}
+
+// Dimensions of a HEIC image from the ispe (image spatial extent)
+// properties in its meta box; sharp can't read HEVC-coded files. The
+// largest item is the primary image, the others are thumbnails.
+function heicDimensions(buffer) {
+  const meta = findBox(buffer, "meta") || Buffer.alloc(0);
+  let width = 0;
+  let height = 0;
+  let offset = meta.indexOf("ispe", 0, "latin1");
+  while (offset !== -1 && offset + 16 <= meta.length) {
+    const itemWidth = meta.readUInt32BE(offset + 8);
+    const itemHeight = meta.readUInt32BE(offset + 12);
+    if (itemWidth * itemHeight > width * height) {
+      width = itemWidth;
+      height = itemHeight;
+    }
+    offset = meta.indexOf("ispe", offset + 4, "latin1");
+  }
+  if (!width || !height) {
+    throw new Error("has a damaged header and could not be read");
+  }
+  return { width, height };
+}
+
+/**
+ * Check an uploaded image by its content: the file signature must be an
+ * accepted format that matches the file name, the file must end where the
+ * image ends (no truncation, nothing appended), and the dimensions in the
+ * header must be within limits. Nothing is decoded beyond the header.
+ * @param {string} filePath - Local upload
+ * @param {string} fileName - Name the client sent
+ * @returns {Promise<Object>} { format, width, height }
+ * @throws {Error} With a message to follow the image's label, e.g.
+ *   "is incomplete: the file appears to be cut off"
+ */
+export async function inspectImage(filePath, fileName) {
+  const buffer = await fs.promises.readFile(filePath);
+  const format = detectImageFormat(buffer);
+  if (!format) {
+    throw new Error(`is not a ${ACCEPTED_FORMATS_LABEL} image`);
+  }
+  if (!formatMatchesName(format, fileName)) {
+    throw new Error(
+      `is a ${FORMAT_LABELS[format]} image but is named ${path.extname(fileName) || "without an extension"}`
+    );
+  }
+
+  const end = END_CHECKS[format](buffer);
+  if (end === "truncated") {
+    throw new Error("is incomplete: the file appears to be cut off");
+  }
+  if (end === "trailing") {
+    throw new Error("has unexpected data after the end of the image");
+  }
+
+  let dimensions;
+  if (format === "heic") {
+    dimensions = heicDimensions(buffer);
+  } else {
+    try {
+      const metadata = await sharp(buffer).metadata();
+      dimensions = { width: metadata.width, height: metadata.height };
+    } catch (error) {
+      throw new Error("has a damaged header and could not be read");
+    }
+  }
+
+  const { width, height } = dimensions;
+  const size = `${width}×${height} pixels`;
+  if (width > MAX_IMAGE_SIDE || height > MAX_IMAGE_SIDE) {
+    throw new Error(
+      `is too large (${size}); sides can be at most ${MAX_IMAGE_SIDE} pixels`
+    );
+  }
+  if (width * height > MAX_IMAGE_PIXELS) {
+    throw new Error(
+      `is too large (${size}); the limit is ${MAX_IMAGE_PIXELS / 1e6} megapixels`
+    );
+  }
+  if (width < MIN_IMAGE_SIDE || height < MIN_IMAGE_SIDE) {
+    throw new Error(
+      `is too small (${size}); sides must be at least ${MIN_IMAGE_SIDE} pixels`
+    );
+  }
+  return { format, width, height };
+}
+
+const imageLabel = (file) =>
+  file.fieldname === "targets"
+    ? `Target ${file.originalname}`
+    : `${file.fieldname === "source" ? "Source" : "Target"} image`;
+
+/**
+ * Middleware run right after multer: inspects every uploaded image (ZIPs
+ * are checked once extracted) and replaces the client's declared type with
+ * the detected one. On failure all uploads are removed and an
+ * ImageValidationError goes to the route's upload error handler.
+ */
+export async function validateUploadedImages(req, res, next) {
+  const uploads = Object.values(req.files || {}).flat();
+  for (const file of uploads) {
+    if (file.fieldname === "targetsZip") {
+      continue;
+    }
+    try {
+      const { format } = await inspectImage(file.path, file.originalname);
+      file.mimetype = FORMAT_MIME_TYPES[format];
+    } catch (error) {
+      await Promise.all(
+        uploads.map((upload) => fs.promises.rm(upload.path, { force: true }))
+      );
+      return next(
+        new ImageValidationError(`${imageLabel(file)} ${error.message}`)
+      );
+    }
+  }
+  next();
+}
@@ -0,0 +1,172 @@
+import nodemailer from "nodemailer";
+import crypto from "crypto";
+import ejs from "ejs";
+import path from "path";
+import sharp from "sharp";
+import emailLogModel from "../models/emailLogModel.js";
+import { getStorageForImage } from "./storage/index.js";
+import config from "../config/index.js";
+
+const TEMPLATE_DIR = path.join(process.cwd(), "views", "emails");
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_CID = "result-thumbnail";
+
+/**
+ * Emails sent to submitters. Each template has an HTML and a plain-text
+ * EJS body in views/emails (<view>.html.ejs and <view>.text.ejs), rendered
+ * with the submitter's name, links to the job page and an opt-out link.
+ */
+export const EMAIL_TEMPLATES = {
+  swap_completed: {
+    subject: "Your face swap is ready",
+    view: "swapCompleted",
+  },
+  swap_failed: {
+    subject: "We couldn't finish your face swap",
+    view: "swapFailed",
+  },
+};
+
+let transport = null;
+
+export function isEmailConfigured() {
+  return Boolean(config.email.smtpHost);
+}
+
+// SMTP transport, created on first use
+export function getTransport() {
+  if (!transport) {
+    const { smtpHost, smtpPort, smtpSecure, smtpUser, smtpPassword } =
+      config.email;
+    transport = nodemailer.createTransport({
+      host: smtpHost,
+      port: smtpPort,
+      secure: smtpSecure,
+      auth: smtpUser ? { user: smtpUser, pass: smtpPassword } : undefined,
+    });
+  }
+  return transport;
+}
+
+// Links in emails must be absolute; PUBLIC_BASE_URL is the app's address
+export function absoluteUrl(pathname) {
+  const base =
+    config.server.publicBaseUrl || `http://localhost:${config.server.port}`;
+  return `${base}${pathname}`;
+}
+
+// Opt-out links are signed, so nobody can opt out someone else's
+// submission. Without SESSION_SECRET, links stop working on restart.
+const optOutSecret =
+  config.auth.sessionSecret || crypto.randomBytes(32).toString("hex");
+
+export function optOutToken(submissionId) {
+  return crypto
+    .createHmac("sha256", optOutSecret)
+    .update(`email-opt-out:${submissionId}`)
+    .digest("hex");
+}
+
+export function verifyOptOutToken(submissionId, token) {
+  const expected = Buffer.from(optOutToken(submissionId));
+  const actual = Buffer.from(String(token || ""));
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+export function optOutUrl(submissionId) {
+  return absoluteUrl(
+    `/email-opt-out/${submissionId}?token=${optOutToken(submissionId)}`
+  );
+}
+
+// A small JPEG of the result to embed in the email, or null if the image
+// can't be read
+async function resultThumbnail(submission) {
+  const image = submission.swappedImage;
+  if (!image?.publicId) {
+    return null;
+  }
+  try {
+    const { stream } = await getStorageForImage(image).createReadStream(
+      image.publicId
+    );
+    return await sharp(Buffer.concat(await stream.toArray()))
+      .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    console.warn(
+      `⚠️ Could not create the email thumbnail for ${submission._id}:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+/**
+ * Render an email about a submission
+ * @param {string} template - One of EMAIL_TEMPLATES
+ * @param {Object} submission - The submission as stored
+ * @returns {Promise<Object>} { subject, html, text, attachments, list,
+ *   headers } for nodemailer
+ */
+export async function renderSubmissionEmail(template, submission) {
+  const { subject, view } = EMAIL_TEMPLATES[template];
+  const thumbnail =
+    template === "swap_completed" ? await resultThumbnail(submission) : null;
+  const submissionId = submission._id.toString();
+  const unsubscribeUrl = optOutUrl(submissionId);
+  const locals = {
+    name: submission.name,
+    submissionId,
+    resultUrl: submission.jobId
+      ? absoluteUrl(`/jobs/${submission.jobId}`)
+      : null,
+    formUrl: absoluteUrl("/"),
+    thumbnailSrc: thumbnail ? `cid:${THUMBNAIL_CID}` : null,
+    optOutUrl: unsubscribeUrl,
+  };
+  const [html, text] = await Promise.all([
+    ejs.renderFile(path.join(TEMPLATE_DIR, `${view}.html.ejs`), locals),
+    ejs.renderFile(path.join(TEMPLATE_DIR, `${view}.text.ejs`), locals),
+  ]);
+  return {
+    subject,
+    html,
+    text,
+    // Lets mail clients offer one-click unsubscribe (RFC 8058)
+    list: { unsubscribe: unsubscribeUrl },
+    headers: { "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" },
+    attachments: thumbnail
+      ? [
+          {
+            filename: "result.jpg",
+            content: thumbnail,
+            contentType: "image/jpeg",
+            cid: THUMBNAIL_CID,
+          },
+        ]
+      : [],
+  };
+}
+
+/**
+ * Queue an email to the submitter, unless email is off, the submission has
+ * no address or its submitter opted out. The email dispatcher sends it.
+ * @param {string} template - One of EMAIL_TEMPLATES
+ * @param {Object} submission - The submission as stored
+ * @returns {Promise<boolean>} Whether an email was queued
+ */
+export async function queueSubmissionEmail(template, submission) {
+  if (!isEmailConfigured() || !submission.email || submission.emailOptOut) {
+    return false;
+  }
+  const entry = await emailLogModel.queueEmail(
+    submission._id.toString(),
+    template
+  );
+  return Boolean(entry);
+}
@@ -0,0 +1,383 @@
+// OpenAPI description of the JSON API mounted at /api/v1.
+// Served at GET /api/v1/openapi.json; keep in sync with routes/apiRoutes.js.
+
+import { MAX_UPLOAD_MB } from "../config/upload.js";
+import { ACCEPTED_FORMATS_LABEL } from "./imageFormats.js";
+
+const errorResponse = (description) => ({
+  description,
+  content: {
+    "application/json": {
+      schema: { $ref: "#/components/schemas/Error" },
+    },
+  },
+});
+
+const idParameter = (name, description) => ({
+  name,
+  in: "path",
+  required: true,
+  description,
+  schema: { type: "string", pattern: "^[a-f0-9]{24}$" },
+});
+
+const openApiSpec = {
+  openapi: "3.0.3",
+  info: {
+    title: "Face Swap API",
+    version: "1.0.0",
+    description:
+      "Create face swap submissions and read their results. Creating a submission queues a job; poll the job (or stream /jobs/{id}/events) until it completes, then fetch the submission. Every endpoint except this document requires an API key, and a key only sees its own jobs and submissions.",
+  },
+  servers: [{ url: "/api/v1" }],
+  security: [{ ApiKeyAuth: [] }],
+  paths: {
+    "/submissions": {
+      post: {
+        summary: "Queue a face swap",
+        operationId: "createSubmission",
+        requestBody: {
+          required: true,
+          content: {
+            "multipart/form-data": {
+              schema: { $ref: "#/components/schemas/SubmissionInput" },
+            },
+          },
+        },
+        responses: {
+          202: {
+            description: "The swap was queued",
+            headers: {
+              Location: {
+                description: "URL of the queued job",
+                schema: { type: "string" },
+              },
+              "X-Quota-Daily-Remaining": {
+                description: "Swaps left today (UTC) for this key",
+                schema: { type: "integer" },
+              },
+              "X-Quota-Monthly-Remaining": {
+                description: "Swaps left this month (UTC) for this key",
+                schema: { type: "integer" },
+              },
+            },
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Job" },
+              },
+            },
+          },
+          400: errorResponse("Invalid fields or upload"),
+          401: errorResponse("Missing, invalid or revoked API key"),
+          415: errorResponse("Unsupported image type"),
+          422: errorResponse(
+            "Image content is damaged, mislabelled or outside the size limits"
+          ),
+          429: errorResponse("Key rate limit or swap quota exceeded"),
+          503: errorResponse(
+            "Face swap service not configured (service_unavailable), or temporarily unavailable or out of its daily budget (provider_unavailable, with Retry-After)"
+          ),
+        },
+      },
+      get: {
+        summary: "List submissions, newest first",
+        operationId: "listSubmissions",
+        parameters: [
+          {
+            name: "page",
+            in: "query",
+            schema: { type: "integer", minimum: 1, default: 1 },
+          },
+          {
+            name: "limit",
+            in: "query",
+            schema: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+          },
+        ],
+        responses: {
+          200: {
+            description: "A page of submissions",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/SubmissionList" },
+              },
+            },
+          },
+          401: errorResponse("Missing, invalid or revoked API key"),
+          429: errorResponse("Key rate limit exceeded"),
+          500: errorResponse("Server error"),
+        },
+      },
+    },
+    "/submissions/{id}": {
+      get: {
+        summary: "Get a submission",
+        operationId: "getSubmission",
+        parameters: [idParameter("id", "Submission ID")],
+        responses: {
+          200: {
+            description: "The submission",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Submission" },
+              },
+            },
+          },
+          400: errorResponse("Invalid submission ID"),
+          401: errorResponse("Missing, invalid or revoked API key"),
+          404: errorResponse("Submission not found"),
+        },
+      },
+      delete: {
+        summary: "Delete a submission and its images",
+        operationId: "deleteSubmission",
+        parameters: [idParameter("id", "Submission ID")],
+        responses: {
+          204: { description: "The submission was deleted" },
+          400: errorResponse("Invalid submission ID"),
+          401: errorResponse("Missing, invalid or revoked API key"),
+          404: errorResponse("Submission not found"),
+          409: errorResponse(
+            "The submission's job is still being processed. Try again once it has finished."
+          ),
+          500: errorResponse("Images could not be deleted. Try again."),
+        },
+      },
+    },
+    "/submissions/{id}/images": {
+      get: {
+        summary: "Get the image URLs of a submission",
+        operationId: "getSubmissionImages",
+        parameters: [idParameter("id", "Submission ID")],
+        responses: {
+          200: {
+            description: "Source, target and swapped images",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/SubmissionImages" },
+              },
+            },
+          },
+          400: errorResponse("Invalid submission ID"),
+          401: errorResponse("Missing, invalid or revoked API key"),
+          404: errorResponse("Submission not found"),
+        },
+      },
+    },
+    "/jobs/{id}": {
+      get: {
+        summary: "Get the status of a queued swap",
+        operationId: "getJob",
+        parameters: [idParameter("id", "Job ID")],
+        responses: {
+          200: {
+            description: "The job",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Job" },
+              },
+            },
+          },
+          400: errorResponse("Invalid job ID"),
+          401: errorResponse("Missing, invalid or revoked API key"),
+          404: errorResponse("Job not found"),
+        },
+      },
+    },
+    "/openapi.json": {
+      get: {
+        summary: "This document",
+        operationId: "getOpenApiSpec",
+        security: [],
+        responses: {
+          200: {
+            description: "OpenAPI document",
+            content: { "application/json": { schema: { type: "object" } } },
+          },
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      ApiKeyAuth: { type: "apiKey", in: "header", name: "X-API-Key" },
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: {
+          error: {
+            type: "object",
+            required: ["code", "message"],
+            properties: {
+              code: { type: "string", example: "validation_failed" },
+              message: { type: "string" },
+              details: { type: "array", items: { type: "string" } },
+            },
+          },
+        },
+      },
+      SubmissionInput: {
+        type: "object",
+        required: ["name", "email", "phone", "terms", "source", "target"],
+        properties: {
+          name: {
+            type: "string",
+            minLength: 4,
+            maxLength: 30,
+            pattern: "^[A-Za-z\\s]+$",
+          },
+          email: { type: "string", format: "email" },
+          phone: { type: "string", pattern: "^\\d{10}$" },
+          terms: {
+            type: "string",
+            enum: ["on", "true"],
+            description: "Acceptance of the Terms & Conditions",
+          },
+          emailOptOut: {
+            type: "string",
+            enum: ["on", "true", "false"],
+            description:
+              "Don't email the result to the submitter (only sent when the server has email set up)",
+          },
+          source: {
+            type: "string",
+            format: "binary",
+            description: `Face image (${ACCEPTED_FORMATS_LABEL}, max ${MAX_UPLOAD_MB}MB)`,
+          },
+          target: {
+            type: "string",
+            format: "binary",
+            description: `Style image (${ACCEPTED_FORMATS_LABEL}, max ${MAX_UPLOAD_MB}MB)`,
+          },
+          sourceRegion: {
+            type: "string",
+            description:
+              'Optional face to use in the source, as a JSON Region, e.g. {"x":0.1,"y":0.2,"width":0.3,"height":0.4}',
+          },
+          targetRegion: {
+            type: "string",
+            description:
+              "Optional face to replace in the target, as a JSON Region",
+          },
+        },
+      },
+      Region: {
+        type: "object",
+        nullable: true,
+        description:
+          "Area of an image as fractions (0-1) of its width and height",
+        properties: {
+          x: { type: "number" },
+          y: { type: "number" },
+          width: { type: "number" },
+          height: { type: "number" },
+        },
+      },
+      Image: {
+        type: "object",
+        nullable: true,
+        properties: {
+          url: { type: "string", format: "uri" },
+          width: { type: "integer", nullable: true },
+          height: { type: "integer", nullable: true },
+          format: { type: "string", nullable: true },
+          bytes: { type: "integer", nullable: true },
+          originalFormat: {
+            type: "string",
+            nullable: true,
+            description:
+              "Format of the upload before it was converted, e.g. heic",
+          },
+        },
+      },
+      SubmissionImages: {
+        type: "object",
+        properties: {
+          source: { $ref: "#/components/schemas/Image" },
+          target: { $ref: "#/components/schemas/Image" },
+          swapped: { $ref: "#/components/schemas/Image" },
+        },
+      },
+      Submission: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          name: { type: "string" },
+          email: { type: "string" },
+          phone: { type: "string" },
+          provider: { type: "string", nullable: true },
+          status: {
+            type: "string",
+            enum: ["pending", "uploading", "swapping", "completed", "failed"],
+          },
+          failure: {
+            type: "object",
+            nullable: true,
+            properties: {
+              stage: { type: "string" },
+              reason: { type: "string" },
+            },
+          },
+          regions: {
+            type: "object",
+            nullable: true,
+            properties: {
+              source: { $ref: "#/components/schemas/Region" },
+              target: { $ref: "#/components/schemas/Region" },
+            },
+          },
+          images: { $ref: "#/components/schemas/SubmissionImages" },
+          createdAt: { type: "string", format: "date-time" },
+          updatedAt: { type: "string", format: "date-time" },
+          links: {
+            type: "object",
+            additionalProperties: { type: "string" },
+          },
+        },
+      },
+      SubmissionList: {
+        type: "object",
+        properties: {
+          data: {
+            type: "array",
+            items: { $ref: "#/components/schemas/Submission" },
+          },
+          pagination: {
+            type: "object",
+            properties: {
+              page: { type: "integer" },
+              limit: { type: "integer" },
+              total: { type: "integer" },
+              totalPages: { type: "integer" },
+              hasNextPage: { type: "boolean" },
+              hasPrevPage: { type: "boolean" },
+            },
+          },
+        },
+      },
+      Job: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          status: {
+            type: "string",
+            enum: ["queued", "processing", "completed", "failed"],
+          },
+          submissionId: { type: "string", nullable: true },
+          error: { type: "string", nullable: true },
+          createdAt: { type: "string", format: "date-time" },
+          startedAt: { type: "string", format: "date-time", nullable: true },
+          finishedAt: { type: "string", format: "date-time", nullable: true },
+          links: {
+            type: "object",
+            additionalProperties: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+};
+
+export default openApiSpec;
@@ -0,0 +1,42 @@
+const maskValue = (value, visibleStart, visibleEnd) => {
+  if (!value || typeof value !== "string") {
+    return value;
+  }
+  if (value.length <= visibleStart + visibleEnd) {
+    return "*".repeat(value.length);
+  }
+  return (
+    value.slice(0, visibleStart) +
+    "*".repeat(value.length - visibleStart - visibleEnd) +
+    value.slice(value.length - visibleEnd)
+  );
+};
+
+export function maskName(name) {
+  return maskValue(name, 1, 0);
+}
+
+export function maskEmail(email) {
+  if (!email || typeof email !== "string" || !email.includes("@")) {
+    return maskValue(email, 1, 0);
+  }
+  const [local, domain] = email.split("@");
+  return `${maskValue(local, 1, 0)}@${domain}`;
+}
+
+export function maskPhone(phone) {
+  return maskValue(phone, 0, 4);
+}
+
+// Copy of a submission with name, email and phone masked
+export function maskSubmission(submission) {
+  if (!submission) {
+    return submission;
+  }
+  return {
+    ...submission,
+    name: maskName(submission.name),
+    email: maskEmail(submission.email),
+    phone: maskPhone(submission.phone),
+  };
+}
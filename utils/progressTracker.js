@@ -0,0 +1,44 @@
+import jobModel from "../models/jobModel.js";
+
+/**
+ * Records pipeline progress events on the job document so any web process
+ * can stream them to the browser, whichever worker produced them.
+ */
+class ProgressTracker {
+  constructor() {
+    // Per-job promise chain so events are stored in the order reported
+    this.queues = new Map();
+  }
+
+  /**
+   * Create a progress callback bound to a job
+   * @param {string} jobId - Job ID
+   * @returns {Function} (stage, message, details) => Promise
+   */
+  forJob(jobId) {
+    return (stage, message, details = {}) =>
+      this.report(jobId, stage, message, details);
+  }
+
+  report(jobId, stage, message, details = {}) {
+    const event = { stage, message, ...details, at: new Date() };
+    const previous = this.queues.get(jobId) || Promise.resolve();
+    const next = previous
+      .then(() => jobModel.addEvent(jobId, event))
+      .catch((error) => {
+        console.warn(
+          `Failed to record progress for job ${jobId}:`,
+          error.message
+        );
+      })
+      .finally(() => {
+        if (this.queues.get(jobId) === next) {
+          this.queues.delete(jobId);
+        }
+      });
+    this.queues.set(jobId, next);
+    return next;
+  }
+}
+
+export default new ProgressTracker();
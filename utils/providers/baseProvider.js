@@ -0,0 +1,134 @@
+/**
+ * Error raised by a face swap provider. Carries the HTTP status (if any) so
+ * the provider chain can decide whether to fall through to the next provider.
+ */
+export class ProviderError extends Error {
+  constructor(message, { status = null, provider = null } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.provider = provider;
+  }
+}
+
+/**
+ * Base class every face swap provider extends. Subclasses implement the
+ * upload / request / poll / connection methods; the swap flow itself and the
+ * in-memory stats are shared.
+ */
+export default class BaseProvider {
+  constructor(name) {
+    this.name = name;
+    // Providers that can swap a chosen face themselves set this and read the
+    // regions passed to requestSwap; for the others, the picked faces are
+    // cropped before the swap and the result is composited back
+    this.supportsRegions = false;
+    this.stats = {
+      totalRequests: 0,
+      successfulSwaps: 0,
+      failedSwaps: 0,
+      averageProcessingTime: 0,
+    };
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Make an image available to the provider
+   * @param {string} imageSource - Local file path or URL
+   * @param {boolean} isUrl - Whether imageSource is a URL
+   * @returns {Promise<string>} URL the provider can read the image from
+   */
+  async uploadImage(imageSource, isUrl = false) {
+    throw new Error(`${this.name} provider does not implement uploadImage`);
+  }
+
+  /**
+   * Start a face swap job
+   * @param {string} sourceImageUrl - Provider URL of the face image
+   * @param {string} targetImageUrl - Provider URL of the style image
+   * @param {Object} regions - Faces picked in the source and target ({ x, y,
+   *   width, height } as fractions of the image), or null. Only passed to
+   *   providers with supportsRegions.
+   * @returns {Promise<string>} Provider job/order ID
+   */
+  async requestSwap(sourceImageUrl, targetImageUrl, regions = null) {
+    throw new Error(`${this.name} provider does not implement requestSwap`);
+  }
+
+  /**
+   * Wait for a face swap job to finish
+   * @param {string} orderId - Provider job/order ID
+   * @param {Function} onProgress - Progress callback (stage, message, details)
+   * @returns {Promise<string>} URL of the swapped image
+   */
+  async pollResult(orderId, onProgress = () => {}) {
+    throw new Error(`${this.name} provider does not implement pollResult`);
+  }
+
+  /**
+   * Check that the provider is reachable with the configured credentials
+   * @returns {Promise<boolean>}
+   */
+  async testConnection() {
+    return false;
+  }
+
+  async performFaceSwap(
+    sourceImage,
+    targetImage,
+    sourceIsUrl = false,
+    targetIsUrl = false,
+    onProgress = () => {},
+    regions = null
+  ) {
+    onProgress("provider_upload", `Sending images to ${this.name}`, {
+      provider: this.name,
+    });
+    const [sourceImageUrl, targetImageUrl] = await Promise.all([
+      this.uploadImage(sourceImage, sourceIsUrl),
+      this.uploadImage(targetImage, targetIsUrl),
+    ]);
+    onProgress("requesting_swap", `Requesting face swap from ${this.name}`, {
+      provider: this.name,
+    });
+    const orderId = await this.requestSwap(
+      sourceImageUrl,
+      targetImageUrl,
+      regions
+    );
+    return this.pollResult(orderId, onProgress);
+  }
+
+  getStats() {
+    const successRate =
+      this.stats.totalRequests > 0
+        ? (
+            (this.stats.successfulSwaps / this.stats.totalRequests) *
+            100
+          ).toFixed(2)
+        : 0;
+    return {
+      ...this.stats,
+      successRate: `${successRate}%`,
+      averageProcessingTimeFormatted: `${Math.round(
+        this.stats.averageProcessingTime
+      )}ms`,
+    };
+  }
+
+  resetStats() {
+    this.stats = {
+      totalRequests: 0,
+      successfulSwaps: 0,
+      failedSwaps: 0,
+      averageProcessingTime: 0,
+    };
+  }
+}
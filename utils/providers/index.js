@@ -0,0 +1,36 @@
+import LightXProvider from "./lightxProvider.js";
+
+// Provider name (as used in FACE_SWAP_PROVIDERS) -> implementation
+const providers = {
+  lightx: LightXProvider,
+};
+
+/**
+ * Register an additional face swap provider
+ * @param {string} name - Name used in FACE_SWAP_PROVIDERS
+ * @param {Function} ProviderClass - Class extending BaseProvider
+ */
+export function registerProvider(name, ProviderClass) {
+  providers[name.toLowerCase()] = ProviderClass;
+}
+
+/**
+ * Instantiate a provider by name
+ * @param {string} name - Provider name
+ * @returns {BaseProvider} Provider instance
+ */
+export function createProvider(name) {
+  const ProviderClass = providers[name.toLowerCase()];
+  if (!ProviderClass) {
+    throw new Error(
+      `Unknown face swap provider "${name}". Available providers: ${Object.keys(
+        providers
+      ).join(", ")}`
+    );
+  }
+  return new ProviderClass();
+}
+
+export function getAvailableProviders() {
+  return Object.keys(providers);
+}
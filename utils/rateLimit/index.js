@@ -0,0 +1,144 @@
+import crypto from "crypto";
+import fs from "fs";
+import renderFormError from "../renderFormError.js";
+import MemoryRateLimitStore from "./memoryStore.js";
+import MongoRateLimitStore from "./mongoStore.js";
+import config from "../../config/index.js";
+
+// Store name (as used in RATE_LIMIT_STORE) -> implementation
+const stores = {
+  memory: MemoryRateLimitStore,
+  mongo: MongoRateLimitStore,
+};
+
+let store = null;
+
+/**
+ * The store counting requests. A store has one method,
+ * hit(key, windowMs) -> Promise<{ count, resetAt }>, which counts a request
+ * and returns the total for the current window.
+ */
+export function getRateLimitStore() {
+  if (!store) {
+    store = new stores[config.rateLimits.store]();
+  }
+  return store;
+}
+
+// Replace the store, e.g. with one backed by Redis
+export function setRateLimitStore(customStore) {
+  store = customStore;
+}
+
+// Form values are personal data, so counters only keep a hash of them
+const hashIdentity = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex").slice(0, 32);
+
+// How each kind of identity is read from a request; null when it is absent
+const IDENTITIES = {
+  ip: (req) => req.ip || req.socket?.remoteAddress || null,
+  apiKey: (req) => (req.apiKey ? req.apiKey._id.toString() : null),
+  email: (req) => {
+    const email = String(req.body?.email || "")
+      .trim()
+      .toLowerCase();
+    return email ? hashIdentity(email) : null;
+  },
+  phone: (req) => {
+    const digits = String(req.body?.phone || "").replace(/\D/g, "");
+    return digits ? hashIdentity(digits) : null;
+  },
+};
+
+const formatWait = (seconds) =>
+  seconds < 90
+    ? `${seconds} second${seconds === 1 ? "" : "s"}`
+    : `${Math.ceil(seconds / 60)} minutes`;
+
+const defaultLimitReached = (req, res, message) =>
+  renderFormError(req, res, 429, message);
+
+/**
+ * Rate-limit middleware. Every identity found on the request (the client
+ * IP, the API key, or the email and phone sent with the form) has its own
+ * counter; the request is rejected when any of them is over the limit. Responses carry
+ * RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers for the
+ * tightest counter, and Retry-After when rejected. If the store can't be
+ * reached, requests are let through.
+ * @param {Object} options
+ * @param {string} options.name - Rule name, keeps counters of rules apart
+ * @param {number|Function} options.max - Requests allowed per identity per
+ *   window, or a function of the request returning it
+ * @param {number|Function} options.windowMs - Window length in milliseconds,
+ *   or a function of the request returning it
+ * @param {string[]} options.identities - Any of "ip", "apiKey", "email",
+ *   "phone"
+ * @param {Function} options.onLimitReached - Optional (req, res, message)
+ *   handler for 429s; defaults to the upload form, or JSON when the client
+ *   asks for it
+ * @returns {Function} Express middleware
+ */
+export default function rateLimit({
+  name,
+  max,
+  windowMs,
+  identities = ["ip"],
+  onLimitReached = defaultLimitReached,
+}) {
+  return async (req, res, next) => {
+    const keys = identities
+      .map((type) => {
+        const value = IDENTITIES[type](req);
+        return value ? `${name}:${type}:${value}` : null;
+      })
+      .filter(Boolean);
+    if (keys.length === 0) {
+      return next();
+    }
+    const limit = typeof max === "function" ? max(req) : max;
+    const window = typeof windowMs === "function" ? windowMs(req) : windowMs;
+
+    let counters;
+    try {
+      counters = await Promise.all(
+        keys.map((key) => getRateLimitStore().hit(key, window))
+      );
+    } catch (error) {
+      console.warn(
+        `⚠️ Rate limit store unavailable, allowing request: ${error.message}`
+      );
+      return next();
+    }
+
+    // Report the counter that blocks longest, or the one closest to its limit
+    const exceeded = counters.filter((counter) => counter.count > limit);
+    const tightest = exceeded.length
+      ? exceeded.reduce((a, b) => (b.resetAt > a.resetAt ? b : a))
+      : counters.reduce((a, b) => (b.count > a.count ? b : a));
+    const resetSeconds = Math.max(
+      Math.ceil((tightest.resetAt - Date.now()) / 1000),
+      0
+    );
+    res.set({
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(Math.max(limit - tightest.count, 0)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+    if (exceeded.length === 0) {
+      return next();
+    }
+
+    res.set("Retry-After", String(resetSeconds));
+    // The limit may be checked after multer has stored the uploads
+    await Promise.all(
+      Object.values(req.files || {})
+        .flat()
+        .map((file) => fs.promises.rm(file.path, { force: true }))
+    );
+    onLimitReached(
+      req,
+      res,
+      `Too many requests. Please try again in ${formatWait(resetSeconds)}.`
+    );
+  };
+}
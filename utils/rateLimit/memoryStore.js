@@ -0,0 +1,48 @@
+// Expired counters are swept this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Fixed-window counters kept in this process. Counters are lost on restart
+ * and not shared between instances; use the Mongo store for that.
+ */
+export default class MemoryRateLimitStore {
+  constructor({ maxKeys = 100000 } = {}) {
+    this.name = "memory";
+    this.maxKeys = maxKeys;
+    this.counters = new Map();
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Count a request against a key
+   * @param {string} key - Counter key, e.g. "submit:ip:1.2.3.4"
+   * @param {number} windowMs - Window length; a new window starts when the
+   *   current one has ended
+   * @returns {Promise<Object>} { count, resetAt } for the current window
+   */
+  async hit(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      // Re-inserting keeps the Map in order of window start, oldest first
+      this.counters.delete(key);
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+      if (this.counters.size > this.maxKeys) {
+        this.counters.delete(this.counters.keys().next().value);
+      }
+    }
+    counter.count += 1;
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
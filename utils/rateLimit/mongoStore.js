@@ -0,0 +1,54 @@
+import database from "../../config/db.js";
+
+/**
+ * Fixed-window counters in the "rate_limits" collection, shared by every
+ * app instance and kept across restarts. Each counter is reset atomically
+ * when its window has ended; a TTL index removes idle ones.
+ */
+export default class MongoRateLimitStore {
+  constructor({ collectionName = "rate_limits" } = {}) {
+    this.name = "mongo";
+    this.collectionName = collectionName;
+    this.indexesReady = null;
+  }
+
+  async _getCollection() {
+    const collection = await database.getCollection(this.collectionName);
+    if (!this.indexesReady) {
+      this.indexesReady = collection
+        .createIndex({ resetAt: 1 }, { expireAfterSeconds: 0 })
+        .catch((error) => {
+          // Try again on the next call instead of failing every one
+          this.indexesReady = null;
+          throw error;
+        });
+    }
+    await this.indexesReady;
+    return collection;
+  }
+
+  async hit(key, windowMs) {
+    const collection = await this._getCollection();
+    const now = new Date();
+    const windowOpen = { $gt: ["$resetAt", now] };
+    const counter = await collection.findOneAndUpdate(
+      { _id: key },
+      [
+        {
+          $set: {
+            count: { $cond: [windowOpen, { $add: ["$count", 1] }, 1] },
+            resetAt: {
+              $cond: [
+                windowOpen,
+                "$resetAt",
+                new Date(now.getTime() + windowMs),
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true, returnDocument: "after" }
+    );
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Respond to a failed form submission. The upload form posts with
+ * `Accept: application/json` when JavaScript is available so it can stay on
+ * the page and stream progress; plain form posts get the re-rendered form.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} message - User-facing error message
+ * @param {boolean} apiStatus - Whether the face swap service is configured
+ */
+export default function renderFormError(
+  req,
+  res,
+  status,
+  message,
+  apiStatus = false
+) {
+  if (req.accepts(["html", "json"]) === "json") {
+    return res.status(status).json({ error: message });
+  }
+  return res.status(status).render("index", {
+    error: message,
+    swappedImage: null,
+    oldInput: req.body || {},
+    submissionId: null,
+    apiStatus: apiStatus,
+    currentPage: "home",
+  });
+}
@@ -0,0 +1,21 @@
+import { unavailableMessage } from "./faceSwapApi.js";
+
+/**
+ * Respond to a swap request that can't be queued because no provider can
+ * be called (open circuit or daily budget used up)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} availability - From faceSwapAPI.getAvailability()
+ */
+export default function renderUnavailable(req, res, availability) {
+  const { reason, retryAfterSeconds } = availability;
+  const message = unavailableMessage(reason, retryAfterSeconds);
+  res.set("Retry-After", String(retryAfterSeconds));
+  if (req.accepts(["html", "json"]) === "json") {
+    return res.status(503).json({ error: message, retryAfterSeconds });
+  }
+  return res.status(503).render("unavailable", {
+    message,
+    currentPage: "home",
+  });
+}
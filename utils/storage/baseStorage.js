@@ -0,0 +1,123 @@
+import fs from "fs";
+import path from "path";
+
+const CONTENT_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+};
+
+export function contentTypeFor(format) {
+  return CONTENT_TYPES[format] || "application/octet-stream";
+}
+
+/**
+ * Base class every storage backend extends. Images are addressed by a key
+ * (stored as publicId on the submission) and the backend name is stored
+ * alongside it, so images stay reachable after STORAGE_BACKEND changes.
+ */
+export default class BaseStorage {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the backend has the settings it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Store an image
+   * @param {string} source - Local file path or http(s) URL
+   * @param {Object} options - folder and name (without extension)
+   * @returns {Promise<Object>} { url, publicId, width, height, format, bytes, storage }
+   */
+  async put(source, { folder, name }) {
+    throw new Error(`${this.name} storage does not implement put`);
+  }
+
+  /**
+   * Delete an image. Deleting a missing image is not an error.
+   * @param {string} key - Key returned by put() as publicId
+   * @returns {Promise<Object>} { result: "ok" | "not found" }
+   */
+  async delete(key) {
+    throw new Error(`${this.name} storage does not implement delete`);
+  }
+
+  /**
+   * URL the image can be displayed from
+   * @param {string} key - Image key
+   * @returns {string}
+   */
+  getPublicUrl(key) {
+    throw new Error(`${this.name} storage does not implement getPublicUrl`);
+  }
+
+  /**
+   * Time-limited URL for the image
+   * @param {string} key - Image key
+   * @param {Object} options - expiresIn (seconds), download (serve as an
+   *   attachment) and fileName
+   * @returns {Promise<string>}
+   */
+  async getSignedUrl(key, options = {}) {
+    throw new Error(`${this.name} storage does not implement getSignedUrl`);
+  }
+
+  /**
+   * Check the query string of a signed URL served by this app. Backends
+   * whose signed URLs point elsewhere never accept one.
+   * @returns {boolean}
+   */
+  verifySignedUrl(key, query) {
+    return false;
+  }
+
+  /**
+   * Read an image
+   * @param {string} key - Image key
+   * @returns {Promise<Object>} { stream, contentType, size }
+   */
+  async createReadStream(key) {
+    throw new Error(`${this.name} storage does not implement createReadStream`);
+  }
+
+  // Load a local file or remote URL into memory
+  async readSource(source) {
+    if (/^https?:\/\//i.test(source)) {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(
+          `Failed to fetch image for upload: ${response.status} - ${response.statusText}`
+        );
+      }
+      const buffer = Buffer.from(await response.arrayBuffer());
+      const contentType = response.headers.get("content-type") || "";
+      const format =
+        Object.keys(CONTENT_TYPES).find(
+          (ext) => CONTENT_TYPES[ext] === contentType.split(";")[0]
+        ) || this.formatFromPath(new URL(source).pathname);
+      return { buffer, format };
+    }
+    const buffer = await fs.promises.readFile(source);
+    return { buffer, format: this.formatFromPath(source) };
+  }
+
+  formatFromPath(filePath) {
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    if (ext === "jpeg") {
+      return "jpg";
+    }
+    return CONTENT_TYPES[ext] ? ext : "jpg";
+  }
+
+  buildKey(folder, name, format) {
+    return `${folder}/${name}.${format}`;
+  }
+}
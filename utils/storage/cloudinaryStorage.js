@@ -0,0 +1,59 @@
+import { Readable } from "stream";
+import cloudinary, {
+  uploadToCloudinary,
+  deleteFromCloudinary,
+} from "../../config/cloudinary.js";
+import BaseStorage from "./baseStorage.js";
+import config from "../../config/index.js";
+
+export default class CloudinaryStorage extends BaseStorage {
+  constructor() {
+    super("cloudinary");
+  }
+
+  isConfigured() {
+    const { cloudName, apiKey, apiSecret } = config.storage.cloudinary;
+    return Boolean(cloudName && apiKey && apiSecret);
+  }
+
+  // Cloudinary fetches URLs itself, so the source is passed straight through
+  async put(source, { folder, name }) {
+    const result = await uploadToCloudinary(source, folder, name);
+    return { ...result, storage: this.name };
+  }
+
+  async delete(key) {
+    return deleteFromCloudinary(key);
+  }
+
+  getPublicUrl(key) {
+    return cloudinary.url(key, { secure: true, format: "jpg" });
+  }
+
+  // Delivery URLs of uploaded images do not expire; the signature only
+  // protects the transformation flags
+  async getSignedUrl(key, { download = false } = {}) {
+    return cloudinary.url(key, {
+      secure: true,
+      sign_url: true,
+      format: "jpg",
+      flags: download ? "attachment" : undefined,
+    });
+  }
+
+  async createReadStream(key) {
+    const response = await fetch(this.getPublicUrl(key));
+    if (!response.ok) {
+      throw new Error(
+        response.status === 404
+          ? "Image not found"
+          : `Failed to read image from Cloudinary: ${response.status}`
+      );
+    }
+    return {
+      stream: Readable.fromWeb(response.body),
+      contentType: response.headers.get("content-type") || "image/jpeg",
+      size: parseInt(response.headers.get("content-length")) || null,
+    };
+  }
+}
@@ -0,0 +1,59 @@
+import CloudinaryStorage from "./cloudinaryStorage.js";
+import LocalDiskStorage from "./localDiskStorage.js";
+import S3Storage from "./s3Storage.js";
+import config from "../../config/index.js";
+
+// Backend name (as used in STORAGE_BACKEND) -> implementation
+const backends = {
+  cloudinary: CloudinaryStorage,
+  local: LocalDiskStorage,
+  s3: S3Storage,
+};
+
+const instances = {};
+
+/**
+ * Register an additional storage backend
+ * @param {string} name - Name used in STORAGE_BACKEND
+ * @param {Function} StorageClass - Class extending BaseStorage
+ */
+export function registerStorage(name, StorageClass) {
+  backends[name.toLowerCase()] = StorageClass;
+  delete instances[name.toLowerCase()];
+}
+
+/**
+ * Get a storage backend by name. Images record the backend they were
+ * stored with, so reads and deletes pass that name; new uploads use the
+ * configured default.
+ * @param {string} name - Backend name (defaults to STORAGE_BACKEND)
+ * @returns {BaseStorage} Storage instance
+ */
+export function getStorage(name = getDefaultStorageName()) {
+  const key = (name || "cloudinary").toLowerCase();
+  if (!instances[key]) {
+    const StorageClass = backends[key];
+    if (!StorageClass) {
+      throw new Error(
+        `Unknown storage backend "${name}". Available backends: ${Object.keys(
+          backends
+        ).join(", ")}`
+      );
+    }
+    instances[key] = new StorageClass();
+  }
+  return instances[key];
+}
+
+export function getDefaultStorageName() {
+  return config.storage.backend;
+}
+
+// Images stored before backends were configurable are on Cloudinary
+export function getStorageForImage(image) {
+  return getStorage((image && image.storage) || "cloudinary");
+}
+
+export function getAvailableStorage() {
+  return Object.keys(backends);
+}
@@ -0,0 +1,128 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import BaseStorage, { contentTypeFor } from "./baseStorage.js";
+import config from "../../config/index.js";
+
+/**
+ * Stores images under LOCAL_STORAGE_DIR and serves them from /media/local.
+ * Meant for on-prem installs and offline development.
+ */
+export default class LocalDiskStorage extends BaseStorage {
+  constructor() {
+    super("local");
+    this.root = path.resolve(config.storage.localDir);
+    this.baseUrl = config.server.publicBaseUrl;
+    // Config validation requires one of these with the local backend, so
+    // signed URLs stay valid across restarts and between processes
+    this.signingSecret =
+      config.storage.signingSecret || config.auth.sessionSecret;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // Resolve a key to a path inside the storage root, rejecting traversal
+  resolvePath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  }
+
+  async put(source, { folder, name }) {
+    const { buffer, format } = await this.readSource(source);
+    const key = this.buildKey(folder, name, format);
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    console.log(`✅ Stored locally: ${key}`);
+    return {
+      url: this.getPublicUrl(key),
+      publicId: key,
+      width: null,
+      height: null,
+      format,
+      bytes: buffer.length,
+      storage: this.name,
+    };
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+      return { result: "ok" };
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { result: "not found" };
+      }
+      throw new Error(`Failed to delete local image: ${error.message}`);
+    }
+  }
+
+  getPublicUrl(key) {
+    return `${this.baseUrl}/media/local/${key}`;
+  }
+
+  sign(key, expires, download) {
+    return crypto
+      .createHmac("sha256", this.signingSecret)
+      .update(`${key}:${expires}:${download ? 1 : 0}`)
+      .digest("hex");
+  }
+
+  async getSignedUrl(
+    key,
+    { expiresIn = 300, download = false, fileName = null } = {}
+  ) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const params = new URLSearchParams({ expires: String(expires) });
+    if (download) {
+      params.set("download", "1");
+      if (fileName) {
+        params.set("filename", fileName);
+      }
+    }
+    params.set("signature", this.sign(key, expires, download));
+    return `${this.getPublicUrl(key)}?${params}`;
+  }
+
+  /**
+   * Check the query string of a signed URL
+   * @returns {boolean} Whether the signature is valid and unexpired
+   */
+  verifySignedUrl(key, { expires, download, signature }) {
+    if (!signature || !expires) {
+      return false;
+    }
+    if (parseInt(expires) < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(key, expires, download === "1"));
+    const actual = Buffer.from(String(signature));
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  }
+
+  async createReadStream(key) {
+    const filePath = this.resolvePath(key);
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error("Image not found");
+      }
+      throw error;
+    }
+    return {
+      stream: fs.createReadStream(filePath),
+      contentType: contentTypeFor(this.formatFromPath(filePath)),
+      size: stats.size,
+    };
+  }
+}
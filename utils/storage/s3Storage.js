@@ -0,0 +1,127 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import BaseStorage, { contentTypeFor } from "./baseStorage.js";
+import config from "../../config/index.js";
+
+/**
+ * Stores images in an S3 bucket or an S3-compatible server such as MinIO
+ * (set S3_ENDPOINT). Without S3_PUBLIC_URL the bucket can stay private and
+ * images are served through /media/s3.
+ */
+export default class S3Storage extends BaseStorage {
+  constructor() {
+    super("s3");
+    this.settings = config.storage.s3;
+    this.bucket = this.settings.bucket;
+    this.publicUrl = this.settings.publicUrl;
+    this.baseUrl = config.server.publicBaseUrl;
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(
+      this.bucket && this.settings.accessKeyId && this.settings.secretAccessKey
+    );
+  }
+
+  getClient() {
+    if (!this.client) {
+      const endpoint = this.settings.endpoint || undefined;
+      this.client = new S3Client({
+        region: this.settings.region,
+        endpoint,
+        // MinIO and most self-hosted servers need path-style URLs
+        forcePathStyle: this.settings.forcePathStyle ?? Boolean(endpoint),
+        credentials: {
+          accessKeyId: this.settings.accessKeyId,
+          secretAccessKey: this.settings.secretAccessKey,
+        },
+      });
+    }
+    return this.client;
+  }
+
+  async put(source, { folder, name }) {
+    const { buffer, format } = await this.readSource(source);
+    const key = this.buildKey(folder, name, format);
+    try {
+      await this.getClient().send(
+        new PutObjectCommand({
+          Bucket: this.bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentTypeFor(format),
+        })
+      );
+    } catch (error) {
+      throw new Error(`Failed to upload to S3: ${error.message}`);
+    }
+    console.log(`✅ Uploaded to S3: ${key}`);
+    return {
+      url: this.getPublicUrl(key),
+      publicId: key,
+      width: null,
+      height: null,
+      format,
+      bytes: buffer.length,
+      storage: this.name,
+    };
+  }
+
+  // S3 deletes are idempotent, so a missing object also reports "ok"
+  async delete(key) {
+    try {
+      await this.getClient().send(
+        new DeleteObjectCommand({ Bucket: this.bucket, Key: key })
+      );
+      return { result: "ok" };
+    } catch (error) {
+      throw new Error(`Failed to delete from S3: ${error.message}`);
+    }
+  }
+
+  getPublicUrl(key) {
+    if (this.publicUrl) {
+      return `${this.publicUrl}/${key}`;
+    }
+    return `${this.baseUrl}/media/s3/${key}`;
+  }
+
+  async getSignedUrl(
+    key,
+    { expiresIn = 300, download = false, fileName = null } = {}
+  ) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ResponseContentDisposition: download
+        ? `attachment; filename="${fileName || key.split("/").pop()}"`
+        : undefined,
+    });
+    return getSignedUrl(this.getClient(), command, { expiresIn });
+  }
+
+  async createReadStream(key) {
+    try {
+      const response = await this.getClient().send(
+        new GetObjectCommand({ Bucket: this.bucket, Key: key })
+      );
+      return {
+        stream: response.Body,
+        contentType:
+          response.ContentType || contentTypeFor(key.split(".").pop()),
+        size: response.ContentLength || null,
+      };
+    } catch (error) {
+      if (error.name === "NoSuchKey") {
+        throw new Error("Image not found");
+      }
+      throw new Error(`Failed to read image from S3: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,118 @@
+const imageFields = (type, label) => [
+  {
+    key: `${type}Url`,
+    label: `${label} URL`,
+    get: (s) => s[`${type}Image`]?.url,
+  },
+  {
+    key: `${type}Width`,
+    label: `${label} width`,
+    get: (s) => s[`${type}Image`]?.width,
+  },
+  {
+    key: `${type}Height`,
+    label: `${label} height`,
+    get: (s) => s[`${type}Image`]?.height,
+  },
+  {
+    key: `${type}Format`,
+    label: `${label} format`,
+    get: (s) => s[`${type}Image`]?.format,
+  },
+  {
+    key: `${type}Bytes`,
+    label: `${label} bytes`,
+    get: (s) => s[`${type}Image`]?.bytes,
+  },
+];
+
+// Columns available in an export, in output order
+export const EXPORT_FIELDS = [
+  { key: "id", label: "ID", get: (s) => s._id.toString() },
+  { key: "name", label: "Name", get: (s) => s.name },
+  { key: "email", label: "Email", get: (s) => s.email },
+  { key: "phone", label: "Phone", get: (s) => s.phone },
+  {
+    key: "createdAt",
+    label: "Created",
+    get: (s) => (s.createdAt ? new Date(s.createdAt).toISOString() : null),
+  },
+  { key: "provider", label: "Provider", get: (s) => s.provider },
+  {
+    key: "status",
+    label: "Status",
+    get: (s) => s.status || "completed",
+  },
+  {
+    key: "failureStage",
+    label: "Failure stage",
+    get: (s) => s.failure?.stage,
+  },
+  {
+    key: "failureReason",
+    label: "Failure reason",
+    get: (s) => s.failure?.reason,
+  },
+  ...imageFields("source", "Source"),
+  ...imageFields("target", "Target"),
+  ...imageFields("swapped", "Swapped"),
+];
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "ndjson",
+  },
+};
+
+/**
+ * Pick the requested export fields, keeping the EXPORT_FIELDS order
+ * @param {string|string[]} requested - Field keys, comma-separated or repeated
+ * @returns {Array} Field definitions; all fields when none are valid
+ */
+export function selectFields(requested) {
+  const keys = new Set(
+    []
+      .concat(requested || [])
+      .flatMap((value) => String(value).split(","))
+      .map((key) => key.trim())
+  );
+  const fields = EXPORT_FIELDS.filter((field) => keys.has(field.key));
+  return fields.length > 0 ? fields : EXPORT_FIELDS;
+}
+
+// Quote a CSV value. Values starting with a formula character are prefixed
+// with a quote so spreadsheets show them as text instead of running them.
+export function csvValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format one line of an export
+ * @param {Object} submission - Submission document
+ * @param {Array} fields - Field definitions from selectFields
+ * @param {string} format - "csv" or "ndjson"
+ * @returns {string} The line, including its line break
+ */
+export function formatRow(submission, fields, format) {
+  if (format === "ndjson") {
+    const row = {};
+    for (const field of fields) {
+      row[field.key] = field.get(submission) ?? null;
+    }
+    return `${JSON.stringify(row)}\n`;
+  }
+  return `${fields.map((field) => csvValue(field.get(submission))).join(",")}\r\n`;
+}
+
+export function csvHeader(fields) {
+  return `${fields.map((field) => csvValue(field.label)).join(",")}\r\n`;
+}
@@ -0,0 +1,91 @@
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+import webhookModel from "../models/webhookModel.js";
+import webhookDeliveryModel from "../models/webhookDeliveryModel.js";
+import { absoluteUrl } from "./mailer.js";
+
+/**
+ * HMAC-SHA256 signature of a delivery, as sent in X-Webhook-Signature:
+ * "t=<unix seconds>,v1=<hex digest of `${t}.${body}`>". Receivers recompute
+ * the digest from the raw body and reject old timestamps to stop replays.
+ * @param {string} secret - The endpoint's signing secret
+ * @param {string} body - The JSON body exactly as sent
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} The header value
+ */
+export function signPayload(secret, body, timestamp) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// Only what a receiver needs: IDs, status, the stored image URLs and why a
+// swap failed. Contact details are left out unless the endpoint asks.
+// Images served by this app are stored with relative URLs when
+// PUBLIC_BASE_URL is unset; receivers need absolute ones
+const imageUrl = (image) => {
+  const url = image?.url || null;
+  return url && url.startsWith("/") ? absoluteUrl(url) : url;
+};
+
+function submissionData(submission, includeContact) {
+  const data = {
+    submissionId: submission._id.toString(),
+    status: submission.status,
+    jobId: submission.jobId || null,
+    batchId: submission.batchId || null,
+    version: submission.version || null,
+    provider: submission.provider || null,
+    cached: Boolean(submission.cachedFrom),
+    images: {
+      source: imageUrl(submission.sourceImage),
+      target: imageUrl(submission.targetImage),
+      swapped: imageUrl(submission.swappedImage),
+    },
+    failure: submission.failure
+      ? { stage: submission.failure.stage, reason: submission.failure.reason }
+      : null,
+    createdAt: submission.createdAt,
+    updatedAt: submission.updatedAt,
+  };
+  if (includeContact) {
+    data.contact = {
+      name: submission.name,
+      email: submission.email,
+      phone: submission.phone,
+    };
+  }
+  return data;
+}
+
+/**
+ * Queue a submission event for every active endpoint subscribed to it.
+ * Nothing is sent here; the webhook dispatcher delivers the queue.
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {Object} submission - The submission as stored
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export async function queueSubmissionEvent(type, submission) {
+  const webhooks = await webhookModel.findSubscribed(type);
+  if (webhooks.length === 0) {
+    return 0;
+  }
+  // Every endpoint gets the same event ID, so receivers can spot duplicates
+  const eventId = `evt_${new ObjectId().toString()}`;
+  const createdAt = new Date().toISOString();
+  const deliveries = await webhookDeliveryModel.queueDeliveries(
+    webhooks.map((webhook) => ({
+      webhookId: webhook._id.toString(),
+      submissionId: submission._id.toString(),
+      event: {
+        id: eventId,
+        type,
+        createdAt,
+        data: submissionData(submission, webhook.includeContact),
+      },
+    }))
+  );
+  return deliveries.length;
+}
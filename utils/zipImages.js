@@ -0,0 +1,119 @@
+import AdmZip from "adm-zip";
+import path from "path";
+import fs from "fs";
+import zlib from "zlib";
+import { mimeTypeFor } from "./imageFormats.js";
+
+// ZIP compression method of entries saved without compression
+const STORED = 0;
+// ZIP compression method of deflated entries
+const DEFLATED = 8;
+
+function tooLargeError(name, maxBytes) {
+  return new Error(
+    `${name} in the ZIP is larger than ${Math.round(maxBytes / 1024 / 1024)}MB.`
+  );
+}
+
+// Inflate an entry, never producing more than maxBytes
+function inflateEntry(entry, maxBytes) {
+  const name = path.basename(entry.entryName);
+  if (entry.header.encrypted) {
+    throw new Error(`${name} in the ZIP is encrypted.`);
+  }
+  const compressed = entry.getCompressedData();
+  if (entry.header.method === STORED) {
+    if (compressed.length > maxBytes) {
+      throw tooLargeError(name, maxBytes);
+    }
+    return compressed;
+  }
+  if (entry.header.method !== DEFLATED) {
+    throw new Error(
+      `${name} in the ZIP uses an unsupported compression method.`
+    );
+  }
+  try {
+    return zlib.inflateRawSync(compressed, { maxOutputLength: maxBytes });
+  } catch (error) {
+    if (error.code === "ERR_BUFFER_TOO_LARGE") {
+      throw tooLargeError(name, maxBytes);
+    }
+    throw new Error(`${name} in the ZIP is damaged.`);
+  }
+}
+
+/**
+ * Extract the images in a ZIP into the uploads directory. Entry names are
+ * never used as paths, and sizes are checked before anything is inflated.
+ * The header can lie about the size (adm-zip doesn't cap what it inflates
+ * when an entry declares 0 bytes), so entries are inflated here with the
+ * per-image limit as a hard cap.
+ * Folders, macOS metadata and non-image files are skipped.
+ * @param {string} zipPath - Uploaded ZIP file
+ * @param {Object} limits - maxFiles and maxBytes (per image)
+ * @returns {Array} File records shaped like multer's ({ path, originalname,
+ *   mimetype, size })
+ */
+export function extractImagesFromZip(zipPath, { maxFiles, maxBytes }) {
+  let entries;
+  try {
+    entries = new AdmZip(zipPath).getEntries();
+  } catch (error) {
+    throw new Error("Invalid ZIP file. Please upload a valid ZIP of images.");
+  }
+
+  const images = entries.filter((entry) => {
+    const name = path.basename(entry.entryName);
+    return (
+      !entry.isDirectory &&
+      !entry.entryName.startsWith("__MACOSX/") &&
+      !name.startsWith(".") &&
+      mimeTypeFor(name)
+    );
+  });
+  if (images.length > maxFiles) {
+    throw new Error(
+      `The ZIP contains ${images.length} images, but only ${maxFiles} more targets fit in this batch.`
+    );
+  }
+  const tooLarge = images.find((entry) => entry.header.size > maxBytes);
+  if (tooLarge) {
+    throw tooLargeError(path.basename(tooLarge.entryName), maxBytes);
+  }
+
+  const files = [];
+  try {
+    for (const entry of images) {
+      const name = path.basename(entry.entryName);
+      const ext = path.extname(name).toLowerCase();
+      const data = inflateEntry(entry, maxBytes);
+      const filePath = path.resolve(
+        "uploads",
+        `target-${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`
+      );
+      fs.writeFileSync(filePath, data);
+      files.push({
+        path: filePath,
+        originalname: name,
+        mimetype: mimeTypeFor(name),
+        size: data.length,
+      });
+    }
+  } catch (error) {
+    files.forEach((file) => fs.rmSync(file.path, { force: true }));
+    throw error;
+  }
+  return files;
+}
+
+/**
+ * Build a ZIP in memory
+ * @param {Array} files - [{ name, data }]
+ * @returns {Buffer}
+ */
+export function createZip(files) {
+  const zip = new AdmZip();
+  files.forEach(({ name, data }) => zip.addFile(name, data));
+  return zip.toBuffer();
+}
@@ -0,0 +1,17 @@
+import database from "./config/db.js";
+import swapWorker from "./workers/swapWorker.js";
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, finishing active jobs...`);
+  await swapWorker.stop();
+  await database.close();
+  process.exit(0);
+};
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+swapWorker.start().catch((error) => {
+  console.error("❌ Swap worker failed to start:", error);
+  process.exit(1);
+});
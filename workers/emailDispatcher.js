@@ -0,0 +1,124 @@
+import emailLogModel from "../models/emailLogModel.js";
+import submissionModel from "../models/submissionModel.js";
+import {
+  getTransport,
+  isEmailConfigured,
+  renderSubmissionEmail,
+} from "../utils/mailer.js";
+import config from "../config/index.js";
+
+// How long a claimed email stays claimed; SMTP sends rarely take this long
+const SEND_LOCK_MS = 2 * 60 * 1000;
+
+/**
+ * Sends queued emails over SMTP. An email that can't be sent is retried
+ * with exponential backoff until EMAIL_MAX_ATTEMPTS attempts have been made.
+ */
+class EmailDispatcher {
+  constructor() {
+    this.maxAttempts = config.email.maxAttempts;
+    this.retryBaseMs = config.email.retryBaseMs;
+    this.interval = config.email.pollIntervalMs;
+    this.running = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running || !isEmailConfigured()) {
+      return;
+    }
+    this.running = true;
+    console.log(
+      `📧 Email dispatcher started (${config.email.smtpHost}:${config.email.smtpPort})`
+    );
+    this._schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _schedule(delay) {
+    if (!this.running) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = setTimeout(async () => {
+      try {
+        await this.sendDue();
+      } catch (error) {
+        console.error("❌ Email dispatch failed:", error);
+      }
+      this._schedule(this.interval);
+    }, delay);
+  }
+
+  // Send every email that is due, one at a time
+  async sendDue() {
+    while (this.running) {
+      const entry = await emailLogModel.claimDue(SEND_LOCK_MS);
+      if (!entry) {
+        return;
+      }
+      await this.send(entry);
+    }
+  }
+
+  /**
+   * Make one attempt at sending a queued email and record the outcome
+   * @param {Object} entry - A claimed email log entry
+   */
+  async send(entry) {
+    let submission;
+    try {
+      submission = await submissionModel.getSubmissionById(entry.submissionId);
+    } catch (error) {
+      if (!error.message.includes("not found")) {
+        throw error;
+      }
+    }
+    // The submission may have changed since the email was queued
+    const reason = !submission
+      ? "Submission was deleted"
+      : !submission.email
+        ? "Submission has no email address"
+        : submission.emailOptOut
+          ? "Submitter opted out of emails"
+          : null;
+    if (reason) {
+      await emailLogModel.cancelEmail(entry._id, reason);
+      return;
+    }
+
+    try {
+      const message = await renderSubmissionEmail(entry.template, submission);
+      const info = await getTransport().sendMail({
+        from: config.email.from,
+        to: submission.email,
+        ...message,
+      });
+      await emailLogModel.markSent(entry._id, {
+        to: submission.email,
+        subject: message.subject,
+        messageId: info.messageId,
+      });
+      console.log(`📧 Sent ${entry.template} for ${entry.submissionId}`);
+    } catch (error) {
+      const attemptsMade = entry.attemptCount + 1;
+      const retry = attemptsMade < this.maxAttempts;
+      const delay = this.retryBaseMs * 2 ** (attemptsMade - 1);
+      await emailLogModel.recordFailure(
+        entry._id,
+        error.message,
+        retry ? new Date(Date.now() + delay) : null
+      );
+      console.warn(
+        `⚠️ Sending ${entry.template} for ${entry.submissionId} failed (${error.message}); ${retry ? `retrying in ${Math.round(delay / 1000)}s` : "giving up"}`
+      );
+    }
+  }
+}
+
+export default new EmailDispatcher();
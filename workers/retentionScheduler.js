@@ -0,0 +1,172 @@
+import { ObjectId } from "mongodb";
+import submissionModel from "../models/submissionModel.js";
+import jobModel from "../models/jobModel.js";
+import retentionRunModel from "../models/retentionRunModel.js";
+import config from "../config/index.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RetentionScheduler {
+  constructor() {
+    // Unset or 0 means "keep forever"
+    this.imageDays = config.retention.imageDays || null;
+    this.piiDays = config.retention.piiDays || null;
+    this.interval = config.retention.intervalMs;
+    this.batchSize = config.retention.batchSize;
+    this.dryRun = config.retention.dryRun;
+    this.running = false;
+    this.purging = false;
+    this.timer = null;
+  }
+
+  isEnabled() {
+    return Boolean(this.imageDays || this.piiDays);
+  }
+
+  getPolicy() {
+    return {
+      imageDays: this.imageDays,
+      piiDays: this.piiDays,
+      intervalMs: this.interval,
+      batchSize: this.batchSize,
+      dryRun: this.dryRun,
+    };
+  }
+
+  start() {
+    if (this.running || !this.isEnabled()) {
+      return;
+    }
+    this.running = true;
+    console.log(
+      `🧹 Retention scheduler started (images: ${this.imageDays || "kept"} days, PII: ${this.piiDays || "kept"} days${this.dryRun ? ", dry run" : ""})`
+    );
+    this._schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _schedule(delay) {
+    if (!this.running) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = setTimeout(async () => {
+      try {
+        await this.runOnce({ dryRun: this.dryRun, trigger: "schedule" });
+      } catch (error) {
+        console.error("❌ Retention run failed:", error);
+      }
+      this._schedule(this.interval);
+    }, delay);
+  }
+
+  /**
+   * Apply the retention policy once and record what was purged. A run
+   * handles at most batchSize submissions per rule; the rest are picked up
+   * by the next run.
+   * @param {Object} options - dryRun (only report what would be purged),
+   *   trigger ("schedule" or "manual") and triggeredBy (username)
+   * @returns {Promise<Object>} The stored run record
+   */
+  async runOnce({ dryRun = false, trigger = "manual", triggeredBy = null }) {
+    if (this.purging) {
+      throw new Error("A retention run is already in progress");
+    }
+    this.purging = true;
+    const now = Date.now();
+    const run = {
+      _id: new ObjectId(),
+      dryRun,
+      trigger,
+      triggeredBy,
+      policy: { imageDays: this.imageDays, piiDays: this.piiDays },
+      images: null,
+      pii: null,
+      failures: [],
+      startedAt: new Date(now),
+      finishedAt: null,
+    };
+
+    try {
+      if (this.imageDays) {
+        const cutoff = new Date(now - this.imageDays * DAY_MS);
+        run.images = await this._applyRule(
+          run,
+          submissionModel.imagePurgeFilter(cutoff),
+          cutoff,
+          "images",
+          async (submission) => ({
+            assets: dryRun
+              ? this._publicIds(submission)
+              : await submissionModel.purgeImages(submission),
+          })
+        );
+      }
+
+      if (this.piiDays) {
+        const cutoff = new Date(now - this.piiDays * DAY_MS);
+        run.pii = await this._applyRule(
+          run,
+          submissionModel.anonymiseFilter(cutoff),
+          cutoff,
+          "pii",
+          async (submission) => {
+            if (!dryRun) {
+              await submissionModel.anonymiseSubmission(submission);
+            }
+            return {};
+          }
+        );
+        // Jobs keep their own copy of the contact details
+        run.pii.jobs = dryRun
+          ? await jobModel.countJobsToAnonymise(cutoff)
+          : await jobModel.anonymiseJobs(cutoff);
+      }
+
+      run.finishedAt = new Date();
+      await retentionRunModel.createRun(run);
+      console.log(
+        `🧹 Retention run ${run._id}${dryRun ? " (dry run)" : ""}: ${run.images ? run.images.processed : 0} image sets, ${run.pii ? run.pii.processed : 0} submissions anonymised, ${run.failures.length} failures`
+      );
+      return run;
+    } finally {
+      this.purging = false;
+    }
+  }
+
+  async _applyRule(run, filter, cutoff, stage, apply) {
+    const [matched, submissions] = await Promise.all([
+      submissionModel.countSubmissions(filter),
+      submissionModel.getAllSubmissions(this.batchSize, 0, filter),
+    ]);
+    const items = [];
+    for (const submission of submissions) {
+      const submissionId = submission._id.toString();
+      try {
+        const details = await apply(submission);
+        items.push({
+          submissionId,
+          createdAt: submission.createdAt,
+          ...details,
+        });
+      } catch (error) {
+        console.error(`Retention ${stage} failed for ${submissionId}:`, error);
+        run.failures.push({ submissionId, stage, error: error.message });
+      }
+    }
+    return { cutoff, matched, processed: items.length, items };
+  }
+
+  _publicIds(submission) {
+    return submissionModel
+      .submissionImages(submission)
+      .map(({ image }) => ({ publicId: image.publicId }));
+  }
+}
+
+export default new RetentionScheduler();
@@ -0,0 +1,523 @@
+import os from "os";
+import fs from "fs";
+import jobModel from "../models/jobModel.js";
+import swapCacheModel from "../models/swapCacheModel.js";
+import submissionModel, {
+  sanitizeFailureReason,
+} from "../models/submissionModel.js";
+import faceSwapAPI, { ProviderUnavailableError } from "../utils/faceSwapApi.js";
+import progressTracker from "../utils/progressTracker.js";
+import { getStorage } from "../utils/storage/index.js";
+import { normalizeImage } from "../utils/imageNormalizer.js";
+import { hashImagePair } from "../utils/imageHashes.js";
+import { ACCEPTED_FORMATS_LABEL } from "../utils/imageFormats.js";
+import config from "../config/index.js";
+
+class SwapWorker {
+  constructor() {
+    this.concurrency = config.worker.concurrency;
+    this.pollInterval = config.worker.pollIntervalMs;
+    this.staleJobMs = config.worker.staleJobMs;
+    this.maxAttempts = config.worker.maxAttempts;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.activeJobs = new Set();
+    this.running = false;
+    this.polling = false;
+    // Jobs are left in the queue while no provider can be called
+    this.paused = false;
+    this.timer = null;
+  }
+
+  async start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    let recovered;
+    try {
+      await jobModel.ensureIndexes();
+      recovered = await jobModel.recoverStaleJobs(
+        this.staleJobMs,
+        this.maxAttempts
+      );
+      await submissionModel.failInterruptedSubmissions(
+        recovered.failedSubmissionIds
+      );
+    } catch (error) {
+      // Not started, so a later start() can try again
+      this.running = false;
+      throw error;
+    }
+    if (recovered.requeued || recovered.failed) {
+      console.log(
+        `♻️ Recovered stale jobs: ${recovered.requeued} requeued, ${recovered.failed} failed`
+      );
+    }
+    console.log(
+      `👷 Swap worker ${this.workerId} started (concurrency ${this.concurrency})`
+    );
+    this._schedule(0);
+  }
+
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await Promise.allSettled([...this.activeJobs]);
+    console.log(`👷 Swap worker ${this.workerId} stopped`);
+  }
+
+  _schedule(delay) {
+    if (!this.running) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._tick(), delay);
+  }
+
+  async _tick() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+    try {
+      this._setPaused(await faceSwapAPI.getAvailability());
+      while (
+        this.running &&
+        !this.paused &&
+        this.activeJobs.size < this.concurrency
+      ) {
+        const job = await jobModel.claimNextJob(this.workerId);
+        if (!job) {
+          break;
+        }
+        const run = this.processJob(job).finally(() => {
+          this.activeJobs.delete(run);
+          this._schedule(0);
+        });
+        this.activeJobs.add(run);
+      }
+    } catch (error) {
+      console.error("Error polling job queue:", error);
+    } finally {
+      this.polling = false;
+    }
+    this._schedule(this.pollInterval);
+  }
+
+  _setPaused({ available, reason }) {
+    if (!available && !this.paused) {
+      console.warn(
+        `⏸️ Swap worker paused: ${reason === "budget" ? "daily provider budget used up" : "no provider available"}`
+      );
+    } else if (available && this.paused) {
+      console.log("▶️ Swap worker resumed");
+    }
+    this.paused = !available;
+  }
+
+  async processJob(job) {
+    if (job.type === "rerun") {
+      return this.processRerun(job);
+    }
+    const jobId = job._id.toString();
+    // Normalised and intermediate files, removed as soon as they are used.
+    // The uploads stay until the job is completed or failed, so a retry
+    // after a crash can start over from them.
+    const tempFiles = [];
+    const progress = progressTracker.forJob(jobId);
+    // Stage reached so far, stored on the submission if the job fails
+    let stage = "pending";
+    let submissionId = job.submissionId || null;
+    // Images stored for the submission, removed if it is deleted meanwhile
+    const stored = {};
+    try {
+      progress("processing", "Processing started");
+      // Web submissions were hashed when they arrived; API and batch jobs
+      // are hashed here so their results can be cached too
+      const hashes = job.hashes || (await this.hashInputs(job.files));
+      if (submissionId) {
+        // A retry after a worker crash reuses the submission it created
+        await submissionModel.resetSubmission(submissionId);
+      } else {
+        const submission = await submissionModel.createSubmission(job.input, {
+          jobId,
+          apiKeyId: job.apiKeyId,
+          batchId: job.batchId,
+          regions: job.regions,
+          hashes,
+        });
+        submissionId = submission._id.toString();
+        await jobModel.attachSubmission(jobId, submissionId);
+      }
+
+      if (!faceSwapAPI.isConfigured()) {
+        throw new Error(
+          "Face swap service is not properly configured. Please contact support."
+        );
+      }
+
+      stage = "uploading";
+      await submissionModel.updateStatus(submissionId, "uploading");
+      const inputs = await this.normalizeInputs(job.files, tempFiles, progress);
+      await this.ensureSubmissionExists(submissionId);
+      const imageUploads = await submissionModel.uploadImages(
+        {
+          source: [inputs.source],
+          target: [inputs.target],
+        },
+        submissionId,
+        progress
+      );
+      Object.assign(stored, imageUploads);
+
+      stage = "swapping";
+      await submissionModel.startSwap(submissionId, imageUploads);
+      // Swap from the local uploads: storage URLs may only be reachable
+      // through this app (local disk or a private bucket)
+      const swapResult = await faceSwapAPI.performFaceSwap(
+        inputs.source.path,
+        inputs.target.path,
+        false,
+        false,
+        progress,
+        { jobId, apiKeyId: job.apiKeyId, regions: job.regions }
+      );
+      this.cleanupTempFiles(tempFiles);
+      // Swaps around a picked face are composited into a local file
+      if (swapResult.isLocalFile) {
+        tempFiles.push(swapResult.url);
+      }
+
+      stage = "saving";
+      progress("storing_result", "Saving your result");
+      await this.ensureSubmissionExists(submissionId);
+      const swappedImageUpload = await submissionModel.uploadSwappedImage(
+        swapResult.url,
+        submissionId
+      );
+      stored.swapped = swappedImageUpload;
+      this.cleanupTempFiles(tempFiles);
+      await this.ensureSubmissionExists(submissionId);
+      await submissionModel.completeSubmission(
+        submissionId,
+        swappedImageUpload,
+        swapResult.provider
+      );
+
+      await progress("completed", "Face swap completed");
+      await jobModel.completeJob(jobId, submissionId, swappedImageUpload.url);
+      jobModel.removeJobFiles(job);
+      console.log(`✅ Job ${jobId} completed`);
+      await this.cacheResult(hashes, job.regions, {
+        submissionId,
+        swappedImage: submissionModel.toImageRecord(swappedImageUpload),
+        provider: swapResult.provider,
+      });
+    } catch (error) {
+      if (error instanceof ProviderUnavailableError) {
+        return this.postponeJob(job, submissionId, tempFiles, error);
+      }
+      if (error.message === "Submission was deleted") {
+        return this.abandonJob(job, tempFiles, stored);
+      }
+      console.error(`Job ${jobId} failed at ${stage}:`, error);
+      this.cleanupTempFiles(tempFiles);
+      const userMessage = this.toUserMessage(error);
+      try {
+        if (submissionId) {
+          await submissionModel.failSubmission(submissionId, stage, error);
+        }
+        await progress("failed", userMessage);
+        await jobModel.failJob(jobId, userMessage);
+        jobModel.removeJobFiles(job);
+      } catch (updateError) {
+        console.error(`Failed to mark job ${jobId} as failed:`, updateError);
+      }
+    }
+  }
+
+  // Deleting a submission is refused while its job runs, but the job may
+  // have been claimed just after the check
+  async ensureSubmissionExists(submissionId) {
+    if (!(await submissionModel.submissionExists(submissionId))) {
+      throw new Error("Submission was deleted");
+    }
+  }
+
+  /**
+   * Stop a job whose submission was deleted while it ran. Images already
+   * stored for it are removed, since nothing references them any more.
+   */
+  async abandonJob(job, tempFiles, stored) {
+    const jobId = job._id.toString();
+    console.warn(`🗑️ Job ${jobId} stopped: its submission was deleted`);
+    this.cleanupTempFiles(tempFiles);
+    await this.discardUploads(stored);
+    try {
+      await jobModel.failJob(jobId, "The submission was deleted.");
+    } catch (updateError) {
+      console.error(`Failed to mark job ${jobId} as failed:`, updateError);
+    }
+    jobModel.removeJobFiles(job);
+  }
+
+  /**
+   * Put a job back in the queue when its provider call was refused (open
+   * circuit or daily budget). The uploads are kept for the next attempt,
+   * which starts the submission (or the re-run) over like a retry after a
+   * crash.
+   */
+  async postponeJob(job, submissionId, tempFiles, error) {
+    const jobId = job._id.toString();
+    this.cleanupTempFiles(tempFiles);
+    console.warn(`⏸️ Job ${jobId} postponed: ${error.message}`);
+    try {
+      if (job.type === "rerun") {
+        await submissionModel.setRerunState(submissionId, {
+          jobId,
+          status: "queued",
+        });
+      } else if (submissionId) {
+        await submissionModel.resetSubmission(submissionId);
+      }
+      await progressTracker.report(jobId, "queued", error.message);
+      await jobModel.requeueJob(jobId);
+    } catch (updateError) {
+      console.error(`Failed to requeue job ${jobId}:`, updateError);
+    }
+  }
+
+  async hashInputs(files) {
+    try {
+      return await hashImagePair(files);
+    } catch (error) {
+      console.warn("⚠️ Could not hash job inputs:", error.message);
+      return null;
+    }
+  }
+
+  // The swap already succeeded, so a cache failure is only logged
+  async cacheResult(hashes, regions, result) {
+    try {
+      if (
+        hashes &&
+        (await swapCacheModel.isEnabled()) &&
+        (await submissionModel.submissionExists(result.submissionId))
+      ) {
+        await swapCacheModel.storeResult(hashes, regions, result);
+      }
+    } catch (error) {
+      console.warn("⚠️ Could not cache swap result:", error.message);
+    }
+  }
+
+  /**
+   * Swap again for an existing submission, reusing its stored images unless
+   * the job carries a replacement source or target. The new result becomes
+   * the current version; earlier results stay in the version history.
+   */
+  async processRerun(job) {
+    const jobId = job._id.toString();
+    const submissionId = job.submissionId;
+    const progress = progressTracker.forJob(jobId);
+    const tempFiles = [];
+    const uploads = {};
+    let stage = "pending";
+    try {
+      progress("processing", "Re-run started");
+      await submissionModel.setRerunState(submissionId, {
+        jobId,
+        status: "processing",
+      });
+      if (!faceSwapAPI.isConfigured()) {
+        throw new Error(
+          "Face swap service is not properly configured. Please contact support."
+        );
+      }
+      const submission = await submissionModel.getSubmissionById(submissionId);
+
+      stage = "uploading";
+      const inputs = await this.normalizeInputs(job.files, tempFiles, progress);
+      await this.ensureSubmissionExists(submissionId);
+      for (const type of ["source", "target"]) {
+        if (inputs[type]) {
+          progress(`uploading_${type}`, `Uploading new ${type} image`);
+          uploads[type] = await submissionModel.uploadInputImage(
+            type,
+            inputs[type].path,
+            submissionId,
+            inputs[type].originalFormat
+          );
+        } else {
+          inputs[type] = {
+            path: await submissionModel.fetchImageToFile(
+              submission[`${type}Image`],
+              `rerun-${type}`
+            ),
+          };
+          tempFiles.push(inputs[type].path);
+        }
+      }
+
+      // A picked face only applies to the image it was picked on
+      const kept = {
+        source: job.files.source ? null : submission.regions?.source,
+        target: job.files.target ? null : submission.regions?.target,
+      };
+      const regions = kept.source || kept.target ? kept : null;
+
+      stage = "swapping";
+      const swapResult = await faceSwapAPI.performFaceSwap(
+        inputs.source.path,
+        inputs.target.path,
+        false,
+        false,
+        progress,
+        { jobId, apiKeyId: submission.apiKeyId, regions }
+      );
+      this.cleanupTempFiles(tempFiles);
+      if (swapResult.isLocalFile) {
+        tempFiles.push(swapResult.url);
+      }
+
+      stage = "saving";
+      progress("storing_result", "Saving your result");
+      await this.ensureSubmissionExists(submissionId);
+      const swappedImageUpload = await submissionModel.uploadSwappedImage(
+        swapResult.url,
+        submissionId
+      );
+      uploads.swapped = swappedImageUpload;
+      this.cleanupTempFiles(tempFiles);
+      const version = await submissionModel.addVersion(submissionId, {
+        swappedUpload: swappedImageUpload,
+        sourceUpload: uploads.source,
+        targetUpload: uploads.target,
+        provider: swapResult.provider,
+        jobId,
+        requestedBy: job.requestedBy,
+      });
+
+      await progress("completed", `Re-run completed (version ${version})`);
+      await jobModel.completeJob(jobId, submissionId, swappedImageUpload.url);
+      jobModel.removeJobFiles(job);
+      console.log(`✅ Re-run job ${jobId} completed (version ${version})`);
+    } catch (error) {
+      // Replacement images and the result only belong to the submission
+      // once a re-run succeeds; a postponed re-run uploads them again
+      await this.discardUploads(uploads);
+      if (error instanceof ProviderUnavailableError) {
+        return this.postponeJob(job, submissionId, tempFiles, error);
+      }
+      if (
+        error.message === "Submission was deleted" ||
+        error.message === "Submission not found"
+      ) {
+        return this.abandonJob(job, tempFiles, {});
+      }
+      console.error(`Re-run job ${jobId} failed at ${stage}:`, error);
+      this.cleanupTempFiles(tempFiles);
+      const userMessage = this.toUserMessage(error);
+      try {
+        // The current result is kept; only the re-run is marked failed
+        await submissionModel.setRerunState(submissionId, {
+          jobId,
+          status: "failed",
+          stage,
+          reason: sanitizeFailureReason(error.message),
+        });
+        await progress("failed", userMessage);
+        await jobModel.failJob(jobId, userMessage);
+        jobModel.removeJobFiles(job);
+      } catch (updateError) {
+        console.error(`Failed to mark job ${jobId} as failed:`, updateError);
+      }
+    }
+  }
+
+  async discardUploads(uploads) {
+    for (const upload of Object.values(uploads)) {
+      await getStorage()
+        .delete(upload.publicId)
+        .catch((deleteError) => {
+          console.warn(
+            `⚠️ Could not delete unused upload ${upload.publicId}:`,
+            deleteError.message
+          );
+        });
+    }
+  }
+
+  /**
+   * Normalise the uploaded images of a job (orientation, size, format,
+   * metadata). The normalised files are added to tempFiles.
+   * @param {Object} files - The job's source and target file records;
+   *   missing ones are skipped
+   * @returns {Promise<Object>} { path, originalFormat } of the normalised
+   *   source and target
+   */
+  async normalizeInputs(files, tempFiles, progress) {
+    const inputs = {};
+    for (const type of ["source", "target"]) {
+      if (!files[type]) {
+        continue;
+      }
+      let result;
+      try {
+        result = await normalizeImage(files[type].path);
+      } catch (error) {
+        console.warn(`Could not normalise ${type} image:`, error.message);
+        throw new Error(
+          `Image validation failed: the ${type} image could not be read. Please choose a valid ${ACCEPTED_FORMATS_LABEL} image.`
+        );
+      }
+      tempFiles.push(result.path);
+      // Keep the upload's own format (e.g. HEIC) for the submission record
+      inputs[type] = {
+        path: result.path,
+        originalFormat: result.original.format,
+      };
+      progress(
+        "preparing",
+        `Prepared ${type} image (${result.original.width}×${result.original.height} → ${result.width}×${result.height})`,
+        { type, original: result.original, bytes: result.bytes }
+      );
+    }
+    return inputs;
+  }
+
+  toUserMessage(error) {
+    if (error instanceof ProviderUnavailableError) {
+      return error.message;
+    } else if (error.message.includes("Face swap")) {
+      return "Face swap processing failed. Please try with different images.";
+    } else if (error.message.includes("upload")) {
+      return "Image upload failed. Please check your images and try again.";
+    } else if (error.message.includes("validation")) {
+      return error.message;
+    } else if (error.message.includes("database")) {
+      return "Database error. Please try again later.";
+    }
+    return "An unexpected error occurred during processing.";
+  }
+
+  cleanupTempFiles(filePaths) {
+    filePaths.forEach((filePath) => {
+      try {
+        if (typeof filePath === "string" && fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      } catch (error) {
+        console.warn(
+          `Failed to clean up temp file ${filePath}:`,
+          error.message
+        );
+      }
+    });
+  }
+}
+
+export default new SwapWorker();
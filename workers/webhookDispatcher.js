@@ -0,0 +1,167 @@
+import webhookModel from "../models/webhookModel.js";
+import webhookDeliveryModel from "../models/webhookDeliveryModel.js";
+import { signPayload } from "../utils/webhooks.js";
+import config from "../config/index.js";
+
+// Characters of a failed response body kept in the delivery log
+const RESPONSE_EXCERPT_LENGTH = 300;
+
+/**
+ * Sends queued webhook deliveries. A delivery that fails (network error,
+ * timeout or a non-2xx response) is retried with exponential backoff until
+ * WEBHOOK_MAX_ATTEMPTS attempts have been made.
+ */
+class WebhookDispatcher {
+  constructor() {
+    this.maxAttempts = config.webhooks.maxAttempts;
+    this.retryBaseMs = config.webhooks.retryBaseMs;
+    this.retryMaxMs = config.webhooks.retryMaxMs;
+    this.timeoutMs = config.webhooks.timeoutMs;
+    this.interval = config.webhooks.pollIntervalMs;
+    this.running = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    console.log(
+      `📮 Webhook dispatcher started (up to ${this.maxAttempts} attempts per delivery)`
+    );
+    this._schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _schedule(delay) {
+    if (!this.running) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = setTimeout(async () => {
+      try {
+        await this.deliverDue();
+      } catch (error) {
+        console.error("❌ Webhook dispatch failed:", error);
+      }
+      this._schedule(this.interval);
+    }, delay);
+  }
+
+  // Send every delivery that is due, one at a time
+  async deliverDue() {
+    while (this.running) {
+      // A claim outlives the request, so two processes never send the same
+      // delivery at once
+      const delivery = await webhookDeliveryModel.claimDue(this.timeoutMs * 2);
+      if (!delivery) {
+        return;
+      }
+      await this.deliver(delivery);
+    }
+  }
+
+  // Wait before the next attempt, after `attemptsMade` failed attempts
+  retryDelay(attemptsMade) {
+    return Math.min(
+      this.retryBaseMs * 2 ** (attemptsMade - 1),
+      this.retryMaxMs
+    );
+  }
+
+  /**
+   * Make one attempt at a delivery and record the outcome
+   * @param {Object} delivery - A claimed delivery
+   */
+  async deliver(delivery) {
+    let webhook;
+    try {
+      webhook = await webhookModel.getWebhookById(delivery.webhookId);
+    } catch (error) {
+      if (!error.message.includes("not found")) {
+        throw error;
+      }
+    }
+    if (!webhook?.active) {
+      await webhookDeliveryModel.cancelDelivery(
+        delivery._id,
+        webhook ? "Webhook is disabled" : "Webhook was deleted"
+      );
+      return;
+    }
+
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const attempt = {
+      at: new Date(startedAt),
+      statusCode: null,
+      error: null,
+      response: null,
+      durationMs: null,
+    };
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "FaceSwap-Webhooks/1.0",
+          "X-Webhook-Event": delivery.event.type,
+          "X-Webhook-Delivery": delivery._id.toString(),
+          "X-Webhook-Signature": signPayload(webhook.secret, body, timestamp),
+        },
+        body,
+        // A redirect could point anywhere; the endpoint URL should be final
+        redirect: "manual",
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+      attempt.statusCode = response.status;
+      if (!response.ok) {
+        attempt.error = `Endpoint responded with HTTP ${response.status}`;
+        attempt.response = (await response.text().catch(() => "")).slice(
+          0,
+          RESPONSE_EXCERPT_LENGTH
+        );
+      }
+    } catch (error) {
+      attempt.error =
+        error.name === "TimeoutError"
+          ? `No response within ${this.timeoutMs} ms`
+          : `Request failed: ${error.cause?.code || error.message}`;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+
+    const attemptsMade = delivery.attemptCount + 1;
+    const label = `${delivery.event.type} to ${webhook.url}`;
+    if (!attempt.error) {
+      await webhookDeliveryModel.recordAttempt(delivery._id, attempt, {
+        status: "delivered",
+      });
+      console.log(`📮 Delivered ${label}`);
+    } else if (attemptsMade >= this.maxAttempts) {
+      await webhookDeliveryModel.recordAttempt(delivery._id, attempt, {
+        status: "failed",
+      });
+      console.error(
+        `❌ Gave up delivering ${label} after ${attemptsMade} attempts: ${attempt.error}`
+      );
+    } else {
+      const delay = this.retryDelay(attemptsMade);
+      await webhookDeliveryModel.recordAttempt(delivery._id, attempt, {
+        status: "pending",
+        nextAttemptAt: new Date(Date.now() + delay),
+      });
+      console.warn(
+        `⚠️ Delivering ${label} failed (${attempt.error}); retrying in ${Math.round(delay / 1000)}s`
+      );
+    }
+  }
+}
+
+export default new WebhookDispatcher();